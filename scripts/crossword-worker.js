@@ -0,0 +1,40 @@
+// Office Crossword - Generation Worker
+// Runs CrosswordGenerator off the main thread so the page stays responsive on big grids.
+//
+// Messages from the page:
+//   { type: 'generate', requestId, seed, config, catalog, customWordList, clueVariants, baseUrl }
+// Messages to the page:
+//   { type: 'progress', requestId, phase, placed, total, attempt, attempts }
+//   { type: 'result', requestId, puzzle, clues, wordListReports, puzzleKey }
+//   { type: 'error', requestId, message }
+importScripts('crossword.js');
+
+// Word list paths in the config are relative to the page, not to this script
+const workerFetch = self.fetch.bind(self);
+let pageUrl = self.location.href;
+self.fetch = (resource, options) => workerFetch(new URL(resource, pageUrl).href, options);
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    if (!message || message.type !== 'generate') return;
+
+    const { requestId } = message;
+    if (message.baseUrl) pageUrl = message.baseUrl;
+
+    try {
+        const config = new CrosswordConfig();
+        config.config = message.config;
+
+        const generator = new CrosswordGenerator(config);
+        generator.catalog = message.catalog || null;
+        generator.customWordList = message.customWordList || null;
+        generator.savedClueVariants = message.clueVariants || {};
+        generator.onProgress = (progress) => self.postMessage({ type: 'progress', requestId, ...progress });
+
+        const puzzle = await generator.generateCrossword({ seed: message.seed });
+        self.postMessage({ type: 'result', requestId, ...generator.getGenerationResult(puzzle) });
+    } catch (error) {
+        console.error('Crossword worker failed:', error);
+        self.postMessage({ type: 'error', requestId, message: error.message || String(error) });
+    }
+};
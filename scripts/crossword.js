@@ -18,11 +18,62 @@ class CrosswordConfig {
             placement: { maxAttempts: 200, ensureConnectivity: true, preventIsolatedLetters: true, density: 'medium' },
             rendering: { cellSize: 45, showNumbers: true, showClues: true, showGridLabels: true },
             difficulty: 'medium',
-            files: { wordListPath: './data/sample.csv', fallbackWords: [] }
+            theme: { name: null, entries: [] },
+            export: { title: 'Office Crossword', author: 'Office Crossword', copyright: '' },
+            generation: {
+                seed: null,
+                strategy: 'freeform',
+                fill: { maxSteps: 20000, patternAttempts: 10 },
+                candidates: { count: 5, timeBudgetMs: 2000 }
+            },
+            debug: { logGrid: false },
+            files: {
+                wordListPath: './data/sample.csv',
+                catalogPath: 'wordlists/catalog.json',
+                selectedLists: null,
+                listWeights: {},
+                fallbackWords: []
+            }
         };
         this.config = { ...this.defaultConfig };
     }
 
+    /**
+     * Tuning for each difficulty level.
+     * wordDifficulty is the preferred range of CrosswordGenerator.scoreWordDifficulty,
+     * blockAdjustment is added to blackSquares.percentage, wordCountFactor scales
+     * words.targetCount and givenLetters is the share of squares filled in at the start.
+     */
+    static get DIFFICULTY_PROFILES() {
+        return {
+            easy: {
+                label: 'Easy', minLength: 4, maxLength: 8, wordDifficulty: [0, 0.38],
+                blockAdjustment: 0.04, wordCountFactor: 0.8, givenLetters: 0.15
+            },
+            medium: {
+                label: 'Medium', minLength: 4, maxLength: 10, wordDifficulty: [0.25, 0.55],
+                blockAdjustment: 0, wordCountFactor: 1, givenLetters: 0.05
+            },
+            hard: {
+                label: 'Hard', minLength: 5, maxLength: 12, wordDifficulty: [0.42, 1],
+                blockAdjustment: -0.03, wordCountFactor: 1.25, givenLetters: 0
+            }
+        };
+    }
+
+    /**
+     * Returns the configured difficulty, falling back to medium for unknown values.
+     * @returns {string} - 'easy', 'medium' or 'hard'
+     */
+    getDifficulty() {
+        const difficulty = String(this.get('difficulty') || '').toLowerCase();
+        return difficulty in CrosswordConfig.DIFFICULTY_PROFILES ? difficulty : 'medium';
+    }
+
+    getDifficultyProfile() {
+        return CrosswordConfig.DIFFICULTY_PROFILES[this.getDifficulty()];
+    }
+
     async loadConfig() {
         try {
             const response = await fetch('config/crossword-config.json');
@@ -39,7 +90,7 @@ class CrosswordConfig {
             this.config = { ...this.defaultConfig };
         }
         
-        // Always try to load from cookies as override
+        // The word list selection saved in a cookie overrides the file's
         this.loadFromCookies();
         console.log('Final configuration:', this.config);
     }
@@ -93,7 +144,7 @@ class CrosswordConfig {
     setCookie(name, value, days = 30) {
         const expires = new Date();
         expires.setTime(expires.getTime() + (days * 24 * 60 * 60 * 1000));
-        document.cookie = `${name}=${JSON.stringify(value)};expires=${expires.toUTCString()};path=/`;
+        document.cookie = `${name}=${encodeURIComponent(JSON.stringify(value))};expires=${expires.toUTCString()};path=/`;
     }
 
     getCookie(name) {
@@ -102,7 +153,15 @@ class CrosswordConfig {
         for (let i = 0; i < ca.length; i++) {
             let c = ca[i];
             while (c.charAt(0) === ' ') c = c.substring(1, c.length);
-            if (c.indexOf(nameEQ) === 0) return JSON.parse(c.substring(nameEQ.length, c.length));
+            if (c.indexOf(nameEQ) === 0) {
+                // A cookie that doesn't decode (e.g. edited by hand) is ignored
+                try {
+                    return JSON.parse(decodeURIComponent(c.substring(nameEQ.length, c.length)));
+                } catch (error) {
+                    console.warn(`Ignoring unreadable cookie "${name}":`, error);
+                    return null;
+                }
+            }
         }
         return null;
     }
@@ -111,1910 +170,7936 @@ class CrosswordConfig {
         document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/;`;
     }
 
+    /**
+     * Applies the word list selection saved by saveToCookies. Anything else in the
+     * cookie (older versions saved the whole config) is ignored, so the config file
+     * stays in charge of every other setting.
+     */
     loadFromCookies() {
-        const cookieConfig = this.getCookie('crosswordConfig');
-        if (cookieConfig) {
-            this.config = { ...this.defaultConfig, ...cookieConfig };
+        const saved = this.getCookie('crosswordConfig');
+        const files = saved && saved.files;
+        if (!files) return;
+        
+        this.config.files = { ...this.get('files') };
+        if (Array.isArray(files.selectedLists)) {
+            this.config.files.selectedLists = files.selectedLists;
+        }
+        if (files.listWeights && typeof files.listWeights === 'object') {
+            this.config.files.listWeights = files.listWeights;
         }
     }
 
+    /**
+     * Saves the word list selection (files.selectedLists and files.listWeights), the
+     * only settings changed from the page.
+     */
     saveToCookies() {
-        this.setCookie('crosswordConfig', this.config);
+        this.setCookie('crosswordConfig', {
+            files: {
+                selectedLists: this.get('files.selectedLists'),
+                listWeights: this.get('files.listWeights')
+            }
+        });
     }
 }
 
 /**
- * Crossword Generator Class - Smart Intersection-First Approach
- * Analyzes word intersections, builds connection graphs, and creates professional crosswords.
+ * Seeded Pseudo-Random Number Generator
+ * Drives every random decision in generation so a seed always reproduces the same puzzle.
+ * Uses Mulberry32 by default; any factory returning a function that yields numbers in [0, 1)
+ * can be plugged in instead.
  */
-class CrosswordGenerator {
-    constructor(config) {
-        this.config = config;
-        this.gridSize = config.get('grid.size') || 15;
-        this.words = [];
-        this.clues = {};
-        this.crossword = null;
-        this.placedWords = [];
-        this.wordGraph = {};
+class SeededRandom {
+    constructor(seed, algorithm = SeededRandom.mulberry32) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.source = algorithm(this.seed);
     }
 
     /**
-     * Main method to generate a crossword puzzle using the words-first approach.
-     * @returns {Promise<Object>} - Generated crossword data
+     * Converts a seed given as a number or string into an unsigned 32-bit integer.
+     * Numeric strings keep their value so "48213" and 48213 are the same puzzle.
+     * @param {number|string} seed - Seed value
+     * @returns {number} - Normalized seed
      */
-    async generateCrossword() {
-        try {
-            console.log('Starting words-first crossword generation...');
-            
-            // Phase 1: Load words and build intersection graph
-            await this.loadWordsFromCSV();
-            const selectedWords = this.selectSmartWordSet();
-            console.log(`Selected ${selectedWords.length} words for crossword`);
-            
-            // Phase 2: Build comprehensive word connection graph
-            this.buildWordConnectionGraph(selectedWords);
-            console.log('Word connection graph built');
-            
-            // Phase 3: Generate crossword grid with strategic placement
-            const success = this.generateCrosswordGrid(selectedWords);
-            if (!success) {
-                throw new Error('Failed to generate valid crossword grid');
-            }
-            console.log('Crossword grid generated successfully');
-            
-            // Phase 4: Add professional black square patterns
-            this.addProfessionalBlackSquares();
-            console.log('Professional black squares added');
-            
-            return {
-                grid: this.crossword,
-                words: this.placedWords,
-                size: this.gridSize
-            };
-        } catch (error) {
-            console.error('Error in generateCrossword:', error);
-            console.error('Error details:', {
-                wordsLoaded: this.words ? this.words.length : 0,
-                selectedWords: selectedWords ? selectedWords.length : 0,
-                errorMessage: error.message,
-                stack: error.stack
-            });
-            throw error;
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
         }
+        const text = String(seed === undefined || seed === null ? '' : seed).trim();
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10) >>> 0;
+        }
+        return SeededRandom.hashString(text);
     }
 
     /**
-     * Loads words and clues from CSV file.
-     * @returns {Promise<void>}
+     * Hashes a string to an unsigned 32-bit integer (FNV-1a).
+     * @param {string} text - Text to hash
+     * @returns {number} - Hash value
      */
-    async loadWordsFromCSV() {
-        try {
-            console.log('Loading words from CSV...');
-            const response = await fetch(this.config.get('files.wordListPath'));
-            
-            if (!response.ok) {
-                throw new Error(`Failed to fetch CSV: ${response.status} ${response.statusText}`);
-            }
-            
-            const csvText = await response.text();
-            const lines = csvText.split('\n').filter(line => line.trim());
-            
-            if (lines.length < 2) {
-                throw new Error('CSV file is too short or empty');
-            }
-            
-            const startIndex = lines[0].toLowerCase().includes('clue') ? 1 : 0;
-            
-            this.words = [];
-            this.clues = {};
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Mulberry32 - small, fast 32-bit generator.
+     * @param {number} seed - Normalized seed
+     * @returns {Function} - Function returning numbers in [0, 1)
+     */
+    static mulberry32(seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Picks a fresh, human-friendly seed for a new random puzzle.
+     * @returns {number} - Seed between 1 and 99999
+     */
+    static randomSeed() {
+        return 1 + Math.floor(Math.random() * 99999);
+    }
+
+    next() {
+        return this.source();
+    }
+
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+}
+
+/**
+ * Daily Puzzle Helpers
+ * Maps calendar dates (local time, YYYY-MM-DD keys) to puzzle seeds so everyone
+ * opening the page on the same day gets the same puzzle.
+ */
+class DailyPuzzle {
+    /**
+     * Formats a date as a YYYY-MM-DD key in local time.
+     * @param {Date} [date] - Date to format (defaults to now)
+     * @returns {string} - Date key
+     */
+    static toKey(date = new Date()) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    static todayKey() {
+        return DailyPuzzle.toKey(new Date());
+    }
+
+    /**
+     * Parses a YYYY-MM-DD key back into a local Date.
+     * @param {string} key - Date key
+     * @returns {Date|null} - Parsed date, or null if the key is invalid
+     */
+    static fromKey(key) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+        if (!match) return null;
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return DailyPuzzle.toKey(date) === key ? date : null;
+    }
+
+    /**
+     * Moves a date key by a number of days.
+     * @param {string} key - Date key
+     * @param {number} days - Days to move (negative for earlier)
+     * @returns {string|null} - Shifted date key, or null if the key is invalid
+     */
+    static shiftKey(key, days) {
+        const date = DailyPuzzle.fromKey(key);
+        if (!date) return null;
+        date.setDate(date.getDate() + days);
+        return DailyPuzzle.toKey(date);
+    }
+
+    /**
+     * Derives the seed for a day's puzzle from the date and the word list in use.
+     * @param {string} key - Date key
+     * @param {string} wordListKey - Identifies the word list(s) the puzzle is built from
+     * @returns {number} - Puzzle seed
+     */
+    static seedFor(key, wordListKey) {
+        return SeededRandom.hashString(`daily:${key}:${wordListKey}`);
+    }
+
+    /**
+     * @param {string} key - Date key
+     * @returns {string|null} - e.g. "Monday, October 19, 2026", or null if the key is invalid
+     */
+    static formatLabel(key) {
+        const date = DailyPuzzle.fromKey(key);
+        if (!date) return null;
+        return date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    }
+}
+
+/**
+ * Word List Parser
+ * RFC 4180 CSV parsing plus the validation rules every word list goes through.
+ */
+class WordListParser {
+    /**
+     * Parses delimited text into records. Handles quoted fields, escaped quotes (""),
+     * delimiters and line breaks inside quotes, CRLF/LF/CR line endings and a leading BOM.
+     * @param {string} text - Raw file contents
+     * @param {string} [delimiter] - Field delimiter
+     * @returns {Array} - Records as { fields, line, error? }, line being the 1-based line the record starts on
+     */
+    static parseCSV(text, delimiter = ',') {
+        const records = [];
+        const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+        
+        let fields = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+        
+        const endRecord = () => {
+            fields.push(field);
+            records.push({ fields, line: recordLine });
+            fields = [];
+            field = '';
+        };
+        
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
             
-            for (let i = startIndex; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (line) {
-                    const parts = line.split(',');
-                    if (parts.length >= 2) {
-                        // CSV format is: clue,word (not word,clue)
-                        const clue = parts[0].replace(/"/g, '').trim();
-                        const word = parts[1].trim().toLowerCase();
-                        
-                        console.log(`Processing: clue="${clue}", word="${word}"`);
-                        
-                        // STRICT WORD VALIDATION - Only allow valid English words
-                        if (word.length >= this.config.get('words.minLength') && 
-                            word.length <= this.config.get('words.maxLength') &&
-                            /^[a-z]+$/.test(word)) {
-                            // Temporarily disable strict validation for debugging
-                            // if (this.isValidEnglishWord(word)) {
-                                this.words.push(word);
-                                this.clues[word] = clue;
-                                console.log(`Added word: "${word}" with clue: "${clue}"`);
-                            // }
-                        } else {
-                            console.log(`Rejected word: "${word}" - length: ${word.length}, valid: ${/^[a-z]+$/.test(word)}`);
-                        }
+            if (inQuotes) {
+                if (char === '"') {
+                    if (input[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
                     }
+                } else {
+                    if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+                    field += char;
                 }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
             }
-            
-            console.log(`Loaded ${this.words.length} words with clues from CSV`);
-            console.log('First 5 words loaded:', this.words.slice(0, 5));
-            console.log('Sample clues:', Object.entries(this.clues).slice(0, 3));
-            
-            // If no words loaded, add some fallback words
-            if (this.words.length === 0) {
-                console.warn('No words loaded from CSV, adding fallback words');
-                const fallbackWords = [
-                    'crossword', 'puzzle', 'letters', 'words', 'clues',
-                    'answer', 'solution', 'game', 'play', 'fun',
-                    'brain', 'think', 'learn', 'study', 'knowledge'
-                ];
-                this.words = fallbackWords;
-                fallbackWords.forEach(word => {
-                    this.clues[word] = `A ${word.length}-letter word`;
-                });
-                console.log('Added fallback words:', this.words);
-            }
-            
-        } catch (error) {
-            console.error('Error loading words from CSV:', error);
-            throw error;
         }
+        
+        if (inQuotes) {
+            fields.push(field);
+            records.push({ fields, line: recordLine, error: 'Unterminated quoted field' });
+        } else if (field !== '' || fields.length > 0) {
+            endRecord();
+        }
+        
+        // Blank lines carry no data
+        return records.filter(record => record.error || record.fields.some(f => f.trim() !== ''));
     }
 
     /**
-     * Validates if a word is a legitimate English word.
-     * @param {string} word - Word to validate
-     * @returns {boolean} - True if word is valid
+     * Guesses the delimiter from the first line: tab-separated if it has tabs and no more commas.
+     * @param {string} text - Raw file contents
+     * @returns {string} - ',' or '\t'
      */
-    isValidEnglishWord(word) {
-        // Must be at least 3 characters
-        if (word.length < 3) return false;
-        
-        // Must contain at least one vowel
-        if (!/[aeiou]/.test(word)) return false;
-        
-        // Must not contain only consonants
-        if (/^[bcdfghjklmnpqrstvwxyz]+$/.test(word)) return false;
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r\n|\r|\n/).find(line => line.trim() !== '') || '';
+        const tabs = (firstLine.match(/\t/g) || []).length;
+        const commas = (firstLine.match(/,/g) || []).length;
+        return tabs > 0 && tabs >= commas ? '\t' : ',';
+    }
+
+    /**
+     * Finds the columns in a header row. Only clue and word are required; the optional
+     * columns are difficulty, tags (or theme), author and alternative clues, given either
+     * as numbered columns (clue2, clue3, ...) or as one "alt clues" column separated by |.
+     * @param {Array} fields - Header fields
+     * @returns {Object|null} - Column indexes { clue, word, difficulty, tags, author, altClues },
+     *     -1 (or an empty altClues array) for absent columns, or null if this isn't a header
+     */
+    static detectColumns(fields) {
+        const names = fields.map(f => f.trim().toLowerCase());
+        const find = (aliases) => names.findIndex(name => aliases.includes(name));
         
-        // Must not be all the same letter
-        if (/^(.)\1+$/.test(word)) return false;
+        const clue = find(['clue', 'clues', 'hint']);
+        const word = find(['word', 'answer', 'solution']);
         
-        // Must not contain common non-word patterns
-        const invalidPatterns = [
-            /^[bcdfghjklmnpqrstvwxyz]{4,}$/, // 4+ consonants in a row
-            /[bcdfghjklmnpqrstvwxyz]{5,}/,   // 5+ consonants anywhere
-            /^[aeiou]{3,}$/,                  // 3+ vowels in a row at start
-            /[aeiou]{4,}/,                    // 4+ vowels anywhere
-            /^[bcdfghjklmnpqrstvwxyz]{3,}[aeiou]?$/, // 3+ consonants at start
-            /[aeiou]?[bcdfghjklmnpqrstvwxyz]{3,}$/  // 3+ consonants at end
-        ];
+        if (clue === -1 && word === -1) return null;
         
-        for (const pattern of invalidPatterns) {
-            if (pattern.test(word)) return false;
-        }
+        const altClues = [];
+        names.forEach((name, index) => {
+            if (/^(clue|hint)\s*_?\d+$/.test(name) || ['alt clues', 'alt_clues', 'alternate clues', 'alternative clues'].includes(name)) {
+                if (index !== clue) altClues.push(index);
+            }
+        });
         
-        return true;
+        return {
+            clue,
+            word,
+            difficulty: find(['difficulty', 'level']),
+            tags: find(['tags', 'tag', 'theme', 'themes']),
+            author: find(['author', 'by', 'contributor']),
+            altClues
+        };
     }
 
     /**
-     * Selects a smart set of words that can create good intersections.
-     * Analyzes word compatibility and prioritizes words with many possible connections.
-     * @returns {Array} - Array of selected words
+     * Reads a difficulty cell: easy/medium/hard, their initials or 1-3.
+     * @param {string} value - Cell contents
+     * @returns {string|null|undefined} - The difficulty, null when blank, undefined when unrecognized
      */
-    selectSmartWordSet() {
-        const minLength = this.config.get('words.minLength');
-        const maxLength = this.config.get('words.maxLength');
-        const targetCount = Math.min(this.config.get('words.targetCount'), 20); // Cap at 20 for better quality
-        
-        console.log(`Smart word selection: minLength=${minLength}, maxLength=${maxLength}, targetCount=${targetCount}`);
-        
-        // Filter words by length requirements and additional quality checks
-        const validWords = this.words.filter(word => 
-            word.length >= minLength && 
-            word.length <= maxLength &&
-            this.isValidEnglishWord(word) &&
-            word.length >= 4  // Minimum 4 letters for better quality
-        );
-        
-        // Group words by length for better intersection potential
-        const wordsByLength = {};
-        for (const word of validWords) {
-            const len = word.length;
-            if (!wordsByLength[len]) wordsByLength[len] = [];
-            wordsByLength[len].push(word);
+    static parseDifficulty(value) {
+        const text = (value || '').trim().toLowerCase();
+        if (!text) return null;
+        const aliases = {
+            easy: 'easy', e: 'easy', 1: 'easy',
+            medium: 'medium', m: 'medium', 2: 'medium',
+            hard: 'hard', h: 'hard', 3: 'hard'
+        };
+        return aliases[text];
+    }
+
+    static splitList(value) {
+        return (value || '').split(/[|;]/).map(item => item.trim()).filter(item => item !== '');
+    }
+
+    /**
+     * Parses and validates a word list. Columns come from the header when there is one;
+     * headerless files use the original clue,word order. A word repeated with a different
+     * clue adds that clue as a variant of the first entry rather than a new entry.
+     * @param {string} text - Raw file contents
+     * @param {Object} [options] - Validation options
+     * @param {number} [options.minLength] - Minimum word length
+     * @param {number} [options.maxLength] - Maximum word length
+     * @param {string} [options.delimiter] - Field delimiter; detected from the first line if omitted
+     * @returns {Object} - { entries: [{ word, clue, line, clues, tags, author }], rejected: [{ line, reason, raw }] },
+     *     where clues lists every variant as { text, difficulty, tags, author } and clue is the first
+     */
+    static parseWordList(text, options = {}) {
+        const minLength = options.minLength || 3;
+        const maxLength = options.maxLength || 15;
+        const delimiter = options.delimiter || WordListParser.detectDelimiter(text);
+        
+        const records = WordListParser.parseCSV(text, delimiter);
+        if (records.length === 0) {
+            throw new Error('Word list is empty');
         }
         
-        // Select a balanced mix of word lengths
-        const selected = [];
-        const targetLengths = [8, 7, 6, 9, 5, 10, 4, 11, 12, 3]; // Priority order
-        
-        for (const length of targetLengths) {
-            if (wordsByLength[length] && selected.length < targetCount) {
-                const wordsOfLength = wordsByLength[length];
-                const shuffle = this.shuffleArray([...wordsOfLength]);
-                const needed = Math.min(targetCount - selected.length, Math.ceil(targetCount / 4));
-                
-                selected.push(...shuffle.slice(0, needed));
+        let columns = WordListParser.detectColumns(records[0].fields);
+        let dataRecords = records;
+        if (columns) {
+            if (columns.word === -1 || columns.clue === -1) {
+                const missing = columns.word === -1 ? 'word/answer' : 'clue';
+                throw new Error(`Word list header has no "${missing}" column (line ${records[0].line})`);
             }
+            dataRecords = records.slice(1);
+        } else {
+            columns = { clue: 0, word: 1, difficulty: -1, tags: -1, author: -1, altClues: [] };
         }
         
-        // Fill remaining slots with random words
-        const remaining = targetCount - selected.length;
-        if (remaining > 0) {
-            const allValid = validWords.filter(w => !selected.includes(w));
-            const randomWords = this.shuffleArray([...allValid]).slice(0, remaining);
-            selected.push(...randomWords);
+        const entries = [];
+        const rejected = [];
+        const seen = {};
+        const cell = (record, index) => index === -1 ? '' : (record.fields[index] || '').trim();
+        
+        for (const record of dataRecords) {
+            const raw = record.fields.join(delimiter);
+            const reject = (reason) => rejected.push({ line: record.line, reason, raw });
+            
+            if (record.error) {
+                reject(record.error);
+                continue;
+            }
+            
+            const clue = cell(record, columns.clue);
+            const word = cell(record, columns.word).toLowerCase();
+            const difficulty = WordListParser.parseDifficulty(cell(record, columns.difficulty));
+            const tags = WordListParser.splitList(cell(record, columns.tags)).map(tag => tag.toLowerCase());
+            const author = cell(record, columns.author) || null;
+            const variants = [{ text: clue, difficulty, tags, author }];
+            for (const index of columns.altClues) {
+                for (const text of WordListParser.splitList(cell(record, index))) {
+                    variants.push({ text, difficulty: null, tags, author });
+                }
+            }
+            
+            if (!word) {
+                reject('Missing word');
+            } else if (!clue) {
+                reject('Missing clue');
+            } else if (!/^[a-z]+$/.test(word)) {
+                reject(`Word "${word}" contains characters other than letters`);
+            } else if (word.length < minLength) {
+                reject(`Word "${word}" is too short (${word.length} letters, minimum ${minLength})`);
+            } else if (word.length > maxLength) {
+                reject(`Word "${word}" is too long (${word.length} letters, maximum ${maxLength})`);
+            } else if (difficulty === undefined) {
+                reject(`Unknown difficulty "${cell(record, columns.difficulty)}" (use easy, medium or hard)`);
+            } else if (seen[word]) {
+                const entry = seen[word];
+                const known = new Set(entry.clues.map(variant => variant.text.toLowerCase()));
+                const added = variants.filter(variant => !known.has(variant.text.toLowerCase()));
+                if (added.length === 0) {
+                    reject(`Duplicate word "${word}" (first seen on line ${entry.line})`);
+                    continue;
+                }
+                entry.clues.push(...added);
+                entry.tags = [...new Set([...entry.tags, ...tags])];
+            } else {
+                const entry = { word, clue, line: record.line, clues: variants, tags, author };
+                seen[word] = entry;
+                entries.push(entry);
+            }
         }
         
-        console.log(`Selected ${selected.length} smart words with balanced lengths`);
-        return selected;
+        return { entries, rejected };
+    }
+}
+
+/**
+ * Grid Analyzer
+ * Stateless checks on finished grids ('#' = block, '' = empty, letters = answers).
+ */
+class GridAnalyzer {
+    static get SYMMETRY_TYPES() {
+        return ['rotational', 'mirror', 'diagonal'];
     }
 
     /**
-     * Shuffles an array using Fisher-Yates algorithm.
-     * @param {Array} array - Array to shuffle
-     * @returns {Array} - Shuffled array
+     * Returns the cells a block must be mirrored to under a symmetry type.
+     * Cells that map onto themselves (e.g. the center under rotation) have no partner.
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     * @param {number} size - Grid size
+     * @param {string} type - 'rotational' (180 degrees), 'mirror' (left-right), 'diagonal' or 'none'
+     * @returns {Array} - Array of [row, col] partners
      */
-    shuffleArray(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    static getSymmetricPartners(row, col, size, type) {
+        let partner = null;
+        if (type === 'rotational') {
+            partner = [size - 1 - row, size - 1 - col];
+        } else if (type === 'mirror') {
+            partner = [row, size - 1 - col];
+        } else if (type === 'diagonal') {
+            partner = [col, row];
         }
-        return shuffled;
+        
+        if (!partner || (partner[0] === row && partner[1] === col)) return [];
+        return [partner];
     }
 
     /**
-     * Analyzes which words can intersect with each other.
-     * Creates a graph of possible word connections.
-     * @param {Array} words - Array of words to analyze
-     * @returns {Object} - Word intersection graph
+     * Reports whether the block pattern of a grid has the given symmetry. Every square
+     * without a letter counts as a block, whether it holds '#' or is left empty.
+     * @param {Array} grid - 2D grid
+     * @param {string} type - Symmetry type
+     * @returns {Object} - { type, symmetric, violations: [[row, col], ...] }
      */
-    analyzeWordIntersections(words) {
-        const graph = {};
+    static validateSymmetry(grid, type) {
+        const size = grid.length;
+        const violations = [];
         
-        for (let i = 0; i < words.length; i++) {
-            const word1 = words[i];
-            graph[word1] = [];
-            
-            for (let j = 0; j < words.length; j++) {
-                if (i === j) continue;
-                
-                const word2 = words[j];
-                const intersections = this.findWordIntersections(word1, word2);
-                
-                if (intersections.length > 0) {
-                    graph[word1].push({
-                        word: word2,
-                        intersections: intersections
-                    });
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const isBlock = !GridAnalyzer.isLetter(grid[row][col]);
+                for (const [r, c] of GridAnalyzer.getSymmetricPartners(row, col, size, type)) {
+                    if (!GridAnalyzer.isLetter(grid[r][c]) !== isBlock) {
+                        violations.push([row, col]);
+                    }
                 }
             }
         }
         
-        return graph;
+        return { type, symmetric: violations.length === 0, violations };
+    }
+
+    static isLetter(cell) {
+        return cell !== '' && cell !== '#' && cell !== undefined;
     }
 
     /**
-     * Finds all possible intersections between two words.
-     * @param {string} word1 - First word
-     * @param {string} word2 - Second word
-     * @returns {Array} - Array of intersection points
+     * Finds every across and down entry (run of two or more letters), numbered with
+     * getCellNumbers so every view and export of a puzzle shares one numbering.
+     * @param {Array} grid - 2D grid; rows may be longer than the grid is tall
+     * @param {Array} [words] - Placed words, passed on to getCellNumbers
+     * @returns {Array} - Entries { row, col, horizontal, length, number, answer }, across before down on a shared square
      */
-    findWordIntersections(word1, word2) {
-        const intersections = [];
-        
-        // Only find intersections for valid words
-        if (word1.length < 3 || word2.length < 3) {
-            return intersections;
-        }
-        
-        for (let i = 0; i < word1.length; i++) {
-            for (let j = 0; j < word2.length; j++) {
-                if (word1[i] === word2[j]) {
-                    // Prefer intersections that create meaningful word segments
-                    const score = this.calculateIntersectionScore(word1, word2, i, j);
-                    intersections.push({
-                        word1Index: i,
-                        word2Index: j,
-                        letter: word1[i],
-                        score: score
-                    });
+    static findEntries(grid, words = []) {
+        const numbers = GridAnalyzer.getCellNumbers(grid, words);
+        const entries = [];
+        
+        for (let row = 0; row < grid.length; row++) {
+            for (let col = 0; col < grid[row].length; col++) {
+                const starts = GridAnalyzer.getEntryStarts(grid, row, col);
+                for (const horizontal of [true, false]) {
+                    if (horizontal ? !starts.across : !starts.down) continue;
+                    let answer = '';
+                    let r = row;
+                    let c = col;
+                    while (r < grid.length && GridAnalyzer.isLetter(grid[r][c])) {
+                        answer += grid[r][c];
+                        if (horizontal) c++; else r++;
+                    }
+                    entries.push({ row, col, horizontal, length: answer.length, number: numbers[`${row},${col}`], answer });
                 }
             }
         }
         
-        // Sort intersections by quality score
-        intersections.sort((a, b) => b.score - a.score);
-        
-        return intersections;
+        return entries;
     }
 
     /**
-     * Calculates a quality score for an intersection between two words.
-     * @param {string} word1 - First word
-     * @param {string} word2 - Second word
-     * @param {number} index1 - Index in first word
-     * @param {number} index2 - Index in second word
-     * @returns {number} - Quality score (higher is better)
+     * Checks whether a square starts an across and/or a down entry.
+     * @returns {Object} - { across, down }
      */
-    calculateIntersectionScore(word1, word2, index1, index2) {
-        let score = 0;
-        
-        // Prefer intersections near the middle of words
-        const mid1 = word1.length / 2;
-        const mid2 = word2.length / 2;
-        const distFromMid1 = Math.abs(index1 - mid1);
-        const distFromMid2 = Math.abs(index2 - mid2);
-        
-        score += (word1.length - distFromMid1) + (word2.length - distFromMid2);
-        
-        // Prefer longer words
-        score += word1.length + word2.length;
-        
-        // Bonus for common letters (e, a, r, t, o, i, n, s)
-        const commonLetters = ['e', 'a', 'r', 't', 'o', 'i', 'n', 's'];
-        if (commonLetters.includes(word1[index1])) {
-            score += 5;
+    static getEntryStarts(grid, row, col) {
+        const isLetter = (r, c) => r >= 0 && r < grid.length && GridAnalyzer.isLetter(grid[r][c]);
+        if (!isLetter(row, col)) return { across: false, down: false };
+        return {
+            across: !isLetter(row, col - 1) && isLetter(row, col + 1),
+            down: !isLetter(row - 1, col) && isLetter(row + 1, col)
+        };
+    }
+
+    /**
+     * Standard cell numbering: each square that starts an across or down entry gets the
+     * next number, scanning row by row, and entries starting on the same square share it.
+     * This is the one numbering used on screen, in print and in every export.
+     * @param {Array} grid - 2D grid
+     * @param {Array} [words] - Placed words; their start squares are numbered even when a
+     *     word sits inside a longer run, so every clue keeps a number
+     * @returns {Object} - Map of "row,col" to number
+     */
+    static getCellNumbers(grid, words = []) {
+        const starts = new Set(words.map(word => `${word.row},${word.col}`));
+        for (let row = 0; row < grid.length; row++) {
+            for (let col = 0; col < grid[row].length; col++) {
+                const entryStarts = GridAnalyzer.getEntryStarts(grid, row, col);
+                if (entryStarts.across || entryStarts.down) starts.add(`${row},${col}`);
+            }
         }
         
-        return score;
+        const numbers = {};
+        let number = 0;
+        for (let row = 0; row < grid.length; row++) {
+            for (let col = 0; col < grid[row].length; col++) {
+                const key = `${row},${col}`;
+                if (starts.has(key)) numbers[key] = ++number;
+            }
+        }
+        return numbers;
     }
 
     /**
-     * Designs the grid layout based on selected words and their intersections.
-     * @param {Array} words - Selected words
-     * @param {Object} wordGraph - Word intersection graph
-     * @returns {Object} - Grid layout design
+     * Groups letter cells into connected regions (4-neighbour flood fill).
+     * @param {Array} grid - 2D grid
+     * @returns {Array} - Regions as arrays of [row, col], largest first
      */
-    designGridLayout(words, wordGraph) {
-        console.log('=== DESIGNING GRID LAYOUT ===');
-        console.log('Words to place:', words);
-        console.log('Word graph:', wordGraph);
-        
-        // Start with a central word
-        const centralWord = words.find(w => w.length >= 5) || words[0];
-        const center = Math.floor(this.gridSize / 2);
-        
-        console.log('Central word:', centralWord, 'at center:', center);
-        
-        const layout = {
-            centralWord: centralWord,
-            centerRow: center,
-            centerCol: Math.floor(center - centralWord.length / 2),
-            wordPositions: [],
-            blackSquares: []
-        };
-        
-        console.log('Initial layout:', layout);
-        
-        // Place central word horizontally
-        layout.wordPositions.push({
-            word: centralWord,
-            row: center,
-            col: layout.centerCol,
-            horizontal: true,
-            number: 1
-        });
-        
-        console.log('After placing central word:', layout.wordPositions);
+    static findLetterRegions(grid) {
+        const size = grid.length;
+        const visited = grid.map(row => row.map(() => false));
+        const regions = [];
         
-        // Design black squares around the central word
-        this.designBlackSquaresAroundWord(layout, centralWord, center, layout.centerCol, true);
-        
-        // Plan placement of other words
-        this.planWordPlacements(layout, words, wordGraph);
-        
-        console.log('Final layout:', layout);
-        console.log('Total word positions:', layout.wordPositions.length);
-        console.log('Total black squares:', layout.blackSquares.length);
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                if (visited[row][col] || !GridAnalyzer.isLetter(grid[row][col])) continue;
+                
+                const region = [];
+                const stack = [[row, col]];
+                visited[row][col] = true;
+                while (stack.length > 0) {
+                    const [r, c] = stack.pop();
+                    region.push([r, c]);
+                    for (const [nr, nc] of [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]]) {
+                        if (nr >= 0 && nr < size && nc >= 0 && nc < size &&
+                            !visited[nr][nc] && GridAnalyzer.isLetter(grid[nr][nc])) {
+                            visited[nr][nc] = true;
+                            stack.push([nr, nc]);
+                        }
+                    }
+                }
+                regions.push(region);
+            }
+        }
         
-        return layout;
+        return regions.sort((a, b) => b.length - a.length);
     }
 
     /**
-     * Designs black squares around a placed word to create proper boundaries.
-     * @param {Object} layout - Grid layout object
-     * @param {string} word - Word to design around
-     * @param {number} row - Word row position
-     * @param {number} col - Word column position
-     * @param {boolean} horizontal - Whether word is horizontal
+     * Finds letter cells that aren't part of any placed word.
+     * @param {Array} grid - 2D grid
+     * @param {Array} words - Placed words ({ word, row, col, horizontal })
+     * @returns {Array} - Array of [row, col]
      */
-    designBlackSquaresAroundWord(layout, word, row, col, horizontal) {
-        if (horizontal) {
-            // Only add black squares at word boundaries (start/end)
-            if (col > 0) {
-                layout.blackSquares.push([row, col - 1]);
-            }
-            if (col + word.length < this.gridSize) {
-                layout.blackSquares.push([row, col + word.length]);
+    static findUncoveredLetters(grid, words) {
+        const covered = new Set();
+        for (const word of words) {
+            for (let i = 0; i < word.word.length; i++) {
+                covered.add(word.horizontal ? `${word.row},${word.col + i}` : `${word.row + i},${word.col}`);
             }
-            
-            // Occasionally add a black square above or below (much less frequently)
-            if (Math.random() > 0.9) { // Reduced from 0.7 to 0.9
-                const randomCol = col + Math.floor(Math.random() * word.length);
-                if (row > 0) {
-                    layout.blackSquares.push([row - 1, randomCol]);
-                }
-                if (row < this.gridSize - 1) {
-                    layout.blackSquares.push([row + 1, randomCol]);
-                }
-            }
-        } else {
-            // Vertical word - similar conservative approach
-            if (row > 0) {
-                layout.blackSquares.push([row - 1, col]);
+        }
+        
+        const uncovered = [];
+        grid.forEach((cells, row) => cells.forEach((cell, col) => {
+            if (GridAnalyzer.isLetter(cell) && !covered.has(`${row},${col}`)) {
+                uncovered.push([row, col]);
             }
-            if (row + word.length < this.gridSize) {
-                layout.blackSquares.push([row + word.length, col]);
+        }));
+        return uncovered;
+    }
+
+    /**
+     * Finds letter runs that aren't placed words: every maximal run of two or more
+     * letters, across or down, must be exactly one of the words. Runs formed by letters
+     * of neighbouring words, or a word extended by an adjacent letter, are reported.
+     * @param {Array} grid - 2D grid
+     * @param {Array} words - Placed words ({ word, row, col, horizontal })
+     * @returns {Array} - Unintended runs { row, col, horizontal, length, answer }
+     */
+    static findUnintendedWords(grid, words) {
+        const placed = new Set(words.map(word => `${word.row},${word.col},${word.horizontal},${word.word}`));
+        return GridAnalyzer.findEntries(grid)
+            .filter(entry => !placed.has(`${entry.row},${entry.col},${entry.horizontal},${entry.answer}`))
+            .map(({ row, col, horizontal, length, answer }) => ({ row, col, horizontal, length, answer }));
+    }
+
+    /**
+     * Rates a finished grid from 0 to 100. The parts, each scaled to 0-1 and weighted:
+     * fill ratio (letter squares, full marks at half the grid), crossings per word (full
+     * marks at two), checked letters (squares in both an across and a down word),
+     * across/down balance (only with options.balanceAcrossDown) and unused area
+     * (squares with no letter in or next to them, lower is better).
+     * @param {Array} grid - 2D grid
+     * @param {Array} words - Placed words
+     * @param {Object} [options] - { balanceAcrossDown }
+     * @returns {Object} - { total, fillRatio, intersectionsPerWord, checkedRatio, balance, emptyArea, across, down }
+     */
+    static scoreGrid(grid, words, options = {}) {
+        const across = new Set();
+        const down = new Set();
+        for (const word of words) {
+            for (let i = 0; i < word.word.length; i++) {
+                const key = word.horizontal ? `${word.row},${word.col + i}` : `${word.row + i},${word.col}`;
+                (word.horizontal ? across : down).add(key);
             }
-            
-            // Occasionally add a black square to the left or right
-            if (Math.random() > 0.9) { // Reduced from 0.7 to 0.9
-                const randomRow = row + Math.floor(Math.random() * word.length);
-                if (col > 0) {
-                    layout.blackSquares.push([randomRow, col - 1]);
+        }
+        
+        const isLetter = (row, col) => row >= 0 && row < grid.length && GridAnalyzer.isLetter(grid[row][col]);
+        let squares = 0;
+        let letters = 0;
+        let checked = 0;
+        let unused = 0;
+        for (let row = 0; row < grid.length; row++) {
+            for (let col = 0; col < grid[row].length; col++) {
+                squares++;
+                const key = `${row},${col}`;
+                if (isLetter(row, col)) {
+                    letters++;
+                    if (across.has(key) && down.has(key)) checked++;
+                    continue;
                 }
-                if (col < this.gridSize - 1) {
-                    layout.blackSquares.push([randomRow, col + 1]);
+                let nearLetter = false;
+                for (let dr = -1; dr <= 1 && !nearLetter; dr++) {
+                    for (let dc = -1; dc <= 1 && !nearLetter; dc++) {
+                        nearLetter = isLetter(row + dr, col + dc);
+                    }
                 }
+                if (!nearLetter) unused++;
             }
         }
+        
+        const acrossCount = words.filter(word => word.horizontal).length;
+        const downCount = words.length - acrossCount;
+        const fillRatio = squares ? letters / squares : 0;
+        // Each checked square is where two words cross
+        const intersectionsPerWord = words.length ? checked * 2 / words.length : 0;
+        const checkedRatio = letters ? checked / letters : 0;
+        const balance = words.length ? 1 - Math.abs(acrossCount - downCount) / words.length : 0;
+        const emptyArea = squares ? unused / squares : 0;
+        
+        const parts = [
+            [Math.min(1, fillRatio / 0.5), 0.25],
+            [Math.min(1, intersectionsPerWord / 2), 0.25],
+            [checkedRatio, 0.2],
+            [balance, options.balanceAcrossDown ? 0.15 : 0],
+            [1 - emptyArea, 0.15]
+        ];
+        const weight = parts.reduce((sum, [, w]) => sum + w, 0);
+        const total = parts.reduce((sum, [value, w]) => sum + value * w, 0) / weight;
+        const round = (value) => Math.round(value * 100) / 100;
+        
+        return {
+            total: Math.round(total * 100),
+            fillRatio: round(fillRatio),
+            intersectionsPerWord: round(intersectionsPerWord),
+            checkedRatio: round(checkedRatio),
+            balance: round(balance),
+            emptyArea: round(emptyArea),
+            across: acrossCount,
+            down: downCount
+        };
     }
+}
 
+/**
+ * Constraint-Solver Fill Engine
+ * Builds a block pattern in which every white square belongs to both an across and a
+ * down entry, then fills every slot from the word list by backtracking. The slot with
+ * the fewest remaining candidates is filled first, and each choice is checked against
+ * its crossing slots before going deeper.
+ */
+class CrosswordFiller {
     /**
-     * Plans the placement of remaining words based on intersections.
-     * @param {Object} layout - Grid layout object
-     * @param {Array} words - Words to place
-     * @param {Object} wordGraph - Word intersection graph
+     * @param {Array} words - Candidate answers (lowercase letters only)
+     * @param {Object} options - Fill options
+     * @param {number} options.size - Grid size
+     * @param {number} options.minLength - Shortest allowed entry
+     * @param {number} options.blockPercentage - Share of squares to turn into blocks
+     * @param {string} options.symmetry - Symmetry type for the block pattern
+     * @param {SeededRandom} options.random - Random source
+     * @param {number} [options.maxSteps] - Search steps allowed per pattern before giving up
+     * @param {Array} [options.pinned] - Entries { word, row, col, horizontal } every pattern must contain
      */
-    planWordPlacements(layout, words, wordGraph) {
-        const remainingWords = words.filter(w => w !== layout.centralWord);
+    constructor(words, options) {
+        this.size = options.size;
+        this.minLength = Math.max(2, options.minLength || 3);
+        this.blockPercentage = options.blockPercentage || 0.15;
+        this.symmetry = options.symmetry || 'none';
+        this.random = options.random;
+        this.maxSteps = options.maxSteps || 20000;
+        this.pinned = options.pinned || [];
+        this.buildIndex(words);
+        this.indexPinned();
+    }
+
+    /**
+     * Indexes words by length and by letter at each position as bitsets, so the
+     * candidates for a partly filled slot are the AND of a few bitsets.
+     * @param {Array} words - Candidate answers
+     */
+    buildIndex(words) {
+        this.wordsByLength = {};
+        this.letterIndex = {};
+        
+        for (const word of new Set(words)) {
+            if (!/^[a-z]+$/.test(word) || word.length < this.minLength || word.length > this.size) continue;
+            if (!this.wordsByLength[word.length]) this.wordsByLength[word.length] = [];
+            this.wordsByLength[word.length].push(word);
+        }
         
-        for (const word of remainingWords) {
-            // Find best intersection with already placed words
-            const bestPlacement = this.findBestWordPlacement(word, layout.wordPositions, wordGraph);
-            
-            if (bestPlacement) {
-                layout.wordPositions.push(bestPlacement);
-                this.designBlackSquaresAroundWord(
-                    layout, 
-                    word, 
-                    bestPlacement.row, 
-                    bestPlacement.col, 
-                    bestPlacement.horizontal
-                );
+        for (const [length, list] of Object.entries(this.wordsByLength)) {
+            const blocks = Math.ceil(list.length / 32);
+            const positions = [];
+            for (let pos = 0; pos < Number(length); pos++) {
+                const letters = [];
+                for (let letter = 0; letter < 26; letter++) letters.push(new Uint32Array(blocks));
+                positions.push(letters);
             }
+            list.forEach((word, index) => {
+                for (let pos = 0; pos < word.length; pos++) {
+                    positions[pos][word.charCodeAt(pos) - 97][index >>> 5] |= 1 << (index & 31);
+                }
+            });
+            this.letterIndex[length] = positions;
         }
+        
+        this.availableLengths = Object.keys(this.wordsByLength).map(Number);
+        this.maxAvailableLength = Math.max(0, ...this.availableLengths);
     }
 
     /**
-     * Finds the best placement for a word based on intersections.
-     * @param {string} word - Word to place
-     * @param {Array} placedWords - Already placed words
-     * @param {Object} wordGraph - Word intersection graph
-     * @returns {Object|null} - Best placement or null if none found
+     * Records the squares pinned entries cover, which must stay white, and the squares
+     * just past their ends, which must be blocks so each entry fills its slot exactly.
      */
-    findBestWordPlacement(word, placedWords, wordGraph) {
-        let bestPlacement = null;
-        let bestScore = -1;
+    indexPinned() {
+        this.lockedCells = new Set();
+        this.pinnedEnds = [];
+        this.pinnedRuns = new Set();
+        
+        for (const entry of this.pinned) {
+            const length = entry.word.length;
+            for (let i = 0; i < length; i++) {
+                this.lockedCells.add(entry.horizontal ? `${entry.row},${entry.col + i}` : `${entry.row + i},${entry.col}`);
+            }
+            const ends = entry.horizontal
+                ? [[entry.row, entry.col - 1], [entry.row, entry.col + length]]
+                : [[entry.row - 1, entry.col], [entry.row + length, entry.col]];
+            this.pinnedEnds.push(...ends.filter(([r, c]) => r >= 0 && c >= 0 && r < this.size && c < this.size));
+            this.pinnedRuns.add(`${entry.row},${entry.col},${entry.horizontal},${length}`);
+        }
+    }
+
+    /**
+     * Tries to produce a fully filled grid from a fresh block pattern.
+     * @returns {Object|null} - { grid, words } or null if this pattern couldn't be filled
+     */
+    fill() {
+        const pattern = this.generatePattern();
+        if (!pattern) {
+            console.log('Fill engine: could not build a valid block pattern');
+            return null;
+        }
         
-        for (const placedWord of placedWords) {
-            const intersections = this.findWordIntersections(word, placedWord.word);
+        if (!this.setupSlots(pattern)) {
+            console.log('Fill engine: the pinned entries don\'t fit this block pattern');
+            return null;
+        }
+        this.steps = 0;
+        
+        const solved = this.search();
+        if (solved === null) console.log(`Fill engine: gave up after ${this.maxSteps} steps`);
+        if (!solved) return null;
+        console.log(`Fill engine: filled ${this.slots.length} slots in ${this.steps} steps`);
+        
+        return {
+            grid: this.letters.map(row => row.map(cell => cell === null ? '#' : cell)),
+            words: this.slots.map((slot, index) => ({
+                word: this.assignment[index],
+                row: slot.row,
+                col: slot.col,
+                horizontal: slot.horizontal
+            }))
+        };
+    }
+
+    /**
+     * Builds a (symmetric) block pattern where every run of white squares is between
+     * minLength and the longest available word, and all white squares are connected.
+     * @returns {Array|null} - 2D array of booleans (true = block), or null on failure
+     */
+    generatePattern() {
+        const size = this.size;
+        const blocks = Array(size).fill().map(() => Array(size).fill(false));
+        const target = Math.round(size * size * this.blockPercentage);
+        let count = 0;
+        
+        const withPartners = (row, col) =>
+            [[row, col], ...GridAnalyzer.getSymmetricPartners(row, col, size, this.symmetry)];
+        const tryBlock = (row, col) => {
+            const cells = withPartners(row, col).filter(([r, c]) => !blocks[r][c]);
+            if (cells.length === 0) return 0;
+            if (cells.some(([r, c]) => this.lockedCells.has(`${r},${c}`))) return 0;
             
-            for (const intersection of intersections) {
-                const placement = this.calculateWordPlacement(word, placedWord, intersection);
-                
-                if (placement && this.isValidPlacement(placement)) {
-                    const score = this.calculatePlacementScore(placement);
-                    
-                    if (score > bestScore) {
-                        bestScore = score;
-                        bestPlacement = placement;
-                    }
+            cells.forEach(([r, c]) => { blocks[r][c] = true; });
+            if (cells.every(([r, c]) => this.linesAreValid(blocks, r, c))) {
+                return cells.length;
+            }
+            cells.forEach(([r, c]) => { blocks[r][c] = false; });
+            return 0;
+        };
+        
+        // Close off the pinned entries, then block any runs too short for a word that leaves
+        if (this.pinned.length > 0) {
+            const forced = [...this.pinnedEnds];
+            while (forced.length > 0) {
+                for (const [r, c] of withPartners(...forced.pop())) {
+                    if (blocks[r][c]) continue;
+                    if (this.lockedCells.has(`${r},${c}`)) return null;
+                    blocks[r][c] = true;
+                    count++;
+                }
+                if (forced.length === 0) {
+                    forced.push(...this.findShortRuns(blocks).flat());
                 }
             }
         }
         
-        if (bestPlacement) {
-            bestPlacement.number = placedWords.length + 1;
+        // Scatter blocks up to the target density
+        for (let attempt = 0; attempt < size * size * 4 && count < target; attempt++) {
+            count += tryBlock(this.random.nextInt(size), this.random.nextInt(size));
         }
         
-        return bestPlacement;
+        // Break up runs that no word in the list can fill
+        let run;
+        while ((run = this.findUnfillableRun(blocks))) {
+            const positions = this.random.next() < 0.5 ? run.cells : [...run.cells].reverse();
+            if (!positions.some(([r, c]) => tryBlock(r, c) > 0)) return null;
+        }
+        
+        const probe = blocks.map(row => row.map(isBlock => isBlock ? '#' : 'a'));
+        if (GridAnalyzer.findLetterRegions(probe).length !== 1) return null;
+        
+        return blocks;
     }
 
     /**
-     * Calculates where a word should be placed based on intersection.
-     * @param {string} word - Word to place
-     * @param {Object} existingWord - Existing word to intersect with
-     * @param {Object} intersection - Intersection data
-     * @returns {Object|null} - Calculated placement or null if invalid
+     * Checks that the row and column through a cell contain no runs shorter than minLength.
      */
-    calculateWordPlacement(word, existingWord, intersection) {
-        console.log(`Calculating placement for "${word}" intersecting with "${existingWord.word}" at intersection:`, intersection);
-        
-        if (existingWord.horizontal) {
-            // Place new word vertically
-            const newRow = existingWord.row - intersection.word2Index;
-            const newCol = existingWord.col + intersection.word1Index;
-            
-            console.log(`  Existing word horizontal at [${existingWord.row}, ${existingWord.col}]`);
-            console.log(`  Intersection: word1Index=${intersection.word1Index}, word2Index=${intersection.word2Index}`);
-            console.log(`  Calculated position: [${newRow}, ${newCol}]`);
-            
-            if (newRow >= 0 && newRow + word.length <= this.gridSize) {
-                const placement = {
-                    word: word,
-                    row: newRow,
-                    col: newCol,
-                    horizontal: false
-                };
-                console.log(`  Valid placement found:`, placement);
-                return placement;
+    linesAreValid(blocks, row, col) {
+        const rowCells = blocks[row].map((isBlock, c) => [row, c]);
+        const colCells = blocks.map((cells, r) => [r, col]);
+        return this.runsOf(blocks, rowCells).every(run => run.length >= this.minLength) &&
+            this.runsOf(blocks, colCells).every(run => run.length >= this.minLength);
+    }
+
+    runsOf(blocks, line) {
+        const runs = [];
+        let current = [];
+        for (const [r, c] of line) {
+            if (blocks[r][c]) {
+                if (current.length > 0) runs.push(current);
+                current = [];
             } else {
-                console.log(`  Invalid placement: newRow=${newRow}, newCol=${newCol}, word.length=${word.length}, gridSize=${this.gridSize}`);
+                current.push([r, c]);
             }
-        } else {
-            // Place new word horizontally
-            const newRow = existingWord.row + intersection.word1Index;
-            const newCol = existingWord.col - intersection.word2Index;
-            
-            console.log(`  Existing word vertical at [${existingWord.row}, ${existingWord.col}]`);
-            console.log(`  Intersection: word1Index=${intersection.word1Index}, word2Index=${intersection.word2Index}`);
-            console.log(`  Calculated position: [${newRow}, ${newCol}]`);
-            
-            if (newCol >= 0 && newCol + word.length <= this.gridSize) {
-                const placement = {
-                    word: word,
-                    row: newRow,
-                    col: newCol,
-                    horizontal: true
-                };
-                console.log(`  Valid placement found:`, placement);
-                return placement;
-            } else {
-                console.log(`  Invalid placement: newRow=${newRow}, newCol=${newCol}, word.length=${word.length}, gridSize=${this.gridSize}`);
+        }
+        if (current.length > 0) runs.push(current);
+        return runs;
+    }
+
+    findUnfillableRun(blocks) {
+        for (let i = 0; i < this.size; i++) {
+            const lines = [
+                blocks[i].map((isBlock, c) => [i, c]),
+                blocks.map((cells, r) => [r, i])
+            ];
+            for (const [index, line] of lines.entries()) {
+                for (const cells of this.runsOf(blocks, line)) {
+                    const [row, col] = cells[0];
+                    if (this.pinnedRuns.has(`${row},${col},${index === 0},${cells.length}`)) continue;
+                    if (!this.wordsByLength[cells.length]) return { cells };
+                }
             }
         }
-        
-        console.log(`  No valid placement found`);
         return null;
     }
 
     /**
-     * Checks if a word placement is valid.
-     * @param {Object} placement - Word placement to check
-     * @param {Array} placedWords - Already placed words
-     * @returns {boolean} - True if placement is valid
+     * Finds runs of white squares shorter than minLength anywhere in the pattern.
+     * @param {Array} blocks - Block pattern
+     * @returns {Array} - Each run as a list of [row, col] cells
      */
-    isValidPlacement(placement) {
-        // Check bounds
-        if (placement.row < 0 || placement.col < 0) return false;
-        if (placement.horizontal) {
-            if (placement.col + placement.word.length > this.gridSize) return false;
-        } else {
-            if (placement.row + placement.word.length > this.gridSize) return false;
+    findShortRuns(blocks) {
+        const short = [];
+        for (let i = 0; i < this.size; i++) {
+            for (const line of [blocks[i].map((isBlock, c) => [i, c]), blocks.map((cells, r) => [r, i])]) {
+                short.push(...this.runsOf(blocks, line).filter(run => run.length < this.minLength));
+            }
         }
+        return short;
+    }
+
+    /**
+     * Extracts across/down slots from the pattern and links crossing slots, then writes
+     * the pinned entries into theirs.
+     * @param {Array} blocks - Block pattern
+     * @returns {boolean} - False if a pinned entry doesn't line up with a slot
+     */
+    setupSlots(blocks) {
+        const size = this.size;
+        this.letters = blocks.map(row => row.map(isBlock => isBlock ? null : ''));
+        this.slots = [];
+        const cellSlots = Array(size).fill().map(() => Array(size).fill().map(() => []));
         
-        // Check for conflicts with existing letters in the grid
-        if (this.wouldOverwriteLetters(placement)) {
-            console.log(`Placement would overwrite existing letters:`, placement);
-            return false;
+        for (let i = 0; i < size; i++) {
+            for (const horizontal of [true, false]) {
+                const line = horizontal ? blocks[i].map((b, c) => [i, c]) : blocks.map((cells, r) => [r, i]);
+                for (const cells of this.runsOf(blocks, line)) {
+                    const id = this.slots.length;
+                    this.slots.push({ row: cells[0][0], col: cells[0][1], horizontal, cells, crossings: [] });
+                    cells.forEach(([r, c], index) => cellSlots[r][c].push({ id, index }));
+                }
+            }
         }
         
-        // Check for conflicts with other placed words
-        for (const placedWord of this.placedWords) {
-            if (this.wordsOverlap(placement, placedWord)) {
-                console.log(`Placement conflicts with existing word:`, placedWord);
-                return false;
+        for (const cells of cellSlots) {
+            for (const entries of cells) {
+                if (entries.length !== 2) continue;
+                const [a, b] = entries;
+                this.slots[a.id].crossings.push(b.id);
+                this.slots[b.id].crossings.push(a.id);
             }
         }
         
-        // Check for minimum spacing between words
-        if (!this.hasMinimumSpacing(placement)) {
-            console.log(`Placement does not have minimum spacing:`, placement);
-            return false;
+        this.assignment = Array(this.slots.length).fill(null);
+        this.used = new Set();
+        
+        for (const entry of this.pinned) {
+            const id = this.slots.findIndex(slot => slot.row === entry.row && slot.col === entry.col &&
+                slot.horizontal === entry.horizontal && slot.cells.length === entry.word.length);
+            if (id === -1) return false;
+            this.slots[id].cells.forEach(([r, c], index) => { this.letters[r][c] = entry.word[index]; });
+            this.assignment[id] = entry.word;
+            this.used.add(entry.word);
         }
         
+        this.counts = this.slots.map((slot, id) => this.countCandidates(id));
         return true;
     }
 
     /**
-     * Checks if a word placement would overwrite existing letters in the grid.
-     * @param {Object} placement - Word placement to check
-     * @returns {boolean} - True if it would overwrite letters
+     * Returns the bitset of words matching a slot's current letters.
+     * @param {number} id - Slot id
+     * @returns {Uint32Array|null} - Matching words, or null if no words have this length
      */
-    wouldOverwriteLetters(placement) {
-        const { word, row, col, horizontal } = placement;
+    matchSlot(id) {
+        return this.matchPattern(this.slots[id].cells.map(([r, c]) => this.letters[r][c]));
+    }
+
+    /**
+     * Returns the bitset of words fitting a pattern of known and open squares.
+     * @param {Array} pattern - A letter per square, or '' where the square is still open
+     * @returns {Uint32Array|null} - Matching words, or null if no words have this length
+     */
+    matchPattern(pattern) {
+        const list = this.wordsByLength[pattern.length];
+        if (!list) return null;
+        
+        const blocks = Math.ceil(list.length / 32);
+        const result = new Uint32Array(blocks).fill(0xFFFFFFFF);
+        if (list.length % 32 !== 0) {
+            result[blocks - 1] = (1 << (list.length % 32)) - 1;
+        }
         
-        if (horizontal) {
-            for (let i = 0; i < word.length; i++) {
-                const targetRow = row;
-                const targetCol = col + i;
-                
-                // Check if cell already contains a letter (not empty and not black square)
-                if (this.crossword[targetRow][targetCol] !== '' && 
-                    this.crossword[targetRow][targetCol] !== '#') {
-                    console.log(`Would overwrite letter "${this.crossword[targetRow][targetCol]}" at [${targetRow}, ${targetCol}]`);
-                    return true;
-                }
-            }
-        } else {
-            for (let i = 0; i < word.length; i++) {
-                const targetRow = row + i;
-                const targetCol = col;
-                
-                // Check if cell already contains a letter (not empty and not black square)
-                if (this.crossword[targetRow][targetCol] !== '' && 
-                    this.crossword[targetRow][targetCol] !== '#') {
-                    console.log(`Would overwrite letter "${this.crossword[targetRow][targetCol]}" at [${targetRow}, ${targetCol}]`);
-                    return true;
-                }
+        pattern.forEach((letter, pos) => {
+            if (!letter) return;
+            const bits = this.letterIndex[pattern.length][pos][letter.charCodeAt(0) - 97];
+            for (let i = 0; i < blocks; i++) result[i] &= bits[i];
+        });
+        return result;
+    }
+
+    countCandidates(id) {
+        return this.countMatches(this.matchSlot(id));
+    }
+
+    countMatches(bits) {
+        if (!bits) return 0;
+        let count = 0;
+        for (let value of bits) {
+            while (value) {
+                value &= value - 1;
+                count++;
             }
         }
-        
-        return false;
+        return count;
+    }
+
+    getCandidates(id) {
+        return this.getMatches(this.slots[id].cells.map(([r, c]) => this.letters[r][c]))
+            .filter(word => !this.used.has(word));
     }
 
     /**
-     * Checks if two word placements overlap.
-     * @param {Object} placement1 - First word placement
-     * @param {Object} placement2 - Second word placement
-     * @returns {boolean} - True if words overlap
+     * Lists the words fitting a pattern, in word list order.
+     * @param {Array} pattern - A letter per square, or '' where the square is still open
+     * @returns {Array} - Matching words
      */
-    wordsOverlap(placement1, placement2) {
-        // Check if words are in the same direction
-        if (placement1.horizontal === placement2.horizontal) {
-            if (placement1.row === placement2.row && placement1.horizontal) {
-                // Both horizontal, check column overlap
-                return !(placement1.col + placement1.word.length <= placement2.col ||
-                        placement2.col + placement2.word.length <= placement1.col);
-            } else if (placement1.col === placement2.col && !placement1.horizontal) {
-                // Both vertical, check row overlap
-                return !(placement1.row + placement1.word.length <= placement2.row ||
-                        placement2.row + placement2.word.length <= placement1.row);
+    getMatches(pattern) {
+        const bits = this.matchPattern(pattern);
+        if (!bits) return [];
+        const list = this.wordsByLength[pattern.length];
+        const matches = [];
+        bits.forEach((value, block) => {
+            for (let bit = 0; bit < 32; bit++) {
+                if (value & (1 << bit)) matches.push(list[block * 32 + bit]);
             }
-        }
-        
-        return false;
+        });
+        return matches;
     }
 
     /**
-     * Checks if a word placement has minimum spacing from other words.
-     * @param {Object} placement - Word placement to check
-     * @returns {boolean} - True if minimum spacing is maintained
+     * Depth-first search over slots, most constrained first.
+     * @returns {boolean|null} - True once every slot is filled, false when this branch
+     *     can't be filled, or null when the step limit ran out
      */
-    hasMinimumSpacing(placement) {
-        const { word, row, col, horizontal } = placement;
+    search() {
+        if (++this.steps > this.maxSteps) return null;
         
-        // ENFORCE MINIMUM WORD LENGTH - Never allow single-letter words
-        if (word.length < 3) {
-            console.log(`Rejecting word "${word}" - too short (${word.length} letters)`);
-            return false;
+        let slotId = -1;
+        for (let id = 0; id < this.slots.length; id++) {
+            if (this.assignment[id] !== null) continue;
+            if (slotId === -1 || this.counts[id] < this.counts[slotId]) slotId = id;
         }
-        
-        // Check spacing from other placed words
-        for (const placedWord of this.placedWords) {
-            if (placement === placedWord) continue;
-            
-            if (horizontal) {
-                // Check if this word is too close to a horizontal word
-                if (placedWord.horizontal && Math.abs(row - placedWord.row) <= 1) {
-                    // Check for minimum column separation
-                    const thisStart = col;
-                    const thisEnd = col + word.length - 1;
-                    const otherStart = placedWord.col;
-                    const otherEnd = placedWord.col + placedWord.word.length - 1;
-                    
-                    // Ensure at least 1 cell separation
-                    if (!(thisEnd < otherStart - 1 || thisStart > otherEnd + 1)) {
-                        return false;
-                    }
-                }
-            } else {
-                // Check if this word is too close to a vertical word
-                if (!placedWord.horizontal && Math.abs(col - placedWord.col) <= 1) {
-                    // Check for minimum row separation
-                    const thisStart = row;
-                    const thisEnd = row + word.length - 1;
-                    const otherStart = placedWord.row;
-                    const otherEnd = placedWord.row + placedWord.word.length - 1;
-                    
-                    // Ensure at least 1 cell separation
-                    if (!(thisEnd < otherStart - 1 || thisStart > otherEnd + 1)) {
-                        return false;
-                    }
+        if (slotId === -1) return true;
+        if (this.counts[slotId] === 0) return false;
+        
+        const slot = this.slots[slotId];
+        const candidates = this.shuffle(this.getCandidates(slotId));
+        
+        for (const word of candidates) {
+            const written = [];
+            slot.cells.forEach(([r, c], index) => {
+                if (!this.letters[r][c]) {
+                    this.letters[r][c] = word[index];
+                    written.push([r, c]);
                 }
+            });
+            this.assignment[slotId] = word;
+            this.used.add(word);
+            
+            // Forward check: every open crossing slot must still have a candidate
+            const saved = slot.crossings.map(id => [id, this.counts[id]]);
+            let viable = true;
+            for (const id of slot.crossings) {
+                if (this.assignment[id] !== null) continue;
+                this.counts[id] = this.countCandidates(id);
+                if (this.counts[id] === 0) viable = false;
             }
+            
+            const result = viable ? this.search() : false;
+            if (result !== false) return result; // Solved, or out of steps
+            
+            saved.forEach(([id, count]) => { this.counts[id] = count; });
+            written.forEach(([r, c]) => { this.letters[r][c] = ''; });
+            this.assignment[slotId] = null;
+            this.used.delete(word);
         }
         
-        return true;
+        return false;
     }
 
-    /**
-     * Calculates a score for a word placement.
-     * @param {Object} placement - Word placement to score
-     * @param {Array} placedWords - Already placed words
-     * @returns {number} - Placement score
-     */
-    calculatePlacementScore(placement) {
-        let score = 0;
-        
-        // Prefer longer words
-        score += placement.word.length * 2;
-        
-        // Prefer words that create more intersections
-        for (const placedWord of this.placedWords) {
-            if (this.wordsOverlap(placement, placedWord)) {
-                score += 10;
-            }
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.random.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
         }
-        
-        // Prefer central placement
-        const center = Math.floor(this.gridSize / 2);
-        const distanceFromCenter = Math.abs(placement.row - center) + Math.abs(placement.col - center);
-        score += (this.gridSize - distanceFromCenter);
-        
-        return score;
+        return array;
+    }
+}
+
+/**
+ * Crossword Generator Class - Smart Intersection-First Approach
+ * Analyzes word intersections, builds connection graphs, and creates professional crosswords.
+ */
+class CrosswordGenerator {
+    constructor(config) {
+        this.config = config;
+        this.gridSize = config.get('grid.size') || 15;
+        this.words = [];
+        this.clues = {};
+        this.wordInfo = {}; // word -> { clues: [variants], tags, author }
+        this.wordSources = {};
+        this.wordListReports = [];
+        this.catalog = null;
+        this.customWordList = null;
+        this.savedClueVariants = {}; // word -> [clue text] kept from edited puzzles (see ClueStore)
+        this.crossword = null;
+        this.placedWords = [];
+        this.wordGraph = {};
+        this.seed = null;
+        this.random = new SeededRandom(SeededRandom.randomSeed());
+        this.onProgress = null; // ({ phase, placed, total, attempt, attempts, candidate, candidates }) => void
+        this.progressContext = {};
     }
 
     /**
-     * Places words and black squares according to the designed layout.
-     * @param {Array} words - Words to place
-     * @param {Object} layout - Grid layout design
+     * Reports generation progress to onProgress (posted to the page when running in the
+     * worker). Phases: 'loading', 'selecting', 'placing' (with placed and total word
+     * counts), 'filling' (with the block pattern attempt) and 'finishing'. While several
+     * candidates are built, every event also carries candidate and candidates.
+     * @param {string} phase - Current phase
+     * @param {Object} [details] - Counts for the phase
      */
-    placeWordsAndBlackSquares(words, layout) {
-        // Initialize empty grid
-        this.crossword = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(''));
-        this.placedWords = [];
-        
-        console.log('=== DEBUGGING WORD PLACEMENT ===');
-        console.log('Layout object:', layout);
-        console.log('Word positions to place:', layout.wordPositions);
-        console.log('Black squares to place:', layout.blackSquares);
-        
-        // Place black squares first
-        for (const [row, col] of layout.blackSquares) {
-            if (row >= 0 && row < this.gridSize && col >= 0 && col < this.gridSize) {
-                this.crossword[row][col] = '#';
-            }
-        }
-        
-        // Place words
-        console.log(`Attempting to place ${layout.wordPositions.length} words...`);
-        for (const wordPlacement of layout.wordPositions) {
-            console.log('Placing word:', wordPlacement);
-            this.placeWord(wordPlacement);
-            this.placedWords.push(wordPlacement);
+    reportProgress(phase, details = {}) {
+        if (this.onProgress) {
+            this.onProgress({ phase, ...this.progressContext, ...details });
         }
-        
-        console.log('Grid after word placement:');
-        console.log(this.crossword.map(row => row.join('')).join('\n'));
-        
-        // Fill remaining spaces with additional black squares if needed
-        this.fillRemainingBlackSquares();
     }
 
     /**
-     * Places a single word in the grid.
-     * @param {Object} placement - Word placement data
+     * Packages a finished puzzle with what the app needs alongside it, in a form that
+     * can be posted from the worker.
+     * @param {Object} puzzle - Generated crossword data
+     * @returns {Object} - { puzzle, clues, wordListReports, puzzleKey } where clues covers the puzzle's words
      */
-    placeWord(placement) {
-        const { word, row, col, horizontal } = placement;
-        
-        console.log(`=== PLACING WORD ===`);
-        console.log(`Word: "${word}"`);
-        console.log(`Position: [${row}, ${col}]`);
-        console.log(`Direction: ${horizontal ? 'horizontal' : 'vertical'}`);
-        console.log(`Word length: ${word.length}`);
-        
-        // Validate placement coordinates
-        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
-            console.error(`Invalid coordinates: [${row}, ${col}] for grid size ${this.gridSize}`);
-            return;
+    getGenerationResult(puzzle) {
+        return {
+            puzzle,
+            clues: Object.fromEntries(puzzle.words.map(word => [word.word, this.clues[word.word] || null])),
+            wordListReports: this.wordListReports,
+            puzzleKey: this.getPuzzleKey()
+        };
+    }
+
+    /**
+     * Seeds the random number generator used for every generation decision.
+     * @param {number|string} seed - Puzzle seed
+     * @param {Function} [algorithm] - Optional PRNG factory (see SeededRandom)
+     */
+    setSeed(seed, algorithm) {
+        this.random = new SeededRandom(seed, algorithm);
+        this.seed = this.random.seed;
+    }
+
+    /**
+     * Identifies the word list a puzzle is built from (part of the daily seed).
+     * @returns {string} - Word list key
+     */
+    getWordListKey() {
+        if (this.customWordList) {
+            const words = this.customWordList.entries.map(entry => entry.word).join(',');
+            return `custom:${SeededRandom.hashString(words)}`;
         }
         
-        if (horizontal) {
-            if (col + word.length > this.gridSize) {
-                console.error(`Word "${word}" too long for horizontal placement at col ${col}`);
-                return;
+        const lists = this.getSelectedLists();
+        if (lists.length === 0) {
+            return this.config.get('files.wordListPath') || '';
+        }
+        return lists.map(list => `${list.id}:${this.getListWeight(list)}`).join('+');
+    }
+
+    /**
+     * Identifies everything besides the seed that decides which puzzle gets generated,
+     * so a saved puzzle is only resumed for the same seed under the same settings.
+     * @returns {string} - Key built from the word lists, difficulty, theme, size, strategy and symmetry
+     */
+    getPuzzleKey() {
+        return [
+            this.getWordListKey(),
+            this.config.getDifficulty(),
+            this.config.get('theme.name') || '',
+            this.getThemeKey(),
+            this.gridSize,
+            this.getStrategy(),
+            this.getSymmetryType()
+        ].join('|');
+    }
+
+    getThemeKey() {
+        const entries = this.config.get('theme.entries') || [];
+        return entries.length > 0 ? `entries:${SeededRandom.hashString(JSON.stringify(entries))}` : '';
+    }
+
+    /**
+     * Returns the configured generation strategy. It comes from the config alone (not
+     * from the loaded words), so puzzle keys match between the page and the worker.
+     * When a dense fill can't succeed, generateFilledCrossword's error says why.
+     * @returns {string} - 'freeform' (greedy placement around a central word) or 'fill' (dense grid)
+     */
+    getStrategy() {
+        return this.config.get('generation.strategy') === 'fill' ? 'fill' : 'freeform';
+    }
+
+    /**
+     * Returns the block percentage for the current difficulty: easier puzzles get more
+     * blocks and so fewer, shorter crossings.
+     * @returns {number} - Share of squares to turn into blocks
+     */
+    getBlockPercentage() {
+        const base = this.config.get('blackSquares.percentage');
+        const adjusted = base + this.config.getDifficultyProfile().blockAdjustment;
+        return Math.min(0.35, Math.max(0.05, adjusted));
+    }
+
+    /**
+     * Picks the squares that start filled in, spread at random over the grid.
+     * @returns {Array} - [row, col] pairs
+     */
+    selectGivenLetters() {
+        const share = this.config.getDifficultyProfile().givenLetters;
+        const cells = [];
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                if (GridAnalyzer.isLetter(this.crossword[row][col])) cells.push([row, col]);
+            }
+        }
+        return this.shuffleArray(cells).slice(0, Math.round(cells.length * share));
+    }
+
+    /**
+     * Reads theme.entries, the answers a themed puzzle must include. Each entry is
+     * { word, clue, row, col, direction, revealer }: row and col (counted from 0 at the
+     * top-left square) pin the entry in place, direction ('across' or 'down') fixes its
+     * direction, and revealer marks the answer that ties the theme together.
+     * @returns {Array} - [{ word, clue, revealer, row, col, horizontal }]; row and col are
+     *     null for entries the generator positions, horizontal is null when either direction will do
+     * @throws {Error} - When an entry is malformed or can't fit the grid
+     */
+    getThemeEntries() {
+        const entries = this.config.get('theme.entries') || [];
+        const seen = new Set();
+        
+        return entries.map((entry, index) => {
+            const word = String(entry.word || '').toLowerCase().replace(/[^a-z]/g, '');
+            const label = word ? `"${word.toUpperCase()}"` : `#${index + 1}`;
+            if (word.length < 2) {
+                throw new Error(`Theme entry ${label} needs an answer of at least 2 letters`);
+            }
+            if (word.length > this.gridSize) {
+                throw new Error(`Theme entry ${label} has ${word.length} letters and can't fit a ${this.gridSize}x${this.gridSize} grid`);
             }
+            if (seen.has(word)) {
+                throw new Error(`Theme entry ${label} is listed twice`);
+            }
+            seen.add(word);
             
-            console.log(`Placing horizontally from col ${col} to ${col + word.length - 1}`);
-            for (let i = 0; i < word.length; i++) {
-                const targetRow = row;
-                const targetCol = col + i;
-                const letter = word[i];
-                
-                console.log(`  Setting [${targetRow}, ${targetCol}] = "${letter}" (letter ${i + 1} of "${word}")`);
-                
-                // Check if cell is already occupied
-                if (this.crossword[targetRow][targetCol] !== '') {
-                    console.warn(`  WARNING: Cell [${targetRow}, ${targetCol}] already contains "${this.crossword[targetRow][targetCol]}"`);
+            let horizontal = null;
+            if (entry.direction !== undefined && entry.direction !== null && entry.direction !== '') {
+                if (entry.direction !== 'across' && entry.direction !== 'down') {
+                    throw new Error(`Theme entry ${label} has direction "${entry.direction}"; use "across" or "down"`);
                 }
-                
-                this.crossword[targetRow][targetCol] = letter;
+                horizontal = entry.direction === 'across';
             }
-        } else {
-            if (row + word.length > this.gridSize) {
-                console.error(`Word "${word}" too long for vertical placement at row ${row}`);
-                return;
+            
+            const hasRow = entry.row !== undefined && entry.row !== null;
+            const hasCol = entry.col !== undefined && entry.col !== null;
+            if (hasRow !== hasCol) {
+                throw new Error(`Theme entry ${label} needs both row and col to be pinned in place`);
+            }
+            if (!hasRow) {
+                return { word, clue: entry.clue || null, revealer: Boolean(entry.revealer), row: null, col: null, horizontal };
             }
             
-            console.log(`Placing vertically from row ${row} to ${row + word.length - 1}`);
-            for (let i = 0; i < word.length; i++) {
-                const targetRow = row + i;
-                const targetCol = col;
-                const letter = word[i];
-                
-                console.log(`  Setting [${targetRow}, ${targetCol}] = "${letter}" (letter ${i + 1} of "${word}")`);
-                
-                // Check if cell is already occupied
-                if (this.crossword[targetRow][targetCol] !== '') {
-                    console.warn(`  WARNING: Cell [${targetRow}, ${targetCol}] already contains "${this.crossword[targetRow][targetCol]}"`);
-                }
-                
-                this.crossword[targetRow][targetCol] = letter;
+            const row = Number(entry.row);
+            const col = Number(entry.col);
+            if (horizontal === null) horizontal = true;
+            const endRow = horizontal ? row : row + word.length - 1;
+            const endCol = horizontal ? col + word.length - 1 : col;
+            if (!Number.isInteger(row) || !Number.isInteger(col) || row < 0 || col < 0 ||
+                endRow >= this.gridSize || endCol >= this.gridSize) {
+                throw new Error(`Theme entry ${label} doesn't fit at row ${entry.row}, col ${entry.col} going ` +
+                    `${horizontal ? 'across' : 'down'} in a ${this.gridSize}x${this.gridSize} grid`);
             }
+            return { word, clue: entry.clue || null, revealer: Boolean(entry.revealer), row, col, horizontal };
+        });
+    }
+
+    /**
+     * Orders theme entries the generator positions: the revealer first, then longest first.
+     * @param {Array} entries - Entries from getThemeEntries
+     * @returns {Array} - Entries without a pinned position
+     */
+    getFloatingThemeEntries(entries) {
+        return entries
+            .filter(entry => entry.row === null)
+            .sort((a, b) => (b.revealer - a.revealer) || (b.word.length - a.word.length));
+    }
+
+    /**
+     * The slot matching a placed entry under the grid's symmetry (rotational when the
+     * grid has none), where a theme answer of the same length pairs up with it.
+     * @param {Object} placement - { word, row, col, horizontal }
+     * @returns {Object|null} - { row, col, horizontal }, or null if the entry is its own partner
+     */
+    getSymmetricSlot(placement) {
+        const type = this.getSymmetryType() === 'none' ? 'rotational' : this.getSymmetryType();
+        const cells = [];
+        for (let i = 0; i < placement.word.length; i++) {
+            const row = placement.horizontal ? placement.row : placement.row + i;
+            const col = placement.horizontal ? placement.col + i : placement.col;
+            const [partner] = GridAnalyzer.getSymmetricPartners(row, col, this.gridSize, type);
+            cells.push(partner || [row, col]);
         }
         
-        // Add black squares around the word for proper separation
-        this.addWordBoundaries(placement);
-        
-        console.log(`Word "${word}" placed successfully`);
-        console.log(`Grid state after placement:`);
-        this.logGrid();
-        console.log(`=== END PLACING WORD ===`);
+        const row = Math.min(...cells.map(([r]) => r));
+        const col = Math.min(...cells.map(([, c]) => c));
+        const horizontal = cells.every(([r]) => r === cells[0][0]);
+        if (row === placement.row && col === placement.col && horizontal === placement.horizontal) return null;
+        return { row, col, horizontal };
     }
 
     /**
-     * Adds black squares around a word to ensure proper separation from other words.
-     * @param {Object} placement - Word placement object
+     * Chooses squares for the theme entries before a dense fill: pinned entries stay
+     * where they are, the rest pair up in symmetric long slots, with the revealer (or the
+     * longest answer) through the middle.
+     * @param {Array} entries - Entries from getThemeEntries
+     * @returns {Array} - Placements { word, row, col, horizontal, clue, theme, revealer }
+     * @throws {Error} - When entries clash or can't all be fitted
      */
-    addWordBoundaries(placement) {
-        const { word, row, col, horizontal } = placement;
+    planThemeSlots(entries) {
+        const size = this.gridSize;
+        const center = Math.floor(size / 2);
+        const letters = new Map();
+        const whites = new Set();
+        const blocks = new Set();
+        const planned = [];
+        const symmetry = this.getSymmetryType();
+        const withPartners = (cells) => cells.flatMap(([r, c]) =>
+            [[r, c], ...GridAnalyzer.getSymmetricPartners(r, c, size, symmetry)].map(([pr, pc]) => `${pr},${pc}`));
+        
+        const minLength = Math.max(2, this.config.get('words.minLength') || 3);
+        const tooShort = entries.find(entry => entry.word.length < minLength);
+        if (tooShort) {
+            throw new Error(`Theme entry "${tooShort.word.toUpperCase()}" is shorter than the ${minLength}-letter ` +
+                'minimum for dense grids');
+        }
         
-        if (horizontal) {
-            // Add black squares at the ends (always)
-            if (col > 0) {
-                this.addBlackSquare(row, col - 1);
-            }
-            if (col + word.length < this.gridSize) {
-                this.addBlackSquare(row, col + word.length);
+        const cellsOf = (slot, length) => Array.from({ length }, (_, i) =>
+            slot.horizontal ? [slot.row, slot.col + i] : [slot.row + i, slot.col]);
+        const tryPlan = (entry, slot) => {
+            if (entry.horizontal !== null && slot.horizontal !== entry.horizontal) return false;
+            const cells = cellsOf(slot, entry.word.length);
+            if (cells.some(([r, c]) => r < 0 || c < 0 || r >= size || c >= size)) return false;
+            if (cells.some(([r, c], i) => letters.has(`${r},${c}`) && letters.get(`${r},${c}`) !== entry.word[i])) return false;
+            
+            // Parallel theme answers stacked too closely leave the fill almost no room
+            const crowded = planned.some(other => {
+                if (other.horizontal !== slot.horizontal) return false;
+                const [line, otherLine] = slot.horizontal ? [slot.row, other.row] : [slot.col, other.col];
+                const [start, otherStart] = slot.horizontal ? [slot.col, other.col] : [slot.row, other.row];
+                return Math.abs(line - otherLine) < 3 &&
+                    start < otherStart + other.word.length && otherStart < start + entry.word.length;
+            });
+            if (crowded) return false;
+            
+            // The squares just past the entry become blocks; with symmetry their partners do
+            // too, and the partners of its letters stay white
+            const ends = (slot.horizontal
+                ? [[slot.row, slot.col - 1], [slot.row, slot.col + entry.word.length]]
+                : [[slot.row - 1, slot.col], [slot.row + entry.word.length, slot.col]])
+                .filter(([r, c]) => r >= 0 && c >= 0 && r < size && c < size);
+            const newWhites = withPartners(cells);
+            const newBlocks = withPartners(ends);
+            if (newWhites.some(key => blocks.has(key)) || newBlocks.some(key => whites.has(key) || newWhites.includes(key))) {
+                return false;
             }
             
-            // Add black squares above and below (more aggressively)
-            for (let i = 0; i < word.length; i++) {
-                if (Math.random() < 0.5) { // 50% chance for better separation
-                    if (row > 0) {
-                        this.addBlackSquare(row - 1, col + i);
-                    }
-                    if (row + 1 < this.gridSize) {
-                        this.addBlackSquare(row + 1, col + i);
-                    }
-                }
+            newWhites.forEach(key => whites.add(key));
+            newBlocks.forEach(key => blocks.add(key));
+            cells.forEach(([r, c], i) => letters.set(`${r},${c}`, entry.word[i]));
+            planned.push({ ...slot, word: entry.word, clue: entry.clue, theme: true, revealer: entry.revealer });
+            return true;
+        };
+        
+        for (const entry of entries.filter(entry => entry.row !== null)) {
+            if (!tryPlan(entry, entry)) {
+                throw new Error(`Theme entry "${entry.word.toUpperCase()}" at row ${entry.row}, col ${entry.col} ` +
+                    'clashes with another pinned theme entry or the blocks the grid\'s symmetry puts around it');
             }
-        } else {
-            // Add black squares at the ends (always)
-            if (row > 0) {
-                this.addBlackSquare(row - 1, col);
+        }
+        
+        // Rows (and columns) for theme pairs, spread around the quarter lines of the grid
+        const lines = [];
+        for (let line = 1; line < center; line++) lines.push(line);
+        lines.sort((a, b) => Math.abs(a - center / 2) - Math.abs(b - center / 2));
+        
+        for (const entry of this.getFloatingThemeEntries(entries)) {
+            const length = entry.word.length;
+            const middle = Math.floor((size - length) / 2);
+            const slots = [];
+            for (const other of planned) {
+                const partner = other.word.length === length ? this.getSymmetricSlot(other) : null;
+                if (partner) slots.push(partner);
             }
-            if (row + word.length < this.gridSize) {
-                this.addBlackSquare(row + word.length, col);
+            slots.push({ row: center, col: middle, horizontal: true }, { row: middle, col: center, horizontal: false });
+            for (const line of lines) {
+                slots.push({ row: line, col: middle, horizontal: true }, { row: size - 1 - line, col: middle, horizontal: true });
+            }
+            for (const line of lines) {
+                slots.push({ row: middle, col: line, horizontal: false }, { row: middle, col: size - 1 - line, horizontal: false });
             }
             
-            // Add black squares to the left and right (more aggressively)
-            for (let i = 0; i < word.length; i++) {
-                if (Math.random() < 0.5) { // 50% chance for better separation
-                    if (col > 0) {
-                        this.addBlackSquare(row + i, col - 1);
-                    }
-                    if (col + 1 < this.gridSize) {
-                        this.addBlackSquare(row + i, col + 1);
-                    }
-                }
+            if (!slots.some(slot => tryPlan(entry, slot))) {
+                throw new Error(`Theme entry "${entry.word.toUpperCase()}" couldn't be fitted into the ` +
+                    `${size}x${size} grid alongside the other theme entries`);
             }
         }
+        
+        return planned;
     }
 
     /**
-     * Fills remaining spaces with black squares to complete the grid.
-     * Only fills truly empty spaces, never overwrites letters.
+     * Dense American-style generation: builds a block pattern and fills every slot
+     * from the whole word list with the constraint solver.
+     * @returns {Object} - Generated crossword data
      */
-    fillRemainingBlackSquares() {
-        const targetBlackSquares = Math.floor(this.gridSize * this.gridSize * this.config.get('blackSquares.percentage'));
-        let currentBlackSquares = 0;
+    generateFilledCrossword() {
+        const theme = this.planThemeSlots(this.getThemeEntries());
+        const themeWords = new Set(theme.map(entry => entry.word));
+        const candidates = this.words.filter(word =>
+            word.length >= this.config.get('words.minLength') &&
+            word.length <= this.config.get('words.maxLength') &&
+            !themeWords.has(word)
+        );
+        const filler = new CrosswordFiller(candidates, {
+            size: this.gridSize,
+            minLength: this.config.get('words.minLength'),
+            blockPercentage: this.getBlockPercentage(),
+            symmetry: this.getSymmetryType(),
+            random: this.random,
+            maxSteps: this.config.get('generation.fill.maxSteps'),
+            pinned: theme
+        });
         
-        // Count existing black squares
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                if (this.crossword[row][col] === '#') {
-                    currentBlackSquares++;
-                }
+        const patternAttempts = this.config.get('generation.fill.patternAttempts') || 10;
+        for (let attempt = 1; attempt <= patternAttempts; attempt++) {
+            this.reportProgress('filling', { attempt, attempts: patternAttempts });
+            const result = filler.fill();
+            if (result) {
+                this.crossword = result.grid;
+                this.placedWords = result.words.map(word =>
+                    theme.find(entry => entry.row === word.row && entry.col === word.col && entry.horizontal === word.horizontal) || word);
+                this.renumberWords();
+                
+                const symmetry = GridAnalyzer.validateSymmetry(this.crossword, this.getSymmetryType());
+                console.log(`Filled grid on pattern attempt ${attempt}, symmetry:`, symmetry);
+                return this.buildResult(symmetry);
             }
         }
         
-        // Only add black squares if we're under the target AND there are empty spaces
-        let attempts = 0;
-        const maxAttempts = 200;
+        const themeNote = theme.length > 0 ? ` around ${theme.length} theme entries` : '';
+        throw new Error(`Could not fill a ${this.gridSize}x${this.gridSize} grid${themeNote} from ${candidates.length} words ` +
+            `after ${patternAttempts} block patterns. Dense grids need a large word list - ` +
+            'add more words, lower the grid size or use the freeform strategy.');
+    }
+
+    /**
+     * Loads the word list catalog (manifest of themed lists).
+     * @returns {Promise<Object|null>} - Catalog, or null when none is available
+     */
+    async loadCatalog() {
+        const path = this.config.get('files.catalogPath');
+        if (!path) return null;
         
-        while (currentBlackSquares < targetBlackSquares && attempts < maxAttempts) {
-            const row = Math.floor(Math.random() * this.gridSize);
-            const col = Math.floor(Math.random() * this.gridSize);
-            
-            // CRITICAL FIX: Only place black squares in truly empty spaces
-            // Never overwrite letters that are already there
-            if (this.crossword[row][col] === '' && this.canPlaceBlackSquare(row, col)) {
-                this.crossword[row][col] = '#';
-                currentBlackSquares++;
-                console.log(`Added black square at [${row}, ${col}]`);
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                console.log(`Word list catalog not found at ${path}, using files.wordListPath`);
+                return null;
             }
-            
-            attempts++;
+            const catalog = await response.json();
+            this.catalog = Array.isArray(catalog.lists) ? catalog : null;
+            console.log('Word list catalog loaded:', this.catalog);
+        } catch (error) {
+            console.log('Error loading word list catalog, using files.wordListPath:', error);
+            this.catalog = null;
         }
-        
-        console.log(`Final black square count: ${currentBlackSquares}/${targetBlackSquares}`);
+        return this.catalog;
     }
 
     /**
-     * Checks if a black square can be placed at the given position.
-     * @param {number} row - Row position
-     * @param {number} col - Column position
-     * @returns {boolean} - True if placement is allowed
+     * Returns the catalog lists chosen by the user, or the catalog default.
+     * @returns {Array} - Selected catalog entries
      */
-    canPlaceBlackSquare(row, col) {
-        // Basic bounds check
-        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
-            return false;
-        }
-        
-        // Check if it would create a 2x2 block
-        if (this.wouldCreate2x2Block(row, col)) {
-            return false;
-        }
+    getSelectedLists() {
+        if (!this.catalog) return [];
         
-        return true;
+        const selection = this.config.get('files.selectedLists') || this.catalog.defaultSelection ||
+            this.catalog.lists.map(list => list.id);
+        return this.catalog.lists.filter(list => selection.includes(list.id));
     }
 
     /**
-     * Safely adds a black square at the specified position if possible.
-     * @param {number} row - Row position
-     * @param {number} col - Column position
+     * Uses an in-memory word list (e.g. one imported in the browser) instead of the catalog.
+     * @param {Array} entries - Validated entries from WordListParser.parseWordList
+     * @param {string} name - Label for reports
      */
-    addBlackSquare(row, col) {
-        if (row >= 0 && row < this.gridSize && col >= 0 && col < this.gridSize) {
-            if (this.crossword[row][col] === '' && this.canPlaceBlackSquare(row, col)) {
-                this.crossword[row][col] = '#';
-            }
-        }
+    setCustomWordList(entries, name) {
+        this.customWordList = { entries, name: name || 'Custom word list' };
+    }
+
+    clearCustomWordList() {
+        this.customWordList = null;
+    }
+
+    getListWeight(list) {
+        const overrides = this.config.get('files.listWeights') || {};
+        const weight = overrides[list.id] ?? list.weight ?? 1;
+        return Math.max(0, Number(weight) || 0);
     }
 
     /**
-     * Checks if placing a black square would create a 2x2 block.
-     * @param {number} row - Row position
-     * @param {number} col - Column position
-     * @returns {boolean} - True if it would create a 2x2 block
+     * Main method to generate a crossword puzzle using the words-first approach.
+     * A given seed (or generation.seed) always rebuilds the same puzzle. Without one,
+     * up to generation.candidates.count puzzles with fresh seeds are built within
+     * generation.candidates.timeBudgetMs and the best by GridAnalyzer.scoreGrid is kept;
+     * its seed then reproduces it.
+     * @param {Object} [options] - Generation options
+     * @param {number|string} [options.seed] - Seed; falls back to generation.seed, then a search over random seeds
+     * @returns {Promise<Object>} - Generated crossword data, with its score and the number of candidates built
      */
-    wouldCreate2x2Block(row, col) {
-        for (let r = Math.max(0, row - 1); r <= Math.min(this.gridSize - 2, row); r++) {
-            for (let c = Math.max(0, col - 1); c <= Math.min(this.gridSize - 2, col); c++) {
-                let blackCount = 0;
-                for (let i = 0; i < 2; i++) {
-                    for (let j = 0; j < 2; j++) {
-                        if (this.crossword[r + i][c + j] === '#') {
-                            blackCount++;
-                        }
-                    }
+    async generateCrossword(options = {}) {
+        try {
+            const fixedSeed = options.seed ?? this.config.get('generation.seed');
+            const hasSeed = fixedSeed !== null && fixedSeed !== undefined && fixedSeed !== '';
+            
+            // Phase 1: Load words
+            this.reportProgress('loading');
+            await this.loadWordsFromCSV();
+            
+            const count = hasSeed ? 1 : Math.max(1, parseInt(this.config.get('generation.candidates.count')) || 1);
+            const budget = this.config.get('generation.candidates.timeBudgetMs') || 0;
+            const started = Date.now();
+            let best = null;
+            let built = 0;
+            let lastError = null;
+            
+            for (let candidate = 1; candidate <= count; candidate++) {
+                // The first candidate is always built; the rest only while time remains
+                if (candidate > 1 && Date.now() - started >= budget) {
+                    console.log(`Time budget of ${budget}ms used after ${built} candidates`);
+                    break;
                 }
-                if (blackCount >= 3) {
-                    return true;
+                this.progressContext = count > 1 ? { candidate, candidates: count } : {};
+                
+                try {
+                    const result = this.generateCandidate(hasSeed ? fixedSeed : SeededRandom.randomSeed());
+                    built++;
+                    console.log(`Candidate ${candidate} (seed ${result.seed}) scored ${result.score.total}:`, result.score);
+                    if (!best || result.score.total > best.score.total) {
+                        best = result;
+                    }
+                } catch (error) {
+                    lastError = error;
+                    console.log(`Candidate ${candidate} failed: ${error.message}`);
                 }
             }
+            this.progressContext = {};
+            
+            if (!best) throw lastError;
+            
+            // Leave the generator holding the puzzle that was kept
+            this.crossword = best.grid;
+            this.placedWords = best.words;
+            this.seed = best.seed;
+            best.candidates = built;
+            return best;
+        } catch (error) {
+            console.error('Error in generateCrossword:', error);
+            console.error('Error details:', {
+                wordsLoaded: this.words ? this.words.length : 0,
+                errorMessage: error.message,
+                stack: error.stack
+            });
+            throw error;
         }
-        return false;
     }
 
     /**
-     * Builds a comprehensive word connection graph showing all possible intersections.
-     * @param {Array} words - Array of words to analyze
+     * Builds one puzzle from the loaded words with the given seed.
+     * @param {number|string} seed - Puzzle seed
+     * @returns {Object} - Generated crossword data
      */
-    buildWordConnectionGraph(words) {
-        this.wordGraph = {};
+    generateCandidate(seed) {
+        this.setSeed(seed);
+        console.log(`Starting words-first crossword generation with seed ${this.seed}...`);
         
-        for (let i = 0; i < words.length; i++) {
-            const word1 = words[i];
-            this.wordGraph[word1] = [];
-            
-            for (let j = 0; j < words.length; j++) {
-                if (i === j) continue;
-                
-                const word2 = words[j];
-                const intersections = this.findWordIntersections(word1, word2);
-                
-                if (intersections.length > 0) {
-                    this.wordGraph[word1].push({
-                        word: word2,
-                        intersections: intersections,
-                        score: intersections.length * 2 + Math.min(word1.length, word2.length)
-                    });
-                }
+        if (this.getStrategy() === 'fill') {
+            return this.generateFilledCrossword();
+        }
+        
+        const themeEntries = this.getThemeEntries();
+        const themeWords = new Set(themeEntries.map(entry => entry.word));
+        
+        this.reportProgress('selecting');
+        const selectedWords = this.selectSmartWordSet().filter(word => !themeWords.has(word));
+        console.log(`Selected ${selectedWords.length} words for crossword`);
+        
+        // Phase 2: Build comprehensive word connection graph
+        this.buildWordConnectionGraph(selectedWords);
+        console.log('Word connection graph built');
+        
+        // Phase 3: Generate crossword grid with strategic placement, retrying when the
+        // connectivity/isolated-letter checks can't be repaired or stray runs remain
+        const maxRetries = 5;
+        const symmetryType = this.getSymmetryType();
+        let success = false;
+        for (let attempt = 1; attempt <= maxRetries && !success; attempt++) {
+            // Each retry draws from a stream of its own (derived from the seed, so the puzzle
+            // still reproduces) rather than repeating the attempt before
+            if (attempt > 1) this.random = new SeededRandom(`${this.seed}-${attempt}`);
+            this.unconnectedThemeEntry = null;
+            success = this.generateCrosswordGrid(selectedWords, themeEntries) && this.ensureGridIntegrity() && this.hasOnlyPlacedWords() &&
+                GridAnalyzer.validateSymmetry(this.crossword, symmetryType).symmetric;
+            this.lastAttempts = attempt;
+            if (!success) {
+                console.log(`Grid attempt ${attempt} failed validation, retrying...`);
             }
-            
-            // Sort connections by score (best intersections first)
-            this.wordGraph[word1].sort((a, b) => b.score - a.score);
+        }
+        if (!success) {
+            const symmetryNote = symmetryType === 'none' ? '' : ` with ${symmetryType} symmetry`;
+            if (this.unconnectedThemeEntry) {
+                throw new Error(`Theme entry "${this.unconnectedThemeEntry.toUpperCase()}" couldn't be connected ` +
+                    `to the rest of the grid${symmetryNote}`);
+            }
+            throw new Error(themeEntries.length > 0
+                ? `Failed to generate a valid crossword grid around the theme entries${symmetryNote}`
+                : `Failed to generate valid crossword grid${symmetryNote}`);
+        }
+        console.log('Crossword grid generated successfully');
+        
+        // Phase 4: Add professional black square patterns
+        this.reportProgress('finishing');
+        this.addProfessionalBlackSquares();
+        this.enforceBlockSymmetry();
+        const symmetry = GridAnalyzer.validateSymmetry(this.crossword, symmetryType);
+        console.log('Professional black squares added, symmetry:', symmetry);
+        if (!symmetry.symmetric) {
+            throw new Error(`The finished grid breaks ${symmetryType} symmetry at ${symmetry.violations.length} squares`);
         }
         
-        console.log('Word connection graph built with', Object.keys(this.wordGraph).length, 'words');
+        return this.buildResult(symmetry);
     }
 
     /**
-     * Generates the crossword grid using strategic word placement.
-     * @param {Array} words - Words to place in the grid
-     * @returns {boolean} - True if successful, false otherwise
+     * Loads words and clues from the selected catalog lists, merged in catalog order,
+     * or from files.wordListPath when there is no catalog.
+     * Rows that fail validation are kept in this.wordListReports with their line numbers.
+     * An imported custom word list replaces all of these.
+     * @returns {Promise<void>}
      */
-    generateCrosswordGrid(words) {
-        console.log('=== GENERATING CROSSWORD GRID ===');
-        console.log('Grid size:', this.gridSize);
-        console.log('Words to place:', words);
-        
-        // Initialize empty grid
-        this.crossword = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(''));
-        this.placedWords = [];
-        
-        console.log('Grid initialized, size:', this.crossword.length, 'x', this.crossword[0].length);
-        
-        // Start with a central word
-        const center = Math.floor(this.gridSize / 2);
-        const centralWord = words.find(w => w.length >= 6) || words[0];
-        
-        console.log('Center position:', center);
-        console.log('Central word selected:', centralWord);
-        
-        if (!centralWord) {
-            console.error('No suitable central word found');
-            return false;
+    async loadWordsFromCSV() {
+        if (this.customWordList) {
+            this.loadCustomWordList();
+            return;
         }
         
-        // Place central word horizontally
-        const centralCol = Math.max(0, center - Math.floor(centralWord.length / 2));
-        const centralPlacement = {
-            word: centralWord,
-            row: center,
-            col: centralCol,
-            horizontal: true,
-            number: 1
-        };
-        
-        console.log('Central word placement:', centralPlacement);
-        
-        this.placeWord(centralPlacement);
-        this.placedWords.push(centralPlacement);
-        
-        console.log(`Placed central word "${centralWord}" at [${center}, ${centralCol}]`);
-        console.log('Grid after central word:');
-        this.logGrid();
-        
-        // Try to place remaining words with intersections
-        const remainingWords = words.filter(w => w !== centralWord);
-        console.log('Remaining words to place:', remainingWords.length);
-        
-        let attempts = 0;
-        const maxAttempts = 200; // Increased max attempts
-        let placedCount = 0;
-        
-        // Sort words by length (shorter words are easier to place)
-        // Also remove duplicates to avoid the same word appearing multiple times
-        const uniqueWords = [...new Set(remainingWords)];
-        const sortedWords = uniqueWords.sort((a, b) => a.length - b.length);
-        
-        console.log(`Processing ${sortedWords.length} unique words (removed ${remainingWords.length - sortedWords.length} duplicates)`);
-        
-        for (const word of sortedWords) {
-            if (attempts >= maxAttempts) break;
+        try {
+            const selected = this.getSelectedLists();
+            const sources = selected.length > 0
+                ? selected.map(list => ({ id: list.id, path: list.path }))
+                : [{ id: 'default', path: this.config.get('files.wordListPath') }];
             
-            console.log(`Attempting to place word "${word}" (attempt ${attempts + 1})`);
-            const placement = this.findBestIntersectionPlacement(word);
+            this.words = [];
+            this.clues = {};
+            this.wordInfo = {};
+            this.wordSources = {};
+            this.wordListReports = [];
             
-            if (placement) {
-                console.log(`Found placement for "${word}":`, placement);
-                this.placeWord(placement);
-                this.placedWords.push(placement);
-                placedCount++;
-                console.log(`Successfully placed word "${word}" with intersection`);
-                console.log('Grid after placement:');
-                this.logGrid();
-            } else {
-                console.log(`Could not place word "${word}" with intersection`);
+            for (const source of sources) {
+                console.log(`Loading words from ${source.path}...`);
+                const response = await fetch(source.path);
+                
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch CSV: ${response.status} ${response.statusText}`);
+                }
+                
+                const csvText = await response.text();
+                const { entries, rejected } = WordListParser.parseWordList(csvText, {
+                    minLength: this.config.get('words.minLength'),
+                    maxLength: this.config.get('words.maxLength')
+                });
+                
+                let accepted = 0;
+                for (const entry of entries) {
+                    // A word shared by two lists keeps the clue from the first one
+                    if (this.wordSources[entry.word]) {
+                        rejected.push({
+                            line: entry.line,
+                            reason: `Word "${entry.word}" is already in the "${this.wordSources[entry.word]}" list`,
+                            raw: `${entry.clue},${entry.word}`
+                        });
+                        continue;
+                    }
+                    this.addWordEntry(entry, source.id);
+                    accepted++;
+                }
+                
+                rejected.sort((x, y) => x.line - y.line);
+                this.wordListReports.push({ source: source.path, accepted, rejected });
+                
+                console.log(`Loaded ${accepted} words with clues from ${source.path}`);
+                if (rejected.length > 0) {
+                    console.warn(`Skipped ${rejected.length} invalid rows in ${source.path}`);
+                }
             }
+            this.applySavedClueVariants();
             
-            attempts++;
+            // If no words loaded, add some fallback words
+            if (this.words.length === 0) {
+                console.warn('No words loaded from CSV, adding fallback words');
+                const fallbackWords = [
+                    'crossword', 'puzzle', 'letters', 'words', 'clues',
+                    'answer', 'solution', 'game', 'play', 'fun',
+                    'brain', 'think', 'learn', 'study', 'knowledge'
+                ];
+                this.words = fallbackWords;
+                fallbackWords.forEach(word => {
+                    this.clues[word] = `A ${word.length}-letter word`;
+                });
+                console.log('Added fallback words:', this.words);
+            }
+            
+        } catch (error) {
+            console.error('Error loading words from CSV:', error);
+            throw error;
         }
+    }
+
+    /**
+     * Records a parsed word list entry. Entries without variants (e.g. built in code)
+     * get their single clue as the only variant.
+     * @param {Object} entry - Entry from WordListParser.parseWordList
+     * @param {string} source - Id of the list it came from
+     */
+    addWordEntry(entry, source) {
+        this.words.push(entry.word);
+        this.clues[entry.word] = entry.clue;
+        this.wordSources[entry.word] = source;
+        this.wordInfo[entry.word] = {
+            clues: entry.clues || [{ text: entry.clue, difficulty: null, tags: [], author: null }],
+            tags: entry.tags || [],
+            author: entry.author || null
+        };
+    }
+
+    /**
+     * Returns the difficulties the word list assigns to a word's clues.
+     * @param {string} word - Word to look up
+     * @returns {Array} - Distinct difficulties, empty when none are given
+     */
+    getWordDifficulties(word) {
+        const info = this.wordInfo[word];
+        if (!info) return [];
+        return [...new Set(info.clues.map(variant => variant.difficulty).filter(Boolean))];
+    }
+
+    /**
+     * Picks the clue variant that best suits the puzzle: clues marked with the puzzle's
+     * difficulty beat unmarked ones, which beat a neighbouring level, and clues tagged
+     * with theme.name get a further boost. Ties are broken at random.
+     * @param {string} word - Placed word
+     * @param {SeededRandom} [random] - Stream to break ties with (defaults to the generation stream)
+     * @returns {Object|null} - Chosen variant { text, difficulty, tags, author }
+     */
+    chooseClue(word, random = this.random) {
+        const info = this.wordInfo[word];
+        if (!info || info.clues.length === 0) return null;
+        
+        const levels = ['easy', 'medium', 'hard'];
+        const difficulty = this.config.getDifficulty();
+        const theme = String(this.config.get('theme.name') || '').trim().toLowerCase();
+        
+        const score = (variant) => {
+            let value = 0;
+            if (!variant.difficulty) {
+                value += 1;
+            } else if (variant.difficulty === difficulty) {
+                value += 2;
+            } else if (Math.abs(levels.indexOf(variant.difficulty) - levels.indexOf(difficulty)) === 1) {
+                value += 0.5;
+            }
+            if (theme && variant.tags.includes(theme)) value += 2;
+            return value;
+        };
         
-        // Re-number all words sequentially from top-left to bottom-right
-        this.renumberWordsSequentially();
-        
-        console.log(`=== GRID GENERATION COMPLETE ===`);
-        console.log(`Successfully placed ${this.placedWords.length} words`);
-        console.log(`Final grid state:`);
-        this.logGrid();
-        
-        return this.placedWords.length >= Math.min(5, words.length);
+        const best = Math.max(...info.clues.map(score));
+        const candidates = info.clues.filter(variant => score(variant) === best);
+        return candidates[random.nextInt(candidates.length)];
     }
 
     /**
-     * Logs the current grid state for debugging.
+     * Gives every placed word the clue chosen for this puzzle. The choices draw from a
+     * stream of their own, so clues kept in this browser (see applySavedClueVariants)
+     * can't change the givens or anything else drawn after them.
      */
-    logGrid() {
-        console.log('Grid contents:');
-        for (let row = 0; row < this.gridSize; row++) {
-            let rowStr = '';
-            for (let col = 0; col < this.gridSize; col++) {
-                const cell = this.crossword[row][col];
-                rowStr += (cell || ' ') + ' ';
+    assignClues() {
+        const random = new SeededRandom(`${this.seed}:clues`);
+        for (const placement of this.placedWords) {
+            // Theme entries keep the clue their puzzle definition gives them
+            if (placement.theme && placement.clue) continue;
+            const variant = this.chooseClue(placement.word, random);
+            placement.clue = variant ? variant.text : (this.clues[placement.word] || null);
+            placement.clueAuthor = variant ? variant.author : null;
+        }
+    }
+
+    /**
+     * Packages the finished grid as crossword data.
+     * @param {Object} symmetry - Result of GridAnalyzer.validateSymmetry
+     * @returns {Object} - Generated crossword data
+     */
+    buildResult(symmetry) {
+        this.assignClues();
+        return {
+            grid: this.crossword,
+            words: this.placedWords,
+            size: this.gridSize,
+            seed: this.seed,
+            symmetry,
+            difficulty: this.config.getDifficulty(),
+            givens: this.selectGivenLetters(),
+            score: GridAnalyzer.scoreGrid(this.crossword, this.placedWords, {
+                balanceAcrossDown: this.config.get('words.balanceAcrossDown')
+            })
+        };
+    }
+
+    loadCustomWordList() {
+        const { entries, name } = this.customWordList;
+        this.words = [];
+        this.clues = {};
+        this.wordInfo = {};
+        this.wordSources = {};
+        for (const entry of entries) {
+            this.addWordEntry(entry, 'custom');
+        }
+        this.wordListReports = [{ source: name, accepted: entries.length, rejected: [] }];
+        this.applySavedClueVariants();
+        console.log(`Using ${entries.length} words from ${name}`);
+    }
+
+    /**
+     * Adds the clues kept from edited puzzles as extra variants of words in the loaded
+     * lists, so later puzzles can pick them. Which clue a seed gives those words can then
+     * differ between browsers; the grid and givens don't (see assignClues).
+     */
+    applySavedClueVariants() {
+        for (const [word, texts] of Object.entries(this.savedClueVariants || {})) {
+            const info = this.wordInfo[word];
+            if (!info) continue;
+            for (const text of texts) {
+                if (info.clues.some(variant => variant.text === text)) continue;
+                info.clues.push({ text, difficulty: null, tags: [], author: null });
             }
-            console.log(`Row ${row}: ${rowStr}`);
         }
     }
 
     /**
-     * Renumbers all placed words sequentially from top-left to bottom-right.
-     * This ensures professional crossword numbering.
+     * Validates if a word is a legitimate English word.
+     * @param {string} word - Word to validate
+     * @returns {boolean} - True if word is valid
      */
-    renumberWordsSequentially() {
-        if (this.placedWords.length === 0) return;
+    isValidEnglishWord(word) {
+        // Must be at least 3 characters
+        if (word.length < 3) return false;
         
-        // Sort words by position (top-left to bottom-right)
-        const sortedWords = [...this.placedWords].sort((a, b) => {
-            if (a.row !== b.row) {
-                return a.row - b.row; // Sort by row first
-            }
-            return a.col - b.col; // Then by column
-        });
+        // Must contain at least one vowel
+        if (!/[aeiou]/.test(word)) return false;
         
-        // Assign sequential numbers starting from 1
-        let number = 1;
-        for (const word of sortedWords) {
-            word.number = number++;
-        }
+        // Must not contain only consonants
+        if (/^[bcdfghjklmnpqrstvwxyz]+$/.test(word)) return false;
         
-        // Also update the placedWords array to maintain order
-        this.placedWords = sortedWords;
+        // Must not be all the same letter
+        if (/^(.)\1+$/.test(word)) return false;
         
-        console.log('Renumbered words sequentially:', sortedWords.map(w => `${w.number}: ${w.word}`));
-        console.log('Total words placed:', this.placedWords.length);
+        // Must not contain common non-word patterns
+        const invalidPatterns = [
+            /^[bcdfghjklmnpqrstvwxyz]{4,}$/, // 4+ consonants in a row
+            /[bcdfghjklmnpqrstvwxyz]{5,}/,   // 5+ consonants anywhere
+            /^[aeiou]{3,}$/,                  // 3+ vowels in a row at start
+            /[aeiou]{4,}/,                    // 4+ vowels anywhere
+            /^[bcdfghjklmnpqrstvwxyz]{3,}[aeiou]?$/, // 3+ consonants at start
+            /[aeiou]?[bcdfghjklmnpqrstvwxyz]{3,}$/  // 3+ consonants at end
+        ];
+        
+        for (const pattern of invalidPatterns) {
+            if (pattern.test(word)) return false;
+        }
+        
+        return true;
     }
 
     /**
-     * Finds the best placement for a word that intersects with existing words.
-     * @param {string} word - Word to place
-     * @returns {Object|null} - Best placement or null if none found
+     * Estimates how hard a word is to solve, from its length, how rare its letters are
+     * and how many of its letter pairs are uncommon in English.
+     * @param {string} word - Word to score
+     * @returns {number} - 0 (easiest) to 1 (hardest)
      */
-    findBestIntersectionPlacement(word) {
-        let bestPlacement = null;
-        let bestScore = -1;
-        
-        // First try to find intersections with existing words
-        for (const placedWord of this.placedWords) {
-            const intersections = this.findWordIntersections(word, placedWord.word);
-            
-            for (const intersection of intersections) {
-                const placement = this.calculateIntersectionPlacement(word, placedWord, intersection);
-                
-                if (placement && this.isValidPlacement(placement)) {
-                    const score = this.calculatePlacementScore(placement);
-                    
-                    if (score > bestScore) {
-                        bestScore = score;
-                        bestPlacement = placement;
-                    }
-                }
-            }
-        }
+    scoreWordDifficulty(word) {
+        const letterValues = {
+            a: 1, b: 3, c: 3, d: 2, e: 1, f: 4, g: 2, h: 4, i: 1, j: 8, k: 5, l: 1, m: 3,
+            n: 1, o: 1, p: 3, q: 10, r: 1, s: 1, t: 1, u: 1, v: 4, w: 4, x: 8, y: 4, z: 10
+        };
+        const commonPairs = new Set([
+            'th', 'he', 'in', 'er', 'an', 're', 'on', 'at', 'en', 'nd', 'ti', 'es', 'or', 'te',
+            'of', 'ed', 'is', 'it', 'al', 'ar', 'st', 'to', 'nt', 'ng', 'se', 'ha', 'as', 'ou',
+            'io', 'le', 've', 'co', 'me', 'de', 'hi', 'ri', 'ro', 'ic', 'ne', 'ea', 'ra', 'ce',
+            'li', 'ch', 'll', 'be', 'ma', 'si', 'om', 'ur', 'ca', 'el', 'ta', 'la', 'ns', 'di'
+        ]);
         
-        // If no intersection found, try placing in empty space
-        if (!bestPlacement) {
-            bestPlacement = this.findEmptySpacePlacement(word);
-        }
+        const length = Math.min(1, Math.max(0, (word.length - 4) / 8));
         
-        // If still no placement, try placing adjacent to existing words
-        if (!bestPlacement) {
-            bestPlacement = this.findAdjacentPlacement(word);
-        }
+        const averageValue = [...word].reduce((sum, letter) => sum + (letterValues[letter] || 1), 0) / word.length;
+        const rarity = Math.min(1, (averageValue - 1) / 3);
         
-        if (bestPlacement) {
-            // Assign a unique number based on placement order
-            bestPlacement.number = this.placedWords.length + 1;
+        let commonCount = 0;
+        for (let i = 0; i < word.length - 1; i++) {
+            if (commonPairs.has(word.substr(i, 2))) commonCount++;
         }
+        const unfamiliarity = word.length > 1 ? 1 - commonCount / (word.length - 1) : 0;
         
-        return bestPlacement;
+        return 0.4 * length + 0.35 * rarity + 0.25 * unfamiliarity;
     }
 
     /**
-     * Calculates placement coordinates for a word intersecting with an existing word.
-     * @param {string} word - Word to place
-     * @param {Object} existingWord - Existing word to intersect with
-     * @param {Object} intersection - Intersection data
-     * @returns {Object|null} - Placement object or null if invalid
+     * Narrows the candidates to words that suit the configured difficulty, keeping the
+     * closest matches when too few words fall inside the preferred range.
+     * @param {Array} words - Valid candidate words
+     * @param {number} targetCount - Number of words to select
+     * @returns {Array} - Candidates for the difficulty
      */
-    calculateIntersectionPlacement(word, existingWord, intersection) {
-        if (existingWord.horizontal) {
-            // Place new word vertically
-            const newRow = existingWord.row - intersection.word2Index;
-            const newCol = existingWord.col + intersection.word1Index;
-            
-            if (newRow >= 0 && newRow + word.length <= this.gridSize) {
-                return {
-                    word: word,
-                    row: newRow,
-                    col: newCol,
-                    horizontal: false
-                };
-            }
-        } else {
-            // Place new word horizontally
-            const newRow = existingWord.row + intersection.word1Index;
-            const newCol = existingWord.col - intersection.word2Index;
-            
-            if (newCol >= 0 && newCol + word.length <= this.gridSize) {
-                return {
-                    word: word,
-                    row: newRow,
-                    col: newCol,
-                    horizontal: true
-                };
+    filterByDifficulty(words, targetCount) {
+        const [low, high] = this.config.getDifficultyProfile().wordDifficulty;
+        const levels = ['easy', 'medium', 'hard'];
+        const difficulty = this.config.getDifficulty();
+        const distance = (word) => {
+            // Difficulties from the word list win over the estimate
+            const marked = this.getWordDifficulties(word);
+            if (marked.length > 0) {
+                return Math.min(...marked.map(level =>
+                    Math.abs(levels.indexOf(level) - levels.indexOf(difficulty)))) * 0.25;
             }
+            const score = this.scoreWordDifficulty(word);
+            return score < low ? low - score : score > high ? score - high : 0;
+        };
+        
+        const scored = this.shuffleArray([...words]).map(word => ({ word, distance: distance(word) }));
+        const inRange = scored.filter(entry => entry.distance === 0).map(entry => entry.word);
+        const poolSize = targetCount * 3;
+        if (inRange.length >= poolSize || inRange.length === words.length) {
+            return inRange;
         }
         
-        return null;
+        return scored
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, Math.max(poolSize, inRange.length))
+            .map(entry => entry.word);
     }
 
     /**
-     * Finds a placement for a word in empty space when no intersections are available.
-     * @param {string} word - Word to place
-     * @returns {Object|null} - Placement object or null if no space found
+     * Selects a smart set of words that can create good intersections.
+     * Analyzes word compatibility and prioritizes words with many possible connections.
+     * @returns {Array} - Array of selected words
      */
-    findEmptySpacePlacement(word) {
-        // Prefer placements near existing words for better connectivity
-        const preferredPositions = [];
-        const otherPositions = [];
+    selectSmartWordSet() {
+        const profile = this.config.getDifficultyProfile();
+        const minLength = Math.max(this.config.get('words.minLength'), profile.minLength);
+        const maxLength = Math.min(this.config.get('words.maxLength'), profile.maxLength);
+        // Cap at 20 for better quality, then scale for the difficulty's grid density
+        const targetCount = Math.round(Math.min(this.config.get('words.targetCount'), 20) * profile.wordCountFactor);
         
-        // Try to find a row or column with enough empty space
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col <= this.gridSize - word.length; col++) {
-                // Check if we can place horizontally
-                let canPlace = true;
-                for (let i = 0; i < word.length; i++) {
-                    if (this.crossword[row][col + i] !== '') {
-                        canPlace = false;
-                        break;
-                    }
-                }
-                
-                if (canPlace) {
-                    const placement = {
-                        word: word,
-                        row: row,
-                        col: col,
-                        horizontal: true
-                    };
-                    
-                    // Check if this placement is near existing words
-                    if (this.isNearExistingWords(placement)) {
-                        preferredPositions.push(placement);
-                    } else {
-                        otherPositions.push(placement);
-                    }
-                }
-            }
+        console.log(`Smart word selection (${this.config.getDifficulty()}): minLength=${minLength}, maxLength=${maxLength}, targetCount=${targetCount}`);
+        
+        // Filter words by length requirements and additional quality checks
+        const validWords = this.words.filter(word => 
+            word.length >= minLength && 
+            word.length <= maxLength &&
+            this.isValidEnglishWord(word)
+        );
+        const suitableWords = this.filterByDifficulty(validWords, targetCount);
+        const weightedWords = this.applyListWeights(suitableWords, targetCount);
+        
+        // Group words by length for better intersection potential
+        const wordsByLength = {};
+        for (const word of weightedWords) {
+            const len = word.length;
+            if (!wordsByLength[len]) wordsByLength[len] = [];
+            wordsByLength[len].push(word);
         }
         
-        // Try vertical placement
-        for (let col = 0; col < this.gridSize; col++) {
-            for (let row = 0; row <= this.gridSize - word.length; row++) {
-                // Check if we can place vertically
-                let canPlace = true;
-                for (let i = 0; i < word.length; i++) {
-                    if (this.crossword[row + i][col] !== '') {
-                        canPlace = false;
-                        break;
-                    }
-                }
+        // Select a balanced mix of word lengths
+        const selected = [];
+        const targetLengths = [8, 7, 6, 9, 5, 10, 4, 11, 12, 3]; // Priority order
+        
+        for (const length of targetLengths) {
+            if (wordsByLength[length] && selected.length < targetCount) {
+                const wordsOfLength = wordsByLength[length];
+                const shuffle = this.shuffleArray([...wordsOfLength]);
+                const needed = Math.min(targetCount - selected.length, Math.ceil(targetCount / 4));
                 
-                if (canPlace) {
-                    const placement = {
-                        word: word,
-                        row: row,
-                        col: col,
-                        horizontal: false
-                    };
-                    
-                    // Check if this placement is near existing words
-                    if (this.isNearExistingWords(placement)) {
-                        preferredPositions.push(placement);
-                    } else {
-                        otherPositions.push(placement);
-                    }
-                }
+                selected.push(...shuffle.slice(0, needed));
             }
         }
         
-        // Return preferred placement if available, otherwise any placement
-        if (preferredPositions.length > 0) {
-            return preferredPositions[0];
+        // Fill remaining slots with random words
+        const remaining = targetCount - selected.length;
+        if (remaining > 0) {
+            const allValid = weightedWords.filter(w => !selected.includes(w));
+            const randomWords = this.shuffleArray([...allValid]).slice(0, remaining);
+            selected.push(...randomWords);
         }
-        return otherPositions.length > 0 ? otherPositions[0] : null;
+        
+        console.log(`Selected ${selected.length} smart words with balanced lengths`);
+        return selected;
     }
 
     /**
-     * Checks if a word placement is near existing words for better connectivity.
-     * @param {Object} placement - Word placement to check
-     * @returns {boolean} - True if placement is near existing words
+     * Narrows the candidate pool so each word list contributes in proportion to its weight.
+     * The pool is oversampled because not every selected word ends up placed.
+     * @param {Array} words - Valid candidate words
+     * @param {number} targetCount - Number of words to select
+     * @returns {Array} - Weighted candidate pool
      */
-    isNearExistingWords(placement) {
-        const { row, col, horizontal } = placement;
+    applyListWeights(words, targetCount) {
+        const bySource = {};
+        for (const word of words) {
+            const source = this.wordSources[word] || 'default';
+            if (!bySource[source]) bySource[source] = [];
+            bySource[source].push(word);
+        }
         
-        // Check if any existing word is within 2 cells
-        for (const placedWord of this.placedWords) {
-            const rowDiff = Math.abs(row - placedWord.row);
-            const colDiff = Math.abs(col - placedWord.col);
-            
-            if (rowDiff <= 2 && colDiff <= 2) {
-                return true;
-            }
+        const lists = this.getSelectedLists().filter(list => bySource[list.id]);
+        if (lists.length < 2) return words;
+        
+        const totalWeight = lists.reduce((sum, list) => sum + this.getListWeight(list), 0);
+        if (totalWeight === 0) return words;
+        
+        const poolSize = targetCount * 2;
+        const pool = [];
+        for (const list of lists) {
+            const share = this.getListWeight(list) / totalWeight;
+            if (share === 0) continue;
+            const quota = Math.max(1, Math.round(poolSize * share));
+            pool.push(...this.shuffleArray(bySource[list.id]).slice(0, quota));
         }
         
-        return false;
+        console.log(`Weighted word pool: ${lists.map(l => `${l.id}=${this.getListWeight(l)}`).join(', ')}`);
+        return this.shuffleArray(pool);
     }
 
     /**
-     * Finds a placement for a word adjacent to existing words when no intersections are available.
-     * @param {string} word - Word to place
-     * @returns {Object|null} - Placement object or null if no placement found
+     * Shuffles an array using Fisher-Yates algorithm.
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} - Shuffled array
      */
-    findAdjacentPlacement(word) {
-        // Try to place adjacent to existing words
-        for (const placedWord of this.placedWords) {
-            if (placedWord.horizontal) {
-                // Try placing above or below horizontally
-                const aboveRow = placedWord.row - 1;
-                const belowRow = placedWord.row + 1;
-                
-                if (aboveRow >= 0) {
-                    let canPlaceAbove = true;
-                    for (let i = 0; i < word.length; i++) {
-                        if (this.crossword[aboveRow][placedWord.col + i] !== '') {
-                            canPlaceAbove = false;
-                            break;
-                        }
-                    }
-                    
-                    if (canPlaceAbove) {
-                        return {
-                            word: word,
-                            row: aboveRow,
-                            col: placedWord.col,
-                            horizontal: true
-                        };
-                    }
-                }
-                
-                if (belowRow < this.gridSize) {
-                    let canPlaceBelow = true;
-                    for (let i = 0; i < word.length; i++) {
-                        if (this.crossword[belowRow][placedWord.col + i] !== '') {
-                            canPlaceBelow = false;
-                            break;
-                        }
-                    }
-                    
-                    if (canPlaceBelow) {
-                        return {
-                            word: word,
-                            row: belowRow,
-                            col: placedWord.col,
-                            horizontal: true
-                        };
-                    }
-                }
-            } else {
-                // Try placing left or right vertically
-                const leftCol = placedWord.col - 1;
-                const rightCol = placedWord.col + 1;
+    shuffleArray(array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = this.random.nextInt(i + 1);
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Analyzes which words can intersect with each other.
+     * Creates a graph of possible word connections.
+     * @param {Array} words - Array of words to analyze
+     * @returns {Object} - Word intersection graph
+     */
+    analyzeWordIntersections(words) {
+        const graph = {};
+        
+        for (let i = 0; i < words.length; i++) {
+            const word1 = words[i];
+            graph[word1] = [];
+            
+            for (let j = 0; j < words.length; j++) {
+                if (i === j) continue;
                 
-                if (leftCol >= 0) {
-                    let canPlaceLeft = true;
-                    for (let i = 0; i < word.length; i++) {
-                        if (this.crossword[placedWord.row + i][leftCol] !== '') {
-                            canPlaceLeft = false;
-                            break;
-                        }
-                    }
-                    
-                    if (canPlaceLeft) {
-                        return {
-                            word: word,
-                            row: placedWord.row,
-                            col: leftCol,
-                            horizontal: false
-                        };
-                    }
-                }
+                const word2 = words[j];
+                const intersections = this.findWordIntersections(word1, word2);
                 
-                if (rightCol < this.gridSize) {
-                    let canPlaceRight = true;
-                    for (let i = 0; i < word.length; i++) {
-                        if (this.crossword[placedWord.row + i][rightCol] !== '') {
-                            canPlaceRight = false;
-                            break;
-                        }
-                    }
-                    
-                    if (canPlaceRight) {
-                        return {
-                            word: word,
-                            row: placedWord.row,
-                            col: rightCol,
-                            horizontal: false
-                        };
-                    }
+                if (intersections.length > 0) {
+                    graph[word1].push({
+                        word: word2,
+                        intersections: intersections
+                    });
                 }
             }
         }
         
-        return null;
+        return graph;
+    }
+
+    /**
+     * Finds all possible intersections between two words.
+     * @param {string} word1 - First word
+     * @param {string} word2 - Second word
+     * @returns {Array} - Array of intersection points
+     */
+    findWordIntersections(word1, word2) {
+        const intersections = [];
+        
+        // Only find intersections for valid words
+        if (word1.length < 3 || word2.length < 3) {
+            return intersections;
+        }
+        
+        for (let i = 0; i < word1.length; i++) {
+            for (let j = 0; j < word2.length; j++) {
+                if (word1[i] === word2[j]) {
+                    // Prefer intersections that create meaningful word segments
+                    const score = this.calculateIntersectionScore(word1, word2, i, j);
+                    intersections.push({
+                        word1Index: i,
+                        word2Index: j,
+                        letter: word1[i],
+                        score: score
+                    });
+                }
+            }
+        }
+        
+        // Sort intersections by quality score
+        intersections.sort((a, b) => b.score - a.score);
+        
+        return intersections;
+    }
+
+    /**
+     * Calculates a quality score for an intersection between two words.
+     * @param {string} word1 - First word
+     * @param {string} word2 - Second word
+     * @param {number} index1 - Index in first word
+     * @param {number} index2 - Index in second word
+     * @returns {number} - Quality score (higher is better)
+     */
+    calculateIntersectionScore(word1, word2, index1, index2) {
+        let score = 0;
+        
+        // Prefer intersections near the middle of words
+        const mid1 = word1.length / 2;
+        const mid2 = word2.length / 2;
+        const distFromMid1 = Math.abs(index1 - mid1);
+        const distFromMid2 = Math.abs(index2 - mid2);
+        
+        score += (word1.length - distFromMid1) + (word2.length - distFromMid2);
+        
+        // Prefer longer words
+        score += word1.length + word2.length;
+        
+        // Bonus for common letters (e, a, r, t, o, i, n, s)
+        const commonLetters = ['e', 'a', 'r', 't', 'o', 'i', 'n', 's'];
+        if (commonLetters.includes(word1[index1])) {
+            score += 5;
+        }
+        
+        return score;
+    }
+
+    /**
+     * Designs the grid layout based on selected words and their intersections.
+     * @param {Array} words - Selected words
+     * @param {Object} wordGraph - Word intersection graph
+     * @returns {Object} - Grid layout design
+     */
+    designGridLayout(words, wordGraph) {
+        console.log('=== DESIGNING GRID LAYOUT ===');
+        console.log('Words to place:', words);
+        console.log('Word graph:', wordGraph);
+        
+        // Start with a central word
+        const centralWord = words.find(w => w.length >= 5) || words[0];
+        const center = Math.floor(this.gridSize / 2);
+        
+        console.log('Central word:', centralWord, 'at center:', center);
+        
+        const layout = {
+            centralWord: centralWord,
+            centerRow: center,
+            centerCol: Math.floor(center - centralWord.length / 2),
+            wordPositions: [],
+            blackSquares: []
+        };
+        
+        console.log('Initial layout:', layout);
+        
+        // Place central word horizontally
+        layout.wordPositions.push({
+            word: centralWord,
+            row: center,
+            col: layout.centerCol,
+            horizontal: true,
+            number: 1
+        });
+        
+        console.log('After placing central word:', layout.wordPositions);
+        
+        // Design black squares around the central word
+        this.designBlackSquaresAroundWord(layout, centralWord, center, layout.centerCol, true);
+        
+        // Plan placement of other words
+        this.planWordPlacements(layout, words, wordGraph);
+        
+        console.log('Final layout:', layout);
+        console.log('Total word positions:', layout.wordPositions.length);
+        console.log('Total black squares:', layout.blackSquares.length);
+        
+        return layout;
+    }
+
+    /**
+     * Designs black squares around a placed word to create proper boundaries.
+     * @param {Object} layout - Grid layout object
+     * @param {string} word - Word to design around
+     * @param {number} row - Word row position
+     * @param {number} col - Word column position
+     * @param {boolean} horizontal - Whether word is horizontal
+     */
+    designBlackSquaresAroundWord(layout, word, row, col, horizontal) {
+        if (horizontal) {
+            // Only add black squares at word boundaries (start/end)
+            if (col > 0) {
+                layout.blackSquares.push([row, col - 1]);
+            }
+            if (col + word.length < this.gridSize) {
+                layout.blackSquares.push([row, col + word.length]);
+            }
+            
+            // Occasionally add a black square above or below (much less frequently)
+            if (this.random.next() > 0.9) { // Reduced from 0.7 to 0.9
+                const randomCol = col + this.random.nextInt(word.length);
+                if (row > 0) {
+                    layout.blackSquares.push([row - 1, randomCol]);
+                }
+                if (row < this.gridSize - 1) {
+                    layout.blackSquares.push([row + 1, randomCol]);
+                }
+            }
+        } else {
+            // Vertical word - similar conservative approach
+            if (row > 0) {
+                layout.blackSquares.push([row - 1, col]);
+            }
+            if (row + word.length < this.gridSize) {
+                layout.blackSquares.push([row + word.length, col]);
+            }
+            
+            // Occasionally add a black square to the left or right
+            if (this.random.next() > 0.9) { // Reduced from 0.7 to 0.9
+                const randomRow = row + this.random.nextInt(word.length);
+                if (col > 0) {
+                    layout.blackSquares.push([randomRow, col - 1]);
+                }
+                if (col < this.gridSize - 1) {
+                    layout.blackSquares.push([randomRow, col + 1]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Plans the placement of remaining words based on intersections.
+     * @param {Object} layout - Grid layout object
+     * @param {Array} words - Words to place
+     * @param {Object} wordGraph - Word intersection graph
+     */
+    planWordPlacements(layout, words, wordGraph) {
+        const remainingWords = words.filter(w => w !== layout.centralWord);
+        
+        for (const word of remainingWords) {
+            // Find best intersection with already placed words
+            const bestPlacement = this.findBestWordPlacement(word, layout.wordPositions, wordGraph);
+            
+            if (bestPlacement) {
+                layout.wordPositions.push(bestPlacement);
+                this.designBlackSquaresAroundWord(
+                    layout, 
+                    word, 
+                    bestPlacement.row, 
+                    bestPlacement.col, 
+                    bestPlacement.horizontal
+                );
+            }
+        }
+    }
+
+    /**
+     * Finds the best placement for a word based on intersections.
+     * @param {string} word - Word to place
+     * @param {Array} placedWords - Already placed words
+     * @param {Object} wordGraph - Word intersection graph
+     * @returns {Object|null} - Best placement or null if none found
+     */
+    findBestWordPlacement(word, placedWords, wordGraph) {
+        let bestPlacement = null;
+        let bestScore = -1;
+        
+        for (const placedWord of placedWords) {
+            const intersections = this.findWordIntersections(word, placedWord.word);
+            
+            for (const intersection of intersections) {
+                const placement = this.calculateWordPlacement(word, placedWord, intersection);
+                
+                if (placement && this.isValidPlacement(placement)) {
+                    const score = this.calculatePlacementScore(placement);
+                    
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestPlacement = placement;
+                    }
+                }
+            }
+        }
+        
+        if (bestPlacement) {
+            bestPlacement.number = placedWords.length + 1;
+        }
+        
+        return bestPlacement;
+    }
+
+    /**
+     * Calculates where a word should be placed based on intersection.
+     * @param {string} word - Word to place
+     * @param {Object} existingWord - Existing word to intersect with
+     * @param {Object} intersection - Intersection data
+     * @returns {Object|null} - Calculated placement or null if invalid
+     */
+    calculateWordPlacement(word, existingWord, intersection) {
+        console.log(`Calculating placement for "${word}" intersecting with "${existingWord.word}" at intersection:`, intersection);
+        
+        if (existingWord.horizontal) {
+            // Place new word vertically (word1Index is in the new word, word2Index in the existing one)
+            const newRow = existingWord.row - intersection.word1Index;
+            const newCol = existingWord.col + intersection.word2Index;
+            
+            console.log(`  Existing word horizontal at [${existingWord.row}, ${existingWord.col}]`);
+            console.log(`  Intersection: word1Index=${intersection.word1Index}, word2Index=${intersection.word2Index}`);
+            console.log(`  Calculated position: [${newRow}, ${newCol}]`);
+            
+            if (newRow >= 0 && newRow + word.length <= this.gridSize) {
+                const placement = {
+                    word: word,
+                    row: newRow,
+                    col: newCol,
+                    horizontal: false
+                };
+                console.log(`  Valid placement found:`, placement);
+                return placement;
+            } else {
+                console.log(`  Invalid placement: newRow=${newRow}, newCol=${newCol}, word.length=${word.length}, gridSize=${this.gridSize}`);
+            }
+        } else {
+            // Place new word horizontally (word1Index is in the new word, word2Index in the existing one)
+            const newRow = existingWord.row + intersection.word2Index;
+            const newCol = existingWord.col - intersection.word1Index;
+            
+            console.log(`  Existing word vertical at [${existingWord.row}, ${existingWord.col}]`);
+            console.log(`  Intersection: word1Index=${intersection.word1Index}, word2Index=${intersection.word2Index}`);
+            console.log(`  Calculated position: [${newRow}, ${newCol}]`);
+            
+            if (newCol >= 0 && newCol + word.length <= this.gridSize) {
+                const placement = {
+                    word: word,
+                    row: newRow,
+                    col: newCol,
+                    horizontal: true
+                };
+                console.log(`  Valid placement found:`, placement);
+                return placement;
+            } else {
+                console.log(`  Invalid placement: newRow=${newRow}, newCol=${newCol}, word.length=${word.length}, gridSize=${this.gridSize}`);
+            }
+        }
+        
+        console.log(`  No valid placement found`);
+        return null;
+    }
+
+    /**
+     * Checks if a word placement is valid.
+     * @param {Object} placement - Word placement to check
+     * @param {Array} placedWords - Already placed words
+     * @returns {boolean} - True if placement is valid
+     */
+    isValidPlacement(placement) {
+        // Check bounds
+        if (placement.row < 0 || placement.col < 0) return false;
+        if (placement.row >= this.gridSize || placement.col >= this.gridSize) return false;
+        if (placement.horizontal) {
+            if (placement.col + placement.word.length > this.gridSize) return false;
+        } else {
+            if (placement.row + placement.word.length > this.gridSize) return false;
+        }
+        
+        // Check for conflicts with existing letters in the grid
+        if (this.wouldOverwriteLetters(placement)) {
+            console.log(`Placement would overwrite existing letters:`, placement);
+            return false;
+        }
+        
+        // Check for conflicts with other placed words
+        for (const placedWord of this.placedWords) {
+            if (this.wordsOverlap(placement, placedWord)) {
+                console.log(`Placement conflicts with existing word:`, placedWord);
+                return false;
+            }
+        }
+        
+        // Check for minimum spacing between words
+        if (!this.hasMinimumSpacing(placement)) {
+            console.log(`Placement does not have minimum spacing:`, placement);
+            return false;
+        }
+        
+        // Check that the letters don't run into neighbouring words
+        if (this.formsUnintendedWords(placement)) {
+            console.log(`Placement would form unintended words:`, placement);
+            return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Checks if writing a placement's letters would leave a run of letters, across or
+     * down, that isn't a placed word (see GridAnalyzer.findUnintendedWords). Only the
+     * runs through the placement's squares can change, so only those are checked.
+     * @param {Object} placement - Word placement to check
+     * @returns {boolean} - True if the placement would form unintended words
+     */
+    formsUnintendedWords(placement) {
+        const { word, row, col, horizontal } = placement;
+        const size = this.crossword.length;
+        const letterAt = (r, c) => {
+            if (r < 0 || c < 0 || r >= size || c >= size) return '';
+            const offset = horizontal ? c - col : r - row;
+            if ((horizontal ? r === row : c === col) && offset >= 0 && offset < word.length) return word[offset];
+            return GridAnalyzer.isLetter(this.crossword[r][c]) ? this.crossword[r][c] : '';
+        };
+        const placed = new Set([...this.placedWords, placement].map(entry =>
+            `${entry.row},${entry.col},${entry.horizontal},${entry.word}`));
+        
+        // The run along the placement, then the crossing run through each of its squares
+        const runs = [[row, col, horizontal]];
+        for (let i = 0; i < word.length; i++) {
+            runs.push(horizontal ? [row, col + i, false] : [row + i, col, true]);
+        }
+        
+        return runs.some(([r, c, across]) => {
+            const [dr, dc] = across ? [0, 1] : [1, 0];
+            while (letterAt(r - dr, c - dc)) {
+                r -= dr;
+                c -= dc;
+            }
+            let answer = '';
+            for (let rr = r, cc = c; letterAt(rr, cc); rr += dr, cc += dc) {
+                answer += letterAt(rr, cc);
+            }
+            return answer.length > 1 && !placed.has(`${r},${c},${across},${answer}`);
+        });
+    }
+
+    /**
+     * Post-generation check that every run of letters in the grid is a placed word.
+     * @returns {boolean} - True if the grid has no unintended words
+     */
+    hasOnlyPlacedWords() {
+        const unintended = GridAnalyzer.findUnintendedWords(this.crossword, this.placedWords);
+        if (unintended.length > 0) {
+            console.warn('Grid has unintended words:', unintended.map(run =>
+                `${run.answer} at [${run.row}, ${run.col}] ${run.horizontal ? 'across' : 'down'}`));
+        }
+        return unintended.length === 0;
+    }
+
+    /**
+     * Checks if a word placement would overwrite existing letters in the grid.
+     * Sharing a cell that already holds the same letter is an intersection, not an overwrite.
+     * @param {Object} placement - Word placement to check
+     * @returns {boolean} - True if it would overwrite letters
+     */
+    wouldOverwriteLetters(placement) {
+        const { word, row, col, horizontal } = placement;
+        
+        if (horizontal) {
+            for (let i = 0; i < word.length; i++) {
+                const targetRow = row;
+                const targetCol = col + i;
+                
+                // Check if cell already contains a different letter (not empty and not black square)
+                if (this.crossword[targetRow][targetCol] !== '' && 
+                    this.crossword[targetRow][targetCol] !== '#' &&
+                    this.crossword[targetRow][targetCol] !== word[i]) {
+                    console.log(`Would overwrite letter "${this.crossword[targetRow][targetCol]}" at [${targetRow}, ${targetCol}]`);
+                    return true;
+                }
+            }
+        } else {
+            for (let i = 0; i < word.length; i++) {
+                const targetRow = row + i;
+                const targetCol = col;
+                
+                // Check if cell already contains a different letter (not empty and not black square)
+                if (this.crossword[targetRow][targetCol] !== '' && 
+                    this.crossword[targetRow][targetCol] !== '#' &&
+                    this.crossword[targetRow][targetCol] !== word[i]) {
+                    console.log(`Would overwrite letter "${this.crossword[targetRow][targetCol]}" at [${targetRow}, ${targetCol}]`);
+                    return true;
+                }
+            }
+        }
+        
+        return false;
+    }
+
+    /**
+     * Checks if two word placements overlap.
+     * @param {Object} placement1 - First word placement
+     * @param {Object} placement2 - Second word placement
+     * @returns {boolean} - True if words overlap
+     */
+    wordsOverlap(placement1, placement2) {
+        // Check if words are in the same direction
+        if (placement1.horizontal === placement2.horizontal) {
+            if (placement1.row === placement2.row && placement1.horizontal) {
+                // Both horizontal, check column overlap
+                return !(placement1.col + placement1.word.length <= placement2.col ||
+                        placement2.col + placement2.word.length <= placement1.col);
+            } else if (placement1.col === placement2.col && !placement1.horizontal) {
+                // Both vertical, check row overlap
+                return !(placement1.row + placement1.word.length <= placement2.row ||
+                        placement2.row + placement2.word.length <= placement1.row);
+            }
+        }
+        
+        return false;
+    }
+
+    /**
+     * Checks if a word placement has minimum spacing from other words.
+     * @param {Object} placement - Word placement to check
+     * @returns {boolean} - True if minimum spacing is maintained
+     */
+    hasMinimumSpacing(placement) {
+        const { word, row, col, horizontal } = placement;
+        
+        // ENFORCE MINIMUM WORD LENGTH - Never allow single-letter words
+        if (word.length < 3) {
+            console.log(`Rejecting word "${word}" - too short (${word.length} letters)`);
+            return false;
+        }
+        
+        // Check spacing from other placed words
+        for (const placedWord of this.placedWords) {
+            if (placement === placedWord) continue;
+            
+            if (horizontal) {
+                // Check if this word is too close to a horizontal word
+                if (placedWord.horizontal && Math.abs(row - placedWord.row) <= 1) {
+                    // Check for minimum column separation
+                    const thisStart = col;
+                    const thisEnd = col + word.length - 1;
+                    const otherStart = placedWord.col;
+                    const otherEnd = placedWord.col + placedWord.word.length - 1;
+                    
+                    // Ensure at least 1 cell separation
+                    if (!(thisEnd < otherStart - 1 || thisStart > otherEnd + 1)) {
+                        return false;
+                    }
+                }
+            } else {
+                // Check if this word is too close to a vertical word
+                if (!placedWord.horizontal && Math.abs(col - placedWord.col) <= 1) {
+                    // Check for minimum row separation
+                    const thisStart = row;
+                    const thisEnd = row + word.length - 1;
+                    const otherStart = placedWord.row;
+                    const otherEnd = placedWord.row + placedWord.word.length - 1;
+                    
+                    // Ensure at least 1 cell separation
+                    if (!(thisEnd < otherStart - 1 || thisStart > otherEnd + 1)) {
+                        return false;
+                    }
+                }
+            }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Calculates a score for a word placement.
+     * @param {Object} placement - Word placement to score
+     * @param {Array} placedWords - Already placed words
+     * @returns {number} - Placement score
+     */
+    calculatePlacementScore(placement) {
+        let score = 0;
+        
+        // Prefer longer words
+        score += placement.word.length * 2;
+        
+        // Prefer words that create more intersections
+        for (const placedWord of this.placedWords) {
+            if (this.wordsOverlap(placement, placedWord)) {
+                score += 10;
+            }
+        }
+        
+        // Prefer central placement
+        const center = Math.floor(this.gridSize / 2);
+        const distanceFromCenter = Math.abs(placement.row - center) + Math.abs(placement.col - center);
+        score += (this.gridSize - distanceFromCenter);
+        
+        return score;
+    }
+
+    /**
+     * Places words and black squares according to the designed layout.
+     * @param {Array} words - Words to place
+     * @param {Object} layout - Grid layout design
+     */
+    placeWordsAndBlackSquares(words, layout) {
+        // Initialize empty grid
+        this.crossword = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(''));
+        this.placedWords = [];
+        
+        console.log('=== DEBUGGING WORD PLACEMENT ===');
+        console.log('Layout object:', layout);
+        console.log('Word positions to place:', layout.wordPositions);
+        console.log('Black squares to place:', layout.blackSquares);
+        
+        // Place black squares first
+        for (const [row, col] of layout.blackSquares) {
+            if (row >= 0 && row < this.gridSize && col >= 0 && col < this.gridSize) {
+                this.crossword[row][col] = '#';
+            }
+        }
+        
+        // Place words
+        console.log(`Attempting to place ${layout.wordPositions.length} words...`);
+        for (const wordPlacement of layout.wordPositions) {
+            console.log('Placing word:', wordPlacement);
+            this.placeWord(wordPlacement);
+            this.placedWords.push(wordPlacement);
+        }
+        
+        console.log('Grid after word placement:');
+        console.log(this.crossword.map(row => row.join('')).join('\n'));
+        
+        // Fill remaining spaces with additional black squares if needed
+        this.fillRemainingBlackSquares();
+    }
+
+    /**
+     * Places a single word in the grid.
+     * @param {Object} placement - Word placement data
+     */
+    placeWord(placement) {
+        const { word, row, col, horizontal } = placement;
+        
+        console.log(`=== PLACING WORD ===`);
+        console.log(`Word: "${word}"`);
+        console.log(`Position: [${row}, ${col}]`);
+        console.log(`Direction: ${horizontal ? 'horizontal' : 'vertical'}`);
+        console.log(`Word length: ${word.length}`);
+        
+        // Validate placement coordinates
+        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
+            console.error(`Invalid coordinates: [${row}, ${col}] for grid size ${this.gridSize}`);
+            return;
+        }
+        
+        if (horizontal) {
+            if (col + word.length > this.gridSize) {
+                console.error(`Word "${word}" too long for horizontal placement at col ${col}`);
+                return;
+            }
+            
+            console.log(`Placing horizontally from col ${col} to ${col + word.length - 1}`);
+            for (let i = 0; i < word.length; i++) {
+                const targetRow = row;
+                const targetCol = col + i;
+                const letter = word[i];
+                
+                console.log(`  Setting [${targetRow}, ${targetCol}] = "${letter}" (letter ${i + 1} of "${word}")`);
+                
+                // Check if cell is already occupied
+                if (this.crossword[targetRow][targetCol] !== '') {
+                    console.warn(`  WARNING: Cell [${targetRow}, ${targetCol}] already contains "${this.crossword[targetRow][targetCol]}"`);
+                }
+                
+                this.crossword[targetRow][targetCol] = letter;
+            }
+        } else {
+            if (row + word.length > this.gridSize) {
+                console.error(`Word "${word}" too long for vertical placement at row ${row}`);
+                return;
+            }
+            
+            console.log(`Placing vertically from row ${row} to ${row + word.length - 1}`);
+            for (let i = 0; i < word.length; i++) {
+                const targetRow = row + i;
+                const targetCol = col;
+                const letter = word[i];
+                
+                console.log(`  Setting [${targetRow}, ${targetCol}] = "${letter}" (letter ${i + 1} of "${word}")`);
+                
+                // Check if cell is already occupied
+                if (this.crossword[targetRow][targetCol] !== '') {
+                    console.warn(`  WARNING: Cell [${targetRow}, ${targetCol}] already contains "${this.crossword[targetRow][targetCol]}"`);
+                }
+                
+                this.crossword[targetRow][targetCol] = letter;
+            }
+        }
+        
+        // Add black squares around the word for proper separation
+        this.addWordBoundaries(placement);
+        
+        console.log(`Word "${word}" placed successfully`);
+        console.log(`Grid state after placement:`);
+        this.logGrid();
+        console.log(`=== END PLACING WORD ===`);
+    }
+
+    /**
+     * Adds black squares around a word to ensure proper separation from other words.
+     * @param {Object} placement - Word placement object
+     */
+    addWordBoundaries(placement) {
+        const { word, row, col, horizontal } = placement;
+        
+        if (horizontal) {
+            // Add black squares at the ends (always)
+            if (col > 0) {
+                this.addBlackSquare(row, col - 1);
+            }
+            if (col + word.length < this.gridSize) {
+                this.addBlackSquare(row, col + word.length);
+            }
+            
+            // Add black squares above and below (more aggressively)
+            for (let i = 0; i < word.length; i++) {
+                if (this.random.next() < 0.5) { // 50% chance for better separation
+                    if (row > 0) {
+                        this.addBlackSquare(row - 1, col + i);
+                    }
+                    if (row + 1 < this.gridSize) {
+                        this.addBlackSquare(row + 1, col + i);
+                    }
+                }
+            }
+        } else {
+            // Add black squares at the ends (always)
+            if (row > 0) {
+                this.addBlackSquare(row - 1, col);
+            }
+            if (row + word.length < this.gridSize) {
+                this.addBlackSquare(row + word.length, col);
+            }
+            
+            // Add black squares to the left and right (more aggressively)
+            for (let i = 0; i < word.length; i++) {
+                if (this.random.next() < 0.5) { // 50% chance for better separation
+                    if (col > 0) {
+                        this.addBlackSquare(row + i, col - 1);
+                    }
+                    if (col + 1 < this.gridSize) {
+                        this.addBlackSquare(row + i, col + 1);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Fills remaining spaces with black squares to complete the grid.
+     * Only fills truly empty spaces, never overwrites letters.
+     */
+    fillRemainingBlackSquares() {
+        const targetBlackSquares = Math.floor(this.gridSize * this.gridSize * this.getBlockPercentage());
+        let currentBlackSquares = 0;
+        
+        // Count existing black squares
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                if (this.crossword[row][col] === '#') {
+                    currentBlackSquares++;
+                }
+            }
+        }
+        
+        // Only add black squares if we're under the target AND there are empty spaces
+        let attempts = 0;
+        const maxAttempts = 200;
+        
+        while (currentBlackSquares < targetBlackSquares && attempts < maxAttempts) {
+            const row = this.random.nextInt(this.gridSize);
+            const col = this.random.nextInt(this.gridSize);
+            
+            // CRITICAL FIX: Only place black squares in truly empty spaces
+            // Never overwrite letters that are already there
+            const added = this.addBlackSquare(row, col);
+            if (added > 0) {
+                currentBlackSquares += added;
+                console.log(`Added black square at [${row}, ${col}]`);
+            }
+            
+            attempts++;
+        }
+        
+        console.log(`Final black square count: ${currentBlackSquares}/${targetBlackSquares}`);
+    }
+
+    /**
+     * Checks if a black square can be placed at the given position.
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     * @returns {boolean} - True if placement is allowed
+     */
+    canPlaceBlackSquare(row, col) {
+        // Basic bounds check
+        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
+            return false;
+        }
+        
+        // Check if it would create a 2x2 block
+        if (this.wouldCreate2x2Block(row, col)) {
+            return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Checks if placing a black square would create a 2x2 block.
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     * @returns {boolean} - True if it would create a 2x2 block
+     */
+    wouldCreate2x2Block(row, col) {
+        for (let r = Math.max(0, row - 1); r <= Math.min(this.gridSize - 2, row); r++) {
+            for (let c = Math.max(0, col - 1); c <= Math.min(this.gridSize - 2, col); c++) {
+                let blackCount = 0;
+                for (let i = 0; i < 2; i++) {
+                    for (let j = 0; j < 2; j++) {
+                        if (this.crossword[r + i][c + j] === '#') {
+                            blackCount++;
+                        }
+                    }
+                }
+                if (blackCount >= 3) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Builds a comprehensive word connection graph showing all possible intersections.
+     * @param {Array} words - Array of words to analyze
+     */
+    buildWordConnectionGraph(words) {
+        this.wordGraph = {};
+        
+        for (let i = 0; i < words.length; i++) {
+            const word1 = words[i];
+            this.wordGraph[word1] = [];
+            
+            for (let j = 0; j < words.length; j++) {
+                if (i === j) continue;
+                
+                const word2 = words[j];
+                const intersections = this.findWordIntersections(word1, word2);
+                
+                if (intersections.length > 0) {
+                    this.wordGraph[word1].push({
+                        word: word2,
+                        intersections: intersections,
+                        score: intersections.length * 2 + Math.min(word1.length, word2.length)
+                    });
+                }
+            }
+            
+            // Sort connections by score (best intersections first)
+            this.wordGraph[word1].sort((a, b) => b.score - a.score);
+        }
+        
+        console.log('Word connection graph built with', Object.keys(this.wordGraph).length, 'words');
+    }
+
+    /**
+     * Places the theme entries before any other word: pinned ones exactly where the
+     * definition puts them, then the rest through the middle, in the symmetric partner
+     * slot of a theme answer of the same length, or across an answer already placed.
+     * Given partner words (in a symmetric grid), each entry is mirrored as it goes in:
+     * by a floating theme entry of the same length, else by a partner word.
+     * @param {Array} entries - Entries from getThemeEntries
+     * @param {Array} [partners] - Candidate partner words, when the grid is symmetric
+     * @returns {boolean} - False if an entry in a symmetric grid couldn't be mirrored
+     * @throws {Error} - When a theme entry can't be placed
+     */
+    placeThemeEntries(entries, partners = null) {
+        const floating = this.getFloatingThemeEntries(entries);
+        const placed = new Set();
+        let mirrored = true;
+        const place = (entry, slot) => {
+            const placement = {
+                word: entry.word,
+                row: slot.row,
+                col: slot.col,
+                horizontal: slot.horizontal,
+                clue: entry.clue,
+                theme: true,
+                revealer: entry.revealer
+            };
+            this.placeWord(placement);
+            this.placedWords.push(placement);
+            placed.add(entry);
+            if (partners && mirrored) mirrored = mirror(placement);
+        };
+        const mirror = (placement) => {
+            const slot = this.getSymmetricSlot(placement);
+            if (!slot || this.placedWords.some(word => word.row === slot.row && word.col === slot.col &&
+                word.horizontal === slot.horizontal)) return true;
+            
+            const twin = floating.find(entry => !placed.has(entry) && entry.word.length === placement.word.length &&
+                (entry.horizontal === null || entry.horizontal === slot.horizontal) &&
+                this.isValidPlacement({ word: entry.word, ...slot }));
+            if (twin) {
+                place(twin, slot);
+                return true;
+            }
+            
+            const partner = this.findSymmetricPartner(placement, slot, partners);
+            if (!partner) {
+                console.log(`No word fits the slot mirroring theme entry "${placement.word.toUpperCase()}"`);
+                return false;
+            }
+            this.placeWord(partner);
+            this.placedWords.push(partner);
+            return true;
+        };
+        
+        for (const entry of entries.filter(entry => entry.row !== null)) {
+            if (!this.isValidPlacement({ word: entry.word, row: entry.row, col: entry.col, horizontal: entry.horizontal })) {
+                throw new Error(`Theme entry "${entry.word.toUpperCase()}" can't be placed at row ${entry.row}, ` +
+                    `col ${entry.col} going ${entry.horizontal ? 'across' : 'down'}: it clashes with another theme entry`);
+            }
+            place(entry, entry);
+        }
+        
+        const canMirror = (entry) => (placement) => {
+            const slot = this.getSymmetricSlot(placement);
+            return !slot || floating.some(twin => twin !== entry && !placed.has(twin) &&
+                twin.word.length === entry.word.length && (twin.horizontal === null || twin.horizontal === slot.horizontal) &&
+                this.isValidPlacement({ word: twin.word, ...slot })) ||
+                this.findSymmetricPartner(placement, slot, partners) !== null;
+        };
+        
+        for (const entry of floating) {
+            if (placed.has(entry)) continue;
+            const slot = this.findThemePlacement(entry, partners ? canMirror(entry) : null);
+            if (!slot) {
+                throw new Error(`Theme entry "${entry.word.toUpperCase()}" couldn't be fitted into the ` +
+                    `${this.gridSize}x${this.gridSize} grid alongside the other theme entries`);
+            }
+            place(entry, slot);
+        }
+        return mirrored;
+    }
+
+    /**
+     * Finds a slot for a theme entry: the symmetric partner of a theme answer of the same
+     * length, the middle of the grid, then across an answer already placed or in open space.
+     * @param {Object} entry - Entry from getThemeEntries
+     * @param {Function} [canMirror] - In a symmetric grid, whether a placement's mirrored slot can be filled
+     * @returns {Object|null} - Placement or null if the entry doesn't fit anywhere
+     */
+    findThemePlacement(entry, canMirror = null) {
+        const word = entry.word;
+        const fits = (placement) => placement &&
+            (entry.horizontal === null || placement.horizontal === entry.horizontal) &&
+            this.isValidPlacement(placement) &&
+            (!canMirror || canMirror(placement));
+        
+        for (const other of this.placedWords) {
+            if (!other.theme || other.word.length !== word.length) continue;
+            const slot = this.getSymmetricSlot(other);
+            if (slot && fits({ word, ...slot })) return { word, ...slot };
+        }
+        
+        // The revealer (or the longest answer) goes through the middle of the grid
+        const center = Math.floor(this.gridSize / 2);
+        const middle = Math.floor((this.gridSize - word.length) / 2);
+        const centered = [
+            { word, row: center, col: middle, horizontal: true },
+            { word, row: middle, col: center, horizontal: false },
+            // In a symmetric grid, beside the middle when the entry can't mirror onto itself there
+            ...(canMirror ? [
+                { word, row: center - 1, col: middle, horizontal: true },
+                { word, row: middle, col: center - 1, horizontal: false }
+            ] : [])
+        ].find(fits);
+        if (centered) return centered;
+        
+        // Only some slots can be mirrored, so a symmetric grid tries every crossing, then open space
+        if (canMirror) {
+            const crossings = this.placedWords.flatMap(other => this.findWordIntersections(word, other.word)
+                .map(intersection => this.calculateIntersectionPlacement(word, other, intersection)));
+            return [...crossings, ...this.findOpenPlacements(word)].find(fits) || null;
+        }
+        
+        const crossing = this.findConnectedPlacement(word);
+        if (fits(crossing)) return crossing;
+        const open = this.findEmptySpacePlacement(word);
+        return fits(open) ? open : null;
+    }
+
+    /**
+     * Generates the crossword grid using strategic word placement.
+     * @param {Array} words - Words to place in the grid
+     * @param {Array} [themeEntries] - Entries from getThemeEntries, placed before the other words
+     * @returns {boolean} - True if successful, false otherwise
+     */
+    generateCrosswordGrid(words, themeEntries = []) {
+        console.log('=== GENERATING CROSSWORD GRID ===');
+        console.log('Grid size:', this.gridSize);
+        console.log('Words to place:', words);
+        
+        // Initialize empty grid
+        this.crossword = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(''));
+        this.placedWords = [];
+        
+        console.log('Grid initialized, size:', this.crossword.length, 'x', this.crossword[0].length);
+        
+        // With symmetry on, words go in mirrored pairs (see placeSymmetricWord)
+        const symmetric = this.getSymmetryType() !== 'none';
+        const partners = symmetric ? this.getSymmetricPartnerWords(words, themeEntries) : [];
+        
+        // A themed puzzle is built around its theme entries instead of a central word
+        let centralWord = null;
+        if (themeEntries.length > 0) {
+            if (!this.placeThemeEntries(themeEntries, symmetric ? partners : null)) return false;
+            // Mirrored entries that don't cross are joined now, while there's room
+            if (symmetric && this.config.get('placement.ensureConnectivity') &&
+                !this.joinSymmetricRegions(words, partners)) {
+                console.log('The theme entries could not be joined symmetrically');
+                const regions = GridAnalyzer.findLetterRegions(this.crossword);
+                const regionOf = ({ row, col }) => regions.findIndex(region => region.some(([r, c]) => r === row && c === col));
+                const [anchor, ...others] = this.placedWords.filter(word => word.theme);
+                const cutOff = others.find(word => regionOf(word) !== regionOf(anchor)) || anchor;
+                this.unconnectedThemeEntry = cutOff.word;
+                return false;
+            }
+            console.log(`Placed ${themeEntries.length} theme entries`);
+            this.logGrid();
+        } else if (symmetric) {
+            // A word that fits a slot mirroring onto itself, else one that pairs up; the order
+            // comes from the seed, so a retry grows the grid from a different word
+            const order = this.shuffleArray(words);
+            centralWord = order.find(word => this.placeSymmetricWord(word, partners, { alone: true })) ||
+                order.find(word => this.placeSymmetricCore(word, order, partners));
+            if (!centralWord) {
+                console.error('No central word fits the grid symmetrically');
+                return false;
+            }
+            console.log(`Placed central word "${centralWord}" symmetrically`);
+            this.logGrid();
+        } else {
+            // Start with a central word
+            const center = Math.floor(this.gridSize / 2);
+            centralWord = words.find(w => w.length >= 6) || words[0];
+            
+            console.log('Center position:', center);
+            console.log('Central word selected:', centralWord);
+            
+            if (!centralWord) {
+                console.error('No suitable central word found');
+                return false;
+            }
+            
+            // Place central word horizontally
+            const centralCol = Math.max(0, center - Math.floor(centralWord.length / 2));
+            const centralPlacement = {
+                word: centralWord,
+                row: center,
+                col: centralCol,
+                horizontal: true,
+                number: 1
+            };
+            
+            console.log('Central word placement:', centralPlacement);
+            
+            this.placeWord(centralPlacement);
+            this.placedWords.push(centralPlacement);
+            
+            console.log(`Placed central word "${centralWord}" at [${center}, ${centralCol}]`);
+            console.log('Grid after central word:');
+            this.logGrid();
+        }
+            
+        // Try to place remaining words with intersections
+        const remainingWords = words.filter(w => w !== centralWord);
+        console.log('Remaining words to place:', remainingWords.length);
+        
+        let attempts = 0;
+        const maxAttempts = 200; // Increased max attempts
+        let placedCount = 0;
+        
+        // Sort words by length (shorter words are easier to place)
+        // Also remove duplicates to avoid the same word appearing multiple times
+        const uniqueWords = [...new Set(remainingWords)];
+        const sortedWords = uniqueWords.sort((a, b) => a.length - b.length);
+        
+        console.log(`Processing ${sortedWords.length} unique words (removed ${remainingWords.length - sortedWords.length} duplicates)`);
+        
+        // A symmetric grid places its words in mirrored pairs instead. Around theme entries
+        // a grid that must stay connected only grows across placed words, in an order
+        // from the seed (so a retry tries another)
+        const connectedTheme = !symmetric && themeEntries.length > 0 && this.config.get('placement.ensureConnectivity');
+        if (symmetric) {
+            this.placeSymmetricWords(sortedWords, partners);
+        } else if (connectedTheme) {
+            this.placeConnectedWords(this.shuffleArray(sortedWords));
+        }
+        
+        for (const word of symmetric || connectedTheme ? [] : sortedWords) {
+            if (attempts >= maxAttempts) break;
+            
+            console.log(`Attempting to place word "${word}" (attempt ${attempts + 1})`);
+            const placement = this.findBestIntersectionPlacement(word);
+            
+            if (placement) {
+                console.log(`Found placement for "${word}":`, placement);
+                this.placeWord(placement);
+                this.placedWords.push(placement);
+                placedCount++;
+                console.log(`Successfully placed word "${word}" with intersection`);
+                console.log('Grid after placement:');
+                this.logGrid();
+            } else {
+                console.log(`Could not place word "${word}" with intersection`);
+            }
+            
+            attempts++;
+            this.reportProgress('placing', { placed: this.placedWords.length, total: sortedWords.length + 1 });
+        }
+        
+        // Number the words by their start squares, top-left to bottom-right
+        this.renumberWords();
+        
+        console.log(`=== GRID GENERATION COMPLETE ===`);
+        console.log(`Successfully placed ${this.placedWords.length} words`);
+        console.log(`Final grid state:`);
+        this.logGrid();
+        
+        return this.placedWords.length >= Math.min(5, words.length);
+    }
+
+    /**
+     * Applies placement.preventIsolatedLetters and placement.ensureConnectivity to the
+     * finished word grid, repairing what it can.
+     * @returns {boolean} - True if the grid passes the enabled checks
+     */
+    ensureGridIntegrity() {
+        if (this.config.get('placement.preventIsolatedLetters')) {
+            this.removeIsolatedLetters();
+        }
+        
+        if (this.config.get('placement.ensureConnectivity')) {
+            if (!this.repairConnectivity()) {
+                return false;
+            }
+        }
+        
+        this.renumberWords();
+        if (this.placedWords.length >= Math.min(5, this.words.length)) return true;
+        
+        // Too few words reached the theme entries: name the one the grid was kept around
+        const anchor = this.placedWords.find(word => word.theme);
+        if (anchor && this.config.get('placement.ensureConnectivity')) {
+            this.unconnectedThemeEntry = anchor.word;
+        }
+        return false;
+    }
+
+    /**
+     * Clears letters that don't belong to any placed word.
+     */
+    removeIsolatedLetters() {
+        const isolated = GridAnalyzer.findUncoveredLetters(this.crossword, this.placedWords);
+        for (const [row, col] of isolated) {
+            this.crossword[row][col] = '';
+        }
+        if (isolated.length > 0) {
+            console.log(`Removed ${isolated.length} isolated letters`);
+        }
+    }
+
+    /**
+     * Keeps the largest connected group of words. Words cut off from it are lifted out
+     * and re-placed across existing words where possible.
+     * @returns {boolean} - True if all letters end up in one connected region
+     */
+    repairConnectivity() {
+        let regions = GridAnalyzer.findLetterRegions(this.crossword);
+        if (regions.length <= 1) return true;
+        
+        if (this.getSymmetryType() !== 'none') {
+            // Lifting words out one at a time would break the mirrored pairs, so start over
+            console.log(`Symmetric grid has ${regions.length} disconnected regions`);
+            return false;
+        }
+        
+        console.log(`Grid has ${regions.length} disconnected regions, repairing...`);
+        // The region holding the theme entries is the one to keep, whatever its size
+        const anchor = this.placedWords.find(word => word.theme);
+        const keep = anchor
+            ? regions.find(region => region.some(([r, c]) => r === anchor.row && c === anchor.col))
+            : regions[0];
+        const mainRegion = new Set(keep.map(([r, c]) => `${r},${c}`));
+        const detached = this.placedWords.filter(word => !mainRegion.has(`${word.row},${word.col}`));
+        
+        // Theme entries stay where they were put, so a cut-off one means starting over
+        const cutOff = detached.find(word => word.theme);
+        if (cutOff) {
+            console.log(`Theme entry "${cutOff.word}" is cut off from the rest of the grid`);
+            this.unconnectedThemeEntry = cutOff.word;
+            return false;
+        }
+        
+        // Lift detached words out of the grid (their cells aren't shared with the main region)
+        for (const word of detached) {
+            for (let i = 0; i < word.word.length; i++) {
+                const r = word.horizontal ? word.row : word.row + i;
+                const c = word.horizontal ? word.col + i : word.col;
+                this.crossword[r][c] = '';
+            }
+        }
+        this.placedWords = this.placedWords.filter(word => !detached.includes(word));
+        
+        // Re-place them, this time only across words that are already connected
+        for (const { word } of detached) {
+            const placement = this.findConnectedPlacement(word);
+            if (placement) {
+                this.placeWord(placement);
+                this.placedWords.push(placement);
+            }
+        }
+        
+        regions = GridAnalyzer.findLetterRegions(this.crossword);
+        console.log(`Re-placed ${this.placedWords.length} words, ${regions.length} region(s) remain`);
+        return regions.length <= 1;
+    }
+
+    /**
+     * Finds the best placement for a word that crosses an already placed word.
+     * @param {string} word - Word to place
+     * @returns {Object|null} - Placement or null if the word can't cross anything
+     */
+    findConnectedPlacement(word) {
+        let bestPlacement = null;
+        let bestScore = -1;
+        
+        for (const placedWord of this.placedWords) {
+            for (const intersection of this.findWordIntersections(word, placedWord.word)) {
+                const placement = this.calculateIntersectionPlacement(word, placedWord, intersection);
+                if (placement && this.isValidPlacement(placement)) {
+                    const score = this.calculatePlacementScore(placement);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestPlacement = placement;
+                    }
+                }
+            }
+        }
+        
+        return bestPlacement;
+    }
+
+    /**
+     * Places words only across words already placed, going over them again while that
+     * places more, so the grid grows as one connected group.
+     * @param {Array} words - Words to place, in the order to try them
+     */
+    placeConnectedWords(words) {
+        let placedBefore;
+        do {
+            placedBefore = this.placedWords.length;
+            for (const word of words) {
+                if (this.placedWords.some(placed => placed.word === word)) continue;
+                
+                const placement = this.findConnectedPlacement(word);
+                if (placement) {
+                    this.placeWord(placement);
+                    this.placedWords.push(placement);
+                    console.log(`Placed "${word}" across the connected words`);
+                }
+                this.reportProgress('placing', { placed: this.placedWords.length, total: words.length + 1 });
+            }
+        } while (this.placedWords.length > placedBefore);
+    }
+
+    /**
+     * Logs the current grid state for debugging, when debug.logGrid is enabled.
+     */
+    logGrid() {
+        // Printing the grid after every placement slows big grids down noticeably
+        if (!this.config.get('debug.logGrid')) return;
+        
+        console.log('Grid contents:');
+        for (let row = 0; row < this.gridSize; row++) {
+            let rowStr = '';
+            for (let col = 0; col < this.gridSize; col++) {
+                const cell = this.crossword[row][col];
+                rowStr += (cell || ' ') + ' ';
+            }
+            console.log(`Row ${row}: ${rowStr}`);
+        }
+    }
+
+    /**
+     * Numbers placed words with standard cell numbering (GridAnalyzer.getCellNumbers):
+     * an across and a down word starting on the same square share a number. Words are
+     * kept in clue order, across before down.
+     */
+    renumberWords() {
+        if (this.placedWords.length === 0) return;
+        
+        const numbers = GridAnalyzer.getCellNumbers(this.crossword, this.placedWords);
+        for (const word of this.placedWords) {
+            word.number = numbers[`${word.row},${word.col}`];
+        }
+        
+        this.placedWords.sort((a, b) => (b.horizontal - a.horizontal) || (a.number - b.number));
+        
+        console.log('Renumbered words:', this.placedWords.map(w => `${w.number}${w.horizontal ? 'A' : 'D'}: ${w.word}`));
+        console.log('Total words placed:', this.placedWords.length);
+    }
+
+    /**
+     * Finds the best placement for a word that intersects with existing words.
+     * @param {string} word - Word to place
+     * @returns {Object|null} - Best placement or null if none found
+     */
+    findBestIntersectionPlacement(word) {
+        let bestPlacement = null;
+        let bestScore = -1;
+        
+        // First try to find intersections with existing words
+        for (const placedWord of this.placedWords) {
+            const intersections = this.findWordIntersections(word, placedWord.word);
+            
+            for (const intersection of intersections) {
+                const placement = this.calculateIntersectionPlacement(word, placedWord, intersection);
+                
+                if (placement && this.isValidPlacement(placement)) {
+                    const score = this.calculatePlacementScore(placement);
+                    
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestPlacement = placement;
+                    }
+                }
+            }
+        }
+        
+        // If no intersection found, try placing in empty space
+        if (!bestPlacement) {
+            bestPlacement = this.findEmptySpacePlacement(word);
+        }
+        
+        // If still no placement, try placing adjacent to existing words
+        if (!bestPlacement) {
+            bestPlacement = this.findAdjacentPlacement(word);
+            if (bestPlacement && this.formsUnintendedWords(bestPlacement)) {
+                console.log(`Adjacent placement for "${word}" would form unintended words`);
+                bestPlacement = null;
+            }
+        }
+        
+        if (bestPlacement) {
+            // Assign a unique number based on placement order
+            bestPlacement.number = this.placedWords.length + 1;
+        }
+        
+        return bestPlacement;
+    }
+
+    /**
+     * Calculates placement coordinates for a word intersecting with an existing word.
+     * @param {string} word - Word to place
+     * @param {Object} existingWord - Existing word to intersect with
+     * @param {Object} intersection - Intersection data
+     * @returns {Object|null} - Placement object or null if invalid
+     */
+    calculateIntersectionPlacement(word, existingWord, intersection) {
+        if (existingWord.horizontal) {
+            // Place new word vertically (word1Index is in the new word, word2Index in the existing one)
+            const newRow = existingWord.row - intersection.word1Index;
+            const newCol = existingWord.col + intersection.word2Index;
+            
+            if (newRow >= 0 && newRow + word.length <= this.gridSize) {
+                return {
+                    word: word,
+                    row: newRow,
+                    col: newCol,
+                    horizontal: false
+                };
+            }
+        } else {
+            // Place new word horizontally (word1Index is in the new word, word2Index in the existing one)
+            const newRow = existingWord.row + intersection.word2Index;
+            const newCol = existingWord.col - intersection.word1Index;
+            
+            if (newCol >= 0 && newCol + word.length <= this.gridSize) {
+                return {
+                    word: word,
+                    row: newRow,
+                    col: newCol,
+                    horizontal: true
+                };
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Finds a placement for a word in empty space when no intersections are available.
+     * @param {string} word - Word to place
+     * @returns {Object|null} - Placement object or null if no space found
+     */
+    findEmptySpacePlacement(word) {
+        // Prefer placements near existing words for better connectivity
+        const preferredPositions = [];
+        const otherPositions = [];
+        
+        // Try to find a row or column with enough empty space
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col <= this.gridSize - word.length; col++) {
+                // Check if we can place horizontally
+                let canPlace = true;
+                for (let i = 0; i < word.length; i++) {
+                    if (this.crossword[row][col + i] !== '') {
+                        canPlace = false;
+                        break;
+                    }
+                }
+                
+                if (canPlace) {
+                    const placement = {
+                        word: word,
+                        row: row,
+                        col: col,
+                        horizontal: true
+                    };
+                    if (this.formsUnintendedWords(placement)) continue;
+                    
+                    // Check if this placement is near existing words
+                    if (this.isNearExistingWords(placement)) {
+                        preferredPositions.push(placement);
+                    } else {
+                        otherPositions.push(placement);
+                    }
+                }
+            }
+        }
+        
+        // Try vertical placement
+        for (let col = 0; col < this.gridSize; col++) {
+            for (let row = 0; row <= this.gridSize - word.length; row++) {
+                // Check if we can place vertically
+                let canPlace = true;
+                for (let i = 0; i < word.length; i++) {
+                    if (this.crossword[row + i][col] !== '') {
+                        canPlace = false;
+                        break;
+                    }
+                }
+                
+                if (canPlace) {
+                    const placement = {
+                        word: word,
+                        row: row,
+                        col: col,
+                        horizontal: false
+                    };
+                    if (this.formsUnintendedWords(placement)) continue;
+                    
+                    // Check if this placement is near existing words
+                    if (this.isNearExistingWords(placement)) {
+                        preferredPositions.push(placement);
+                    } else {
+                        otherPositions.push(placement);
+                    }
+                }
+            }
+        }
+        
+        // Return preferred placement if available, otherwise any placement
+        if (preferredPositions.length > 0) {
+            return preferredPositions[0];
+        }
+        return otherPositions.length > 0 ? otherPositions[0] : null;
+    }
+
+    /**
+     * Checks if a word placement is near existing words for better connectivity.
+     * @param {Object} placement - Word placement to check
+     * @returns {boolean} - True if placement is near existing words
+     */
+    isNearExistingWords(placement) {
+        const { row, col, horizontal } = placement;
+        
+        // Check if any existing word is within 2 cells
+        for (const placedWord of this.placedWords) {
+            const rowDiff = Math.abs(row - placedWord.row);
+            const colDiff = Math.abs(col - placedWord.col);
+            
+            if (rowDiff <= 2 && colDiff <= 2) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+
+    /**
+     * Finds a placement for a word adjacent to existing words when no intersections are available.
+     * @param {string} word - Word to place
+     * @returns {Object|null} - Placement object or null if no placement found
+     */
+    findAdjacentPlacement(word) {
+        // Try to place adjacent to existing words
+        for (const placedWord of this.placedWords) {
+            if (placedWord.horizontal) {
+                // Try placing above or below horizontally
+                const aboveRow = placedWord.row - 1;
+                const belowRow = placedWord.row + 1;
+                
+                if (aboveRow >= 0) {
+                    let canPlaceAbove = true;
+                    for (let i = 0; i < word.length; i++) {
+                        if (this.crossword[aboveRow][placedWord.col + i] !== '') {
+                            canPlaceAbove = false;
+                            break;
+                        }
+                    }
+                    
+                    if (canPlaceAbove) {
+                        return {
+                            word: word,
+                            row: aboveRow,
+                            col: placedWord.col,
+                            horizontal: true
+                        };
+                    }
+                }
+                
+                if (belowRow < this.gridSize) {
+                    let canPlaceBelow = true;
+                    for (let i = 0; i < word.length; i++) {
+                        if (this.crossword[belowRow][placedWord.col + i] !== '') {
+                            canPlaceBelow = false;
+                            break;
+                        }
+                    }
+                    
+                    if (canPlaceBelow) {
+                        return {
+                            word: word,
+                            row: belowRow,
+                            col: placedWord.col,
+                            horizontal: true
+                        };
+                    }
+                }
+            } else {
+                // Try placing left or right vertically
+                const leftCol = placedWord.col - 1;
+                const rightCol = placedWord.col + 1;
+                
+                if (leftCol >= 0) {
+                    let canPlaceLeft = true;
+                    for (let i = 0; i < word.length; i++) {
+                        if (this.crossword[placedWord.row + i][leftCol] !== '') {
+                            canPlaceLeft = false;
+                            break;
+                        }
+                    }
+                    
+                    if (canPlaceLeft) {
+                        return {
+                            word: word,
+                            row: placedWord.row,
+                            col: leftCol,
+                            horizontal: false
+                        };
+                    }
+                }
+                
+                if (rightCol < this.gridSize) {
+                    let canPlaceRight = true;
+                    for (let i = 0; i < word.length; i++) {
+                        if (this.crossword[placedWord.row + i][rightCol] !== '') {
+                            canPlaceRight = false;
+                            break;
+                        }
+                    }
+                    
+                    if (canPlaceRight) {
+                        return {
+                            word: word,
+                            row: placedWord.row,
+                            col: rightCol,
+                            horizontal: false
+                        };
+                    }
+                }
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Words the slot mirroring a placement may be filled with when symmetry is on: the
+     * selected words first, then the rest of the loaded words that fit.
+     * @param {Array} words - Selected words
+     * @param {Array} themeEntries - Entries from getThemeEntries, which are never partners
+     * @returns {Array} - Candidate partner words
+     */
+    getSymmetricPartnerWords(words, themeEntries) {
+        const themeWords = new Set(themeEntries.map(entry => entry.word));
+        const selected = new Set(words);
+        const minLength = Math.max(3, this.config.get('words.minLength') || 3);
+        const maxLength = Math.min(this.gridSize, this.config.get('words.maxLength') || this.gridSize);
+        const others = this.words.filter(word => !selected.has(word) && !themeWords.has(word) &&
+            word.length >= minLength && word.length <= maxLength && this.isValidEnglishWord(word));
+        return [...words.filter(word => !themeWords.has(word)), ...this.shuffleArray(others)];
+    }
+
+    /**
+     * Places words in mirrored pairs until the grid holds one more word than were
+     * selected (as the central word and the rest would): first where they cross the
+     * placed words, going over the words again while that places more, then, unless the
+     * grid must stay connected, in open space. Pairing leaves some words out, so the
+     * partner words are tried as well.
+     * @param {Array} words - Selected words, shortest first
+     * @param {Array} partners - Candidate partner words
+     */
+    placeSymmetricWords(words, partners) {
+        const target = words.length + 1;
+        const queue = [...words, ...partners.filter(word => !words.includes(word))];
+        const passes = this.config.get('placement.ensureConnectivity') ? [false] : [false, true];
+        
+        for (const open of passes) {
+            let placedBefore;
+            do {
+                placedBefore = this.placedWords.length;
+                for (const word of queue) {
+                    if (this.placedWords.length >= target) return;
+                    // Skip words already placed as the partner of another
+                    if (this.placedWords.some(placed => placed.word === word)) continue;
+                    
+                    const placements = this.placeSymmetricWord(word, partners, { open });
+                    if (placements) {
+                        console.log(`Placed ${placements.map(placement => `"${placement.word}"`).join(' and ')} symmetrically`);
+                    }
+                    this.reportProgress('placing', { placed: this.placedWords.length, total: target });
+                }
+            } while (!open && this.placedWords.length > placedBefore);
+        }
+    }
+
+    /**
+     * Starts a symmetric grid with a word and its partner when no slot near the middle
+     * mirrors onto itself (as on an even-sized grid). If the grid must stay connected,
+     * the two halves are joined at once by a pair of words crossing both; a core nothing
+     * can join is taken out again, since its halves would never meet.
+     * @param {string} word - Word to start with
+     * @param {Array} words - Selected words, tried for the join first
+     * @param {Array} partners - Candidate partner words
+     * @returns {boolean} - True if the core was placed
+     */
+    placeSymmetricCore(word, words, partners) {
+        const core = this.placeSymmetricWord(word, partners);
+        if (!core) return false;
+        if (!this.config.get('placement.ensureConnectivity') || this.joinSymmetricRegions(words, partners)) {
+            return true;
+        }
+        
+        console.log(`No words join the halves around "${word}"`);
+        this.crossword = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(''));
+        this.placedWords = [];
+        return false;
+    }
+
+    /**
+     * Joins separate groups of words with mirrored pairs of words crossing two of them,
+     * until the grid is connected. Only for the first few words: the blocks placeWord
+     * put beside them would stand in the way, so they're lifted and put back after.
+     * @param {Array} words - Selected words, tried first
+     * @param {Array} partners - Candidate partner words
+     * @returns {boolean} - True if the letters end up in one connected region (the grid
+     *   is left as it was otherwise)
+     */
+    joinSymmetricRegions(words, partners) {
+        if (GridAnalyzer.findLetterRegions(this.crossword).length <= 1) return true;
+        
+        const saved = this.crossword.map(row => [...row]);
+        const groups = [...this.placedWords];
+        this.crossword = this.crossword.map(row => row.map(cell => cell === '#' ? '' : cell));
+        
+        const joiners = [...words, ...partners.filter(other => !words.includes(other))];
+        while (GridAnalyzer.findLetterRegions(this.crossword).length > 1) {
+            if (!joiners.some(other => !this.placedWords.some(placed => placed.word === other) &&
+                this.placeSymmetricWord(other, partners, { join: true }))) {
+                this.crossword = saved;
+                this.placedWords = groups;
+                return false;
+            }
+        }
+        groups.forEach(placement => this.addWordBoundaries(placement));
+        return true;
+    }
+
+    /**
+     * Places a word so the grid stays symmetric: across a word already placed (near the
+     * middle of an empty grid, or in open space with options.open), together with a
+     * partner word in the slot mirroring it. A slot that mirrors onto itself takes the
+     * word alone. Every letter square then has a letter square opposite it, and
+     * addBlackSquare keeps the blocks matching.
+     * @param {string} word - Word to place
+     * @param {Array} partners - Words that may fill the mirrored slot, best first
+     * @param {Object} [options] - { alone: only slots that mirror onto themselves, open: open space near the placed words,
+     *   join: only placements crossing two separate groups of words }
+     * @returns {Array|null} - The placements made, or null if the word couldn't be placed
+     */
+    placeSymmetricWord(word, partners, options = {}) {
+        const candidates = [];
+        if (this.placedWords.length === 0) {
+            // Through or near the middle, where later words can cross both of a pair
+            const center = Math.floor(this.gridSize / 2);
+            for (const line of [center, center - 1, center - 2]) {
+                for (let start = 0; start + word.length <= this.gridSize; start++) {
+                    candidates.push({ word, row: line, col: start, horizontal: true });
+                    candidates.push({ word, row: start, col: line, horizontal: false });
+                }
+            }
+        } else if (options.open) {
+            candidates.push(...this.findOpenPlacements(word));
+        } else {
+            for (const placedWord of this.placedWords) {
+                for (const intersection of this.findWordIntersections(word, placedWord.word)) {
+                    candidates.push(this.calculateIntersectionPlacement(word, placedWord, intersection));
+                }
+            }
+        }
+        
+        // Each letter square mapped to the group of words it belongs to
+        const regionOf = new Map();
+        if (options.join) {
+            GridAnalyzer.findLetterRegions(this.crossword).forEach((region, index) =>
+                region.forEach(([r, c]) => regionOf.set(`${r},${c}`, index)));
+        }
+        const joins = ({ word: text, row, col, horizontal }) => new Set(Array.from(text, (_, i) =>
+            regionOf.get(horizontal ? `${row},${col + i}` : `${row + i},${col}`)).filter(region => region !== undefined)).size > 1;
+        
+        return this.placeSymmetricPair(candidates.filter(placement => placement && this.isValidPlacement(placement) &&
+            !(options.alone && this.getSymmetricSlot(placement)) && !(options.join && !joins(placement))), partners);
+    }
+
+    /**
+     * Makes the best of the candidate placements that a partner word can mirror.
+     * @param {Array} candidates - Valid placements for one word
+     * @param {Array} partners - Words that may fill the mirrored slot, best first
+     * @returns {Array|null} - The placements made, or null if none could be paired
+     */
+    placeSymmetricPair(candidates, partners) {
+        // Ties between equally good placements are broken by the seed
+        const ranked = this.shuffleArray(candidates)
+            .map(placement => ({ placement, score: this.scoreSymmetricPlacement(placement) }))
+            .sort((a, b) => b.score - a.score);
+        
+        for (const { placement } of ranked) {
+            const slot = this.getSymmetricSlot(placement);
+            const partner = slot ? this.findSymmetricPartner(placement, slot, partners) : null;
+            if (slot && !partner) continue;
+            
+            const saved = this.crossword.map(row => [...row]);
+            this.placeWord(placement);
+            this.placedWords.push(placement);
+            if (!partner) return [placement];
+            
+            // The blocks placeWord puts around the first word may land in the partner's slot
+            if (this.isValidPlacement(partner)) {
+                this.placeWord(partner);
+                this.placedWords.push(partner);
+                return [placement, partner];
+            }
+            this.crossword = saved;
+            this.placedWords.pop();
+        }
+        return null;
+    }
+
+    /**
+     * Lists placements of a word in open squares near the placed words.
+     * @param {string} word - Word to place
+     * @returns {Array} - Placements whose squares are all empty
+     */
+    findOpenPlacements(word) {
+        const placements = [];
+        for (const horizontal of [true, false]) {
+            for (let row = 0; row < this.gridSize; row++) {
+                for (let col = 0; col < this.gridSize; col++) {
+                    if ((horizontal ? col : row) + word.length > this.gridSize) continue;
+                    const placement = { word, row, col, horizontal };
+                    let open = true;
+                    for (let i = 0; i < word.length && open; i++) {
+                        open = (horizontal ? this.crossword[row][col + i] : this.crossword[row + i][col]) === '';
+                    }
+                    if (open && this.isNearExistingWords(placement)) placements.push(placement);
+                }
+            }
+        }
+        return placements;
+    }
+
+    /**
+     * Finds a word for the slot mirroring a placement, as if the placement were made.
+     * @param {Object} placement - Placement being considered
+     * @param {Object} slot - Mirrored slot from getSymmetricSlot
+     * @param {Array} partners - Candidate partner words, best first
+     * @returns {Object|null} - Partner placement, or null if no word fits
+     */
+    findSymmetricPartner(placement, slot, partners) {
+        const saved = this.crossword.map(row => [...row]);
+        for (let i = 0; i < placement.word.length; i++) {
+            if (placement.horizontal) {
+                this.crossword[placement.row][placement.col + i] = placement.word[i];
+            } else {
+                this.crossword[placement.row + i][placement.col] = placement.word[i];
+            }
+        }
+        this.placedWords.push(placement);
+        
+        const used = new Set(this.placedWords.map(placed => placed.word));
+        const word = partners.find(other => other.length === placement.word.length && !used.has(other) &&
+            this.isValidPlacement({ word: other, ...slot }));
+        
+        this.placedWords.pop();
+        this.crossword = saved;
+        return word ? { word, ...slot } : null;
+    }
+
+    /**
+     * Scores a symmetric placement: crossings with placed words first, then slots that
+     * keep the pair joined up (mirroring onto themselves, crossing their partner, or
+     * two or three lines from it and alongside it so words can cross both), then
+     * calculatePlacementScore.
+     * @param {Object} placement - Placement to score
+     * @returns {number} - Score (higher is better)
+     */
+    scoreSymmetricPlacement(placement) {
+        const { word, row, col, horizontal } = placement;
+        const cells = [];
+        let crossings = 0;
+        for (let i = 0; i < word.length; i++) {
+            const r = horizontal ? row : row + i;
+            const c = horizontal ? col + i : col;
+            cells.push(`${r},${c}`);
+            if (GridAnalyzer.isLetter(this.crossword[r][c])) crossings++;
+        }
+        
+        let score = crossings * 100 + this.calculatePlacementScore(placement);
+        const slot = this.getSymmetricSlot(placement);
+        if (!slot) {
+            score += 60;
+        } else {
+            const partnerCells = Array.from({ length: word.length }, (_, i) =>
+                slot.horizontal ? `${slot.row},${slot.col + i}` : `${slot.row + i},${slot.col}`);
+            if (partnerCells.some(cell => cells.includes(cell))) {
+                score += 40;
+            } else if (slot.horizontal === horizontal && [2, 3].includes(Math.abs(horizontal ? slot.row - row : slot.col - col))) {
+                // The more lines both span, the more places a word can cross the two
+                const start = horizontal ? col : row;
+                const slotStart = horizontal ? slot.col : slot.row;
+                score += 5 * Math.max(0, word.length - Math.abs(start - slotStart));
+            }
+        }
+        return score;
+    }
+
+    /**
+     * Adds professional black square patterns to the grid.
+     */
+    addProfessionalBlackSquares() {
+        // Add black squares around word boundaries
+        for (const placedWord of this.placedWords) {
+            this.addBoundaryBlackSquares(placedWord);
+        }
+        
+        // Fill remaining spaces strategically
+        this.fillStrategicBlackSquares();
+    }
+
+    /**
+     * Adds black squares around word boundaries for proper separation.
+     * @param {Object} placedWord - Word to add boundaries around
+     */
+    addBoundaryBlackSquares(placedWord) {
+        const { word, row, col, horizontal } = placedWord;
+        
+        if (horizontal) {
+            // Add black squares at start and end
+            if (col > 0) this.addBlackSquare(row, col - 1);
+            if (col + word.length < this.gridSize) this.addBlackSquare(row, col + word.length);
+            
+            // Occasionally add black squares above/below (20% chance)
+            if (this.random.next() < 0.2) {
+                const randomCol = col + this.random.nextInt(word.length);
+                if (row > 0) this.addBlackSquare(row - 1, randomCol);
+                if (row < this.gridSize - 1) this.addBlackSquare(row + 1, randomCol);
+            }
+        } else {
+            // Add black squares at start and end
+            if (row > 0) this.addBlackSquare(row - 1, col);
+            if (row + word.length < this.gridSize) this.addBlackSquare(row + word.length, col);
+            
+            // Occasionally add black squares to left/right (20% chance)
+            if (this.random.next() < 0.2) {
+                const randomRow = row + this.random.nextInt(word.length);
+                if (col > 0) this.addBlackSquare(randomRow, col - 1);
+                if (col < this.gridSize - 1) this.addBlackSquare(randomRow, col + 1);
+            }
+        }
+    }
+
+    /**
+     * Adds a black square at the specified position if valid, together with its
+     * symmetric partner(s) when symmetry is enabled. Either all are placed or none.
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     * @returns {number} - Number of black squares added
+     */
+    addBlackSquare(row, col) {
+        const cells = [[row, col], ...GridAnalyzer.getSymmetricPartners(row, col, this.gridSize, this.getSymmetryType())];
+        
+        for (const [r, c] of cells) {
+            if (r < 0 || r >= this.gridSize || c < 0 || c >= this.gridSize) return 0;
+            if (this.crossword[r][c] === '#') continue;
+            if (this.crossword[r][c] !== '' || !this.canPlaceBlackSquare(r, c)) return 0;
+        }
+        
+        let added = 0;
+        for (const [r, c] of cells) {
+            if (this.crossword[r][c] !== '#') {
+                this.crossword[r][c] = '#';
+                added++;
+            }
+        }
+        return added;
+    }
+
+    /**
+     * Returns the symmetry to enforce for block placement.
+     * @returns {string} - 'rotational', 'mirror', 'diagonal' or 'none'
+     */
+    getSymmetryType() {
+        if (!this.config.get('symmetry.enabled')) return 'none';
+        const type = this.config.get('symmetry.type');
+        return GridAnalyzer.SYMMETRY_TYPES.includes(type) ? type : 'none';
+    }
+
+    /**
+     * Makes the finished block pattern symmetric. Every square without a letter counts
+     * as a block (as in GridAnalyzer.validateSymmetry), so a block is never removed; an
+     * empty square mirroring a block is drawn as one too. A letter whose partner has no
+     * letter can't be fixed here and is left for validateSymmetry to report.
+     */
+    enforceBlockSymmetry() {
+        const type = this.getSymmetryType();
+        if (type === 'none') return;
+        
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                if (this.crossword[row][col] !== '#') continue;
+                
+                for (const [r, c] of GridAnalyzer.getSymmetricPartners(row, col, this.gridSize, type)) {
+                    if (this.crossword[r][c] === '') this.crossword[r][c] = '#';
+                }
+            }
+        }
+    }
+
+    /**
+     * Fills remaining spaces with strategic black squares.
+     */
+    fillStrategicBlackSquares() {
+        const targetPercentage = this.getBlockPercentage();
+        const targetCount = Math.floor(this.gridSize * this.gridSize * targetPercentage);
+        let currentCount = 0;
+        
+        // Count existing black squares
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                if (this.crossword[row][col] === '#') currentCount++;
+            }
+        }
+        
+        // Add strategic black squares to reach target (with partners when symmetric)
+        let attempts = 0;
+        while (currentCount < targetCount && attempts < 200) {
+            const row = this.random.nextInt(this.gridSize);
+            const col = this.random.nextInt(this.gridSize);
+            
+            currentCount += this.addBlackSquare(row, col);
+            
+            attempts++;
+        }
+        
+        console.log(`Black squares: ${currentCount}/${targetCount} (${Math.round(currentCount / (this.gridSize * this.gridSize) * 100)}%)`);
+    }
+}
+
+// Crossword Renderer
+class CrosswordRenderer {
+    constructor(config) {
+        this.config = config;
+        this.gridSize = config.get('grid.size') || 15;
+        this.cellSize = config.get('rendering.cellSize') || 45;
+        this.clues = {}; // Store clues from CSV
+        
+        // Solve state
+        this.entries = [];
+        this.cellElements = [];
+        this.clueElements = new Map();
+        this.activeCell = null;
+        this.direction = 'across';
+        this.showSolution = false;
+        this.cellStatus = []; // '' | 'incorrect' | 'revealed' | 'given' per cell
+        this.isSolved = false;
+        this.onSolved = null;
+        this.onChange = null; // called after entries or square states change
+        this.onClueEdit = null; // (word, { keep }) => void, called after a clue is rewritten
+        this.helpUsed = { checks: 0, reveals: 0 };
+    }
+
+    setClues(clues) {
+        this.clues = clues || {};
+    }
+
+    renderCrossword(crosswordData) {
+        const { grid, words, size } = crosswordData;
+        
+        // Store the grid data in the renderer instance for use by other methods
+        this.crossword = grid;
+        this.gridSize = size;
+        this.placedWords = words;
+        
+        // Number from the grid itself, so puzzles saved with older numbering render correctly too
+        this.cellNumbers = GridAnalyzer.getCellNumbers(grid, words);
+        for (const word of words) {
+            word.number = this.cellNumbers[`${word.row},${word.col}`];
+        }
+        
+        // Every new puzzle starts empty and in solve mode
+        this.entries = Array(size).fill().map(() => Array(size).fill(''));
+        this.cellStatus = Array(size).fill().map(() => Array(size).fill(''));
+        this.activeCell = null;
+        this.direction = 'across';
+        this.showSolution = false;
+        this.isSolved = false;
+        this.helpUsed = { checks: 0, reveals: 0 };
+        
+        // Letters the difficulty fills in up front
+        for (const [row, col] of crosswordData.givens || []) {
+            this.entries[row][col] = grid[row][col].toUpperCase();
+            this.cellStatus[row][col] = 'given';
+        }
+        
+        const container = document.getElementById('crossword-container');
+        const cluesContainer = document.getElementById('clues-container');
+        
+        if (!container || !cluesContainer) {
+            console.error('Required containers not found');
+            return;
+        }
+
+        container.innerHTML = '';
+        cluesContainer.innerHTML = '';
+        this.clueElements = new Map();
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'crossword-wrapper';
+
+        // No more axis labels - clean, traditional crossword style
+        // if (this.config.get('rendering.showGridLabels')) {
+        //     this.createGridLabels(wrapper, size);
+        // }
+
+        const crosswordElement = this.createCrosswordGrid(grid, size);
+        wrapper.appendChild(crosswordElement);
+        this.gridElement = crosswordElement;
+
+        if (this.config.get('rendering.showClues')) {
+            this.createClues(cluesContainer, words);
+        }
+
+        container.appendChild(wrapper);
+        this.updateAllCells();
+        this.updateSolutionToggle();
+    }
+
+    createGridLabels(wrapper, size) {
+        const labelsContainer = document.createElement('div');
+        labelsContainer.className = 'grid-labels';
+
+        const rowLabels = document.createElement('div');
+        rowLabels.className = 'row-labels';
+        for (let i = 0; i < size; i++) {
+            const label = document.createElement('div');
+            label.className = 'grid-label';
+            label.textContent = String.fromCharCode(65 + i);
+            rowLabels.appendChild(label);
+        }
+
+        const colLabels = document.createElement('div');
+        colLabels.className = 'column-labels';
+        for (let i = 0; i < size; i++) {
+            const label = document.createElement('div');
+            label.className = 'grid-label';
+            label.textContent = (i + 1).toString();
+            colLabels.appendChild(label);
+        }
+
+        labelsContainer.appendChild(rowLabels);
+        labelsContainer.appendChild(colLabels);
+        wrapper.appendChild(labelsContainer);
+    }
+
+    createCrosswordGrid(grid, size) {
+        const crosswordElement = document.createElement('div');
+        crosswordElement.className = 'crossword';
+        crosswordElement.tabIndex = 0;
+        // No more +1 since we removed axis labels
+        crosswordElement.style.gridTemplateColumns = `repeat(${size}, ${this.cellSize}px)`;
+        crosswordElement.style.gridTemplateRows = `repeat(${size}, ${this.cellSize}px)`;
+
+        this.cellElements = [];
+
+        // Create grid content directly without axis labels
+        for (let row = 0; row < size; row++) {
+            this.cellElements[row] = [];
+            for (let col = 0; col < size; col++) {
+                const cell = this.createCell(grid[row][col], row, col);
+                this.cellElements[row][col] = cell;
+                crosswordElement.appendChild(cell);
+            }
+        }
+
+        crosswordElement.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        crosswordElement.addEventListener('mousedown', (event) => {
+            const cell = event.target.closest('.cell');
+            if (!cell) return;
+            event.preventDefault();
+            crosswordElement.focus();
+            this.handleCellClick(parseInt(cell.dataset.row), parseInt(cell.dataset.col));
+        });
+
+        return crosswordElement;
+    }
+
+    /**
+     * Draws the grid as a standalone SVG document for print and newsletter layouts.
+     * @param {Object} crosswordData - Puzzle data ({ grid, size, givens })
+     * @param {Object} [options] - Drawing options
+     * @param {boolean} [options.showSolution] - Fill in every answer letter
+     * @param {number} [options.cellSize] - Cell size in SVG units (default 32)
+     * @returns {string} - SVG markup
+     */
+    createCrosswordSvg(crosswordData, options = {}) {
+        const { grid, size } = crosswordData;
+        const cellSize = options.cellSize || 32;
+        const border = 2;
+        const extent = size * cellSize + border * 2;
+        const numbers = GridAnalyzer.getCellNumbers(grid, crosswordData.words);
+        const givens = new Set((crosswordData.givens || []).map(([row, col]) => `${row},${col}`));
+
+        const parts = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${extent}" height="${extent}" viewBox="0 0 ${extent} ${extent}">`,
+            `<rect x="0" y="0" width="${extent}" height="${extent}" fill="#000"/>`,
+            '<g font-family="Helvetica, Arial, sans-serif" text-anchor="middle">'
+        ];
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                if (!GridAnalyzer.isLetter(grid[row][col])) continue;
+                const x = border + col * cellSize;
+                const y = border + row * cellSize;
+                const key = `${row},${col}`;
+                parts.push(`<rect x="${x + 0.5}" y="${y + 0.5}" width="${cellSize - 1}" height="${cellSize - 1}" fill="#fff"/>`);
+                if (numbers[key]) {
+                    parts.push(`<text x="${x + 2}" y="${y + cellSize * 0.3}" font-size="${(cellSize * 0.28).toFixed(1)}" text-anchor="start">${numbers[key]}</text>`);
+                }
+                if (options.showSolution || givens.has(key)) {
+                    const fill = options.showSolution ? '#000' : '#666';
+                    parts.push(`<text x="${x + cellSize / 2}" y="${y + cellSize * 0.82}" font-size="${(cellSize * 0.6).toFixed(1)}" fill="${fill}">${grid[row][col].toUpperCase()}</text>`);
+                }
+            }
+        }
+
+        parts.push('</g>', '</svg>');
+        return parts.join('\n');
+    }
+
+    createCell(content, row, col) {
+        const cell = document.createElement('div');
+        cell.className = 'cell';
+        cell.dataset.row = row;
+        cell.dataset.col = col;
+
+        if (content === '#') {
+            cell.classList.add('black');
+        } else if (content !== '') {
+            cell.classList.add('letter');
+            
+            // Add cell number if an entry starts here
+            const cellNumber = this.getCellNumber(row, col);
+            if (cellNumber) {
+                const number = document.createElement('div');
+                number.className = 'number';
+                number.textContent = cellNumber;
+                cell.appendChild(number);
+            }
+            
+            // Solver entry (or the answer when showing the solution)
+            const letter = document.createElement('span');
+            letter.className = 'cell-letter';
+            cell.appendChild(letter);
+        }
+
+        return cell;
+    }
+
+    /**
+     * Checks whether a cell holds part of an answer and can be typed into.
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     * @returns {boolean} - True if the cell is a letter cell
+     */
+    isLetterCell(row, col) {
+        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) return false;
+        const content = this.crossword[row][col];
+        return content !== '' && content !== '#';
+    }
+
+    /**
+     * Finds the placed word running through a cell in the given direction.
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     * @param {string} direction - 'across' or 'down'
+     * @returns {Object|null} - Placed word or null if none
+     */
+    getWordAt(row, col, direction) {
+        if (!this.placedWords) return null;
+        const horizontal = direction === 'across';
+        
+        return this.placedWords.find(word => {
+            if (word.horizontal !== horizontal) return false;
+            if (horizontal) {
+                return word.row === row && col >= word.col && col < word.col + word.word.length;
+            }
+            return word.col === col && row >= word.row && row < word.row + word.word.length;
+        }) || null;
+    }
+
+    /**
+     * Returns the [row, col] positions covered by a placed word.
+     * @param {Object} word - Placed word
+     * @returns {Array} - Array of [row, col] pairs
+     */
+    getWordCells(word) {
+        const cells = [];
+        for (let i = 0; i < word.word.length; i++) {
+            cells.push(word.horizontal ? [word.row, word.col + i] : [word.row + i, word.col]);
+        }
+        return cells;
+    }
+
+    /**
+     * Returns placed words in clue order: across by number, then down by number.
+     * @returns {Array} - Ordered placed words
+     */
+    getWordsInClueOrder() {
+        const byNumber = (a, b) => a.number - b.number;
+        const across = this.placedWords.filter(w => w.horizontal).sort(byNumber);
+        const down = this.placedWords.filter(w => !w.horizontal).sort(byNumber);
+        return [...across, ...down];
+    }
+
+    getActiveWord() {
+        if (!this.activeCell) return null;
+        return this.getWordAt(this.activeCell.row, this.activeCell.col, this.direction);
+    }
+
+    /**
+     * Moves the cursor to a cell, switching direction if no word runs the requested way.
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     * @param {string} [direction] - Preferred direction
+     */
+    selectCell(row, col, direction = this.direction) {
+        if (!this.isLetterCell(row, col)) return;
+        
+        const other = direction === 'across' ? 'down' : 'across';
+        if (!this.getWordAt(row, col, direction) && this.getWordAt(row, col, other)) {
+            direction = other;
+        }
+        
+        this.activeCell = { row, col };
+        this.direction = direction;
+        this.updateHighlights();
+    }
+
+    selectWord(word, preferEmpty = true) {
+        const cells = this.getWordCells(word);
+        const target = (preferEmpty && cells.find(([r, c]) => !this.entries[r][c])) || cells[0];
+        this.selectCell(target[0], target[1], word.horizontal ? 'across' : 'down');
+    }
+
+    toggleDirection() {
+        if (!this.activeCell) return;
+        const other = this.direction === 'across' ? 'down' : 'across';
+        if (this.getWordAt(this.activeCell.row, this.activeCell.col, other)) {
+            this.direction = other;
+            this.updateHighlights();
+        }
+    }
+
+    handleCellClick(row, col) {
+        if (this.showSolution || !this.isLetterCell(row, col)) return;
+        
+        if (this.activeCell && this.activeCell.row === row && this.activeCell.col === col) {
+            this.toggleDirection();
+        } else {
+            this.selectCell(row, col);
+        }
+    }
+
+    handleKeyDown(event) {
+        if (this.showSolution || !this.activeCell || event.ctrlKey || event.metaKey || event.altKey) return;
+        
+        const { row, col } = this.activeCell;
+        const key = event.key;
+        
+        if (/^[a-zA-Z]$/.test(key)) {
+            event.preventDefault();
+            this.typeLetter(key.toUpperCase());
+        } else if (key === 'Backspace') {
+            event.preventDefault();
+            this.handleBackspace();
+        } else if (key === 'Delete') {
+            event.preventDefault();
+            this.enterLetter(row, col, '');
+        } else if (key === 'Tab') {
+            event.preventDefault();
+            this.moveToAdjacentWord(event.shiftKey ? -1 : 1);
+        } else if (key === ' ') {
+            event.preventDefault();
+            this.toggleDirection();
+        } else if (key.startsWith('Arrow')) {
+            event.preventDefault();
+            this.handleArrow(key);
+        }
+    }
+
+    typeLetter(letter) {
+        const { row, col } = this.activeCell;
+        this.enterLetter(row, col, letter);
+        
+        // Advance to the next cell of the active word, staying put at its end
+        const word = this.getActiveWord();
+        if (!word) return;
+        const cells = this.getWordCells(word);
+        const index = cells.findIndex(([r, c]) => r === row && c === col);
+        if (index < cells.length - 1) {
+            const [nextRow, nextCol] = cells[index + 1];
+            this.selectCell(nextRow, nextCol, this.direction);
+        }
+    }
+
+    handleBackspace() {
+        const { row, col } = this.activeCell;
+        if (this.entries[row][col] && !this.isLocked(row, col)) {
+            this.enterLetter(row, col, '');
+            return;
+        }
+        
+        // Empty cell: step back within the word and clear that letter
+        const word = this.getActiveWord();
+        if (!word) return;
+        const cells = this.getWordCells(word);
+        const index = cells.findIndex(([r, c]) => r === row && c === col);
+        if (index > 0) {
+            const [prevRow, prevCol] = cells[index - 1];
+            this.selectCell(prevRow, prevCol, this.direction);
+            this.enterLetter(prevRow, prevCol, '');
+        }
+    }
+
+    handleArrow(key) {
+        const arrowDirection = (key === 'ArrowLeft' || key === 'ArrowRight') ? 'across' : 'down';
+        
+        // An arrow across the current direction first turns the cursor, like most solving apps
+        if (arrowDirection !== this.direction &&
+            this.getWordAt(this.activeCell.row, this.activeCell.col, arrowDirection)) {
+            this.direction = arrowDirection;
+            this.updateHighlights();
+            return;
+        }
+        
+        const deltas = {
+            ArrowLeft: [0, -1],
+            ArrowRight: [0, 1],
+            ArrowUp: [-1, 0],
+            ArrowDown: [1, 0]
+        };
+        const [dRow, dCol] = deltas[key];
+        
+        // Skip over black and empty squares to the next letter cell
+        let r = this.activeCell.row + dRow;
+        let c = this.activeCell.col + dCol;
+        while (r >= 0 && r < this.gridSize && c >= 0 && c < this.gridSize) {
+            if (this.isLetterCell(r, c)) {
+                this.selectCell(r, c, arrowDirection);
+                return;
+            }
+            r += dRow;
+            c += dCol;
+        }
+    }
+
+    moveToAdjacentWord(step) {
+        const ordered = this.getWordsInClueOrder();
+        if (ordered.length === 0) return;
+        
+        const current = this.getActiveWord();
+        const index = current ? ordered.indexOf(current) : -1;
+        const next = ordered[(index + step + ordered.length) % ordered.length];
+        this.selectWord(next);
+    }
+
+    /**
+     * Applies a solver keystroke; revealed cells are locked and a new letter clears a wrong mark.
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     * @param {string} letter - Uppercase letter, or '' to erase
+     */
+    enterLetter(row, col, letter) {
+        if (this.isLocked(row, col)) return;
+        if (this.cellStatus[row][col] === 'incorrect') {
+            this.cellStatus[row][col] = '';
+        }
+        this.setEntry(row, col, letter);
+        this.checkSolved();
+        this.notifyChange();
+    }
+
+    setEntry(row, col, letter) {
+        this.entries[row][col] = letter;
+        this.updateCell(row, col);
+    }
+
+    getSolutionLetter(row, col) {
+        return this.crossword[row][col].toUpperCase();
+    }
+
+    /**
+     * Resolves a helper scope to the cells it covers.
+     * @param {string} scope - 'square', 'word' or 'puzzle'
+     * @returns {Array} - Array of [row, col] pairs
+     */
+    getScopeCells(scope) {
+        if (scope === 'puzzle') {
+            const cells = [];
+            for (let row = 0; row < this.gridSize; row++) {
+                for (let col = 0; col < this.gridSize; col++) {
+                    if (this.isLetterCell(row, col)) cells.push([row, col]);
+                }
+            }
+            return cells;
+        }
+        
+        if (!this.activeCell) return [];
+        
+        if (scope === 'word') {
+            const word = this.getActiveWord();
+            return word ? this.getWordCells(word) : [];
+        }
+        
+        return [[this.activeCell.row, this.activeCell.col]];
+    }
+
+    /**
+     * Marks filled-in cells that don't match the solution.
+     * @param {string} scope - 'square', 'word' or 'puzzle'
+     * @returns {number} - Number of incorrect cells found
+     */
+    check(scope) {
+        this.helpUsed.checks++;
+        let incorrect = 0;
+        for (const [row, col] of this.getScopeCells(scope)) {
+            const entry = this.entries[row][col];
+            if (entry && entry !== this.getSolutionLetter(row, col)) {
+                this.cellStatus[row][col] = 'incorrect';
+                incorrect++;
+            }
+            this.updateCell(row, col);
+        }
+        this.notifyChange();
+        return incorrect;
+    }
+
+    /**
+     * Revealed and given squares hold the solution and can't be changed.
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     * @returns {boolean} - True if the square is locked
+     */
+    isLocked(row, col) {
+        return this.cellStatus[row][col] === 'revealed' || this.cellStatus[row][col] === 'given';
+    }
+
+    /**
+     * Fills in the solution and marks the cells as revealed.
+     * @param {string} scope - 'square', 'word' or 'puzzle'
+     */
+    reveal(scope) {
+        this.helpUsed.reveals++;
+        for (const [row, col] of this.getScopeCells(scope)) {
+            const solution = this.getSolutionLetter(row, col);
+            if (this.entries[row][col] !== solution || this.cellStatus[row][col] === 'incorrect') {
+                this.cellStatus[row][col] = 'revealed';
+            }
+            this.setEntry(row, col, solution);
+        }
+        this.checkSolved();
+        this.notifyChange();
+    }
+
+    /**
+     * Clears entries across the whole puzzle.
+     * @param {string} scope - 'incorrect' to erase only wrong letters, 'all' to start over
+     */
+    clear(scope) {
+        for (const [row, col] of this.getScopeCells('puzzle')) {
+            if (this.cellStatus[row][col] === 'given') continue;
+            if (scope === 'all') {
+                this.cellStatus[row][col] = '';
+                this.setEntry(row, col, '');
+            } else if (this.entries[row][col] && this.entries[row][col] !== this.getSolutionLetter(row, col)) {
+                this.cellStatus[row][col] = '';
+                this.setEntry(row, col, '');
+            }
+        }
+        this.checkSolved();
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (typeof this.onChange === 'function') {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Returns the solver's progress in a form that can be saved and restored.
+     * @returns {Object} - { entries, cellStatus, solved, checks, reveals }
+     */
+    getSolveState() {
+        return {
+            entries: this.entries.map(row => [...row]),
+            cellStatus: this.cellStatus.map(row => [...row]),
+            solved: this.isSolved,
+            checks: this.helpUsed.checks,
+            reveals: this.helpUsed.reveals
+        };
+    }
+
+    /**
+     * Puts saved progress back on the rendered puzzle. Call after renderCrossword.
+     * Restoring a finished puzzle shows it as solved without calling onSolved again.
+     * @param {Object} state - State from getSolveState
+     */
+    restoreSolveState(state) {
+        if (!state || !Array.isArray(state.entries) || state.entries.length !== this.gridSize) return;
+        
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                if (!GridAnalyzer.isLetter(this.crossword[row][col])) continue;
+                this.entries[row][col] = (state.entries[row] && state.entries[row][col]) || '';
+                this.cellStatus[row][col] = (state.cellStatus && state.cellStatus[row] && state.cellStatus[row][col]) || '';
+            }
+        }
+        this.helpUsed = { checks: state.checks || 0, reveals: state.reveals || 0 };
+        this.updateAllCells();
+        this.checkSolved(false);
+    }
+
+    /**
+     * True once the solver has typed something into a puzzle they haven't finished.
+     * @returns {boolean}
+     */
+    hasUnfinishedProgress() {
+        if (this.isSolved) return false;
+        return this.getScopeCells('puzzle').some(([row, col]) =>
+            this.entries[row][col] && this.cellStatus[row][col] !== 'given'
+        );
+    }
+
+    /**
+     * Updates the solved state once every letter cell matches the solution.
+     * @param {boolean} [notify] - Whether to call onSolved when the puzzle becomes solved
+     */
+    checkSolved(notify = true) {
+        const cells = this.getScopeCells('puzzle');
+        const solved = cells.length > 0 && cells.every(([row, col]) =>
+            this.entries[row][col] === this.getSolutionLetter(row, col)
+        );
+        
+        if (solved === this.isSolved) return;
+        this.isSolved = solved;
+        
+        if (this.gridElement) {
+            this.gridElement.classList.toggle('solved', solved);
+        }
+        this.updateSolvedBanner();
+        
+        if (solved && notify && typeof this.onSolved === 'function') {
+            this.onSolved();
+        }
+    }
+
+    updateSolvedBanner() {
+        const container = document.getElementById('crossword-container');
+        if (!container) return;
+        
+        let banner = container.querySelector('.solved-banner');
+        if (this.isSolved && !banner) {
+            banner = document.createElement('div');
+            banner.className = 'solved-banner';
+            banner.textContent = 'Solved! Nice work.';
+            container.insertBefore(banner, container.firstChild);
+        } else if (!this.isSolved && banner) {
+            banner.remove();
+        }
+    }
+
+    updateCell(row, col) {
+        const cell = this.cellElements[row] && this.cellElements[row][col];
+        if (!cell) return;
+        const letter = cell.querySelector('.cell-letter');
+        if (!letter) return;
+        
+        letter.textContent = this.showSolution
+            ? this.getSolutionLetter(row, col)
+            : this.entries[row][col];
+        
+        const status = this.showSolution ? '' : this.cellStatus[row][col];
+        cell.classList.toggle('incorrect', status === 'incorrect');
+        cell.classList.toggle('revealed', status === 'revealed');
+        cell.classList.toggle('given', status === 'given');
+    }
+
+    updateAllCells() {
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                this.updateCell(row, col);
+            }
+        }
+    }
+
+    /**
+     * Highlights the active cell, the active word and its clue.
+     */
+    updateHighlights() {
+        if (this.gridElement) {
+            this.gridElement.querySelectorAll('.cell.active, .cell.active-word').forEach(cell => {
+                cell.classList.remove('active', 'active-word');
+            });
+        }
+        this.clueElements.forEach(element => element.classList.remove('active'));
+        
+        if (!this.activeCell || this.showSolution) return;
+        
+        const word = this.getActiveWord();
+        if (word) {
+            for (const [r, c] of this.getWordCells(word)) {
+                this.cellElements[r][c].classList.add('active-word');
+            }
+            const clueElement = this.clueElements.get(word);
+            if (clueElement) clueElement.classList.add('active');
+        }
+        
+        const { row, col } = this.activeCell;
+        this.cellElements[row][col].classList.add('active');
+    }
+
+    /**
+     * Switches between the interactive solve view and the answer key.
+     */
+    toggleSolution() {
+        this.showSolution = !this.showSolution;
+        if (this.gridElement) {
+            this.gridElement.classList.toggle('solution', this.showSolution);
+        }
+        this.updateAllCells();
+        this.updateHighlights();
+        this.updateSolutionToggle();
+    }
+
+    updateSolutionToggle() {
+        const button = document.getElementById('solution-toggle');
+        if (button) {
+            button.textContent = this.showSolution ? 'Hide Solution' : 'Show Solution';
+        }
+    }
+
+    /**
+     * Number shown in a cell, from the standard numbering computed in renderCrossword.
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     * @returns {number|null} - Cell number, or null if no entry starts here
+     */
+    getCellNumber(row, col) {
+        return (this.cellNumbers && this.cellNumbers[`${row},${col}`]) || null;
+    }
+
+    createClues(container, words) {
+        if (!words || words.length === 0) return;
+
+        const byNumber = (a, b) => a.number - b.number;
+        const acrossWords = words.filter(w => w.horizontal).sort(byNumber);
+        const downWords = words.filter(w => !w.horizontal).sort(byNumber);
+
+        if (acrossWords.length > 0) {
+            const acrossSection = document.createElement('div');
+            acrossSection.className = 'clue-section';
+            
+            const acrossTitle = document.createElement('h3');
+            acrossTitle.textContent = 'Across';
+            acrossSection.appendChild(acrossTitle);
+
+            acrossWords.forEach(word => {
+                const clue = this.createClue(word);
+                acrossSection.appendChild(clue);
+            });
+
+            container.appendChild(acrossSection);
+        }
+
+        if (downWords.length > 0) {
+            const downSection = document.createElement('div');
+            downSection.className = 'clue-section';
+            
+            const downTitle = document.createElement('h3');
+            downTitle.textContent = 'Down';
+            downSection.appendChild(downTitle);
+
+            downWords.forEach(word => {
+                const clue = this.createClue(word);
+                downSection.appendChild(clue);
+            });
+
+            container.appendChild(downSection);
+        }
+    }
+
+    createClue(word) {
+        const clueElement = document.createElement('div');
+        clueElement.className = 'clue';
+        if (word.theme) clueElement.classList.add('theme-clue');
+        if (word.revealer) clueElement.classList.add('revealer-clue');
+        clueElement.addEventListener('click', () => {
+            if (this.showSolution) return;
+            this.selectWord(word);
+            if (this.gridElement) this.gridElement.focus();
+        });
+        this.clueElements.set(word, clueElement);
+        
+        const number = document.createElement('span');
+        number.className = 'clue-number';
+        number.textContent = word.number + '.';
+        
+        const text = document.createElement('span');
+        text.className = 'clue-text';
+        
+        // Use the clue chosen for this puzzle, then the word list's clue, otherwise a fallback
+        const actualClue = word.clue || this.clues[word.word];
+        text.textContent = actualClue || this.generateFallbackClue(word.word);
+        if (word.clueEdited) {
+            clueElement.classList.add('clue-edited');
+            text.title = 'Edited for this puzzle';
+        } else if (word.clueAuthor) {
+            text.title = `Clue by ${word.clueAuthor}`;
+        }
+        
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'clue-edit';
+        edit.title = 'Edit clue';
+        edit.textContent = '\u270e';
+        edit.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.startClueEdit(word);
+        });
+        
+        clueElement.appendChild(number);
+        clueElement.appendChild(text);
+        clueElement.appendChild(edit);
+        
+        return clueElement;
+    }
+
+    /**
+     * Swaps a clue's text for a field to rewrite it. Enter or Save keeps the new text on
+     * the word (and in the puzzle's saves and exports), Escape or Cancel leaves it as it was.
+     * @param {Object} word - Placed word whose clue to edit
+     */
+    startClueEdit(word) {
+        const clueElement = this.clueElements.get(word);
+        if (!clueElement || clueElement.querySelector('.clue-editor')) return;
+        
+        const form = document.createElement('form');
+        form.className = 'clue-editor';
+        form.addEventListener('click', (event) => event.stopPropagation());
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'clue-input';
+        input.value = word.clue || this.clues[word.word] || '';
+        input.placeholder = this.generateFallbackClue(word.word);
+        
+        const keepLabel = document.createElement('label');
+        keepLabel.className = 'clue-keep';
+        keepLabel.title = 'Add this clue to the word list as another clue for the word';
+        const keep = document.createElement('input');
+        keep.type = 'checkbox';
+        keepLabel.appendChild(keep);
+        keepLabel.appendChild(document.createTextNode(' Use in future puzzles'));
+        
+        const save = document.createElement('button');
+        save.type = 'submit';
+        save.className = 'toolbar-btn';
+        save.textContent = 'Save';
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'toolbar-btn';
+        cancel.textContent = 'Cancel';
+        
+        const finish = () => {
+            const replacement = this.createClue(word);
+            clueElement.replaceWith(replacement);
+            this.updateHighlights();
+        };
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const text = input.value.trim();
+            if (text && text !== (word.clue || this.clues[word.word])) {
+                word.clue = text;
+                word.clueEdited = true;
+                word.clueAuthor = null;
+            }
+            finish();
+            if (text && this.onClueEdit) this.onClueEdit(word, { keep: keep.checked });
+        });
+        cancel.addEventListener('click', finish);
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                finish();
+            }
+        });
+        
+        form.appendChild(input);
+        form.appendChild(keepLabel);
+        form.appendChild(save);
+        form.appendChild(cancel);
+        clueElement.querySelector('.clue-text').replaceWith(form);
+        clueElement.querySelector('.clue-edit').remove();
+        input.focus();
+        input.select();
+    }
+
+    generateFallbackClue(word) {
+        // Fallback clue generation if no actual clue is available
+        const clues = [
+            `A ${word.length}-letter word`,
+            `Word meaning "${word}"`,
+            `Synonym for "${word}"`,
+            `Opposite of "${word}"`,
+            `Word that rhymes with "${word}"`
+        ];
+        
+        // Pick by word rather than at random so the same puzzle always shows the same clue
+        return clues[SeededRandom.hashString(word) % clues.length];
+    }
+
+    /**
+     * Replaces the grid with the loading panel: a status line, a progress bar and,
+     * when onCancel is given, a Cancel button.
+     * @param {Function} [onCancel] - Called when the user cancels
+     */
+    showLoading(onCancel = null) {
+        const container = document.getElementById('crossword-container');
+        if (!container) return;
+        
+        container.innerHTML = '<div class="loading"><div class="loading-text">Generating crossword...</div>' +
+            '<progress class="loading-progress" max="100" value="0"></progress></div>';
+        if (onCancel) {
+            const cancel = document.createElement('button');
+            cancel.className = 'toolbar-btn loading-cancel';
+            cancel.textContent = 'Cancel';
+            cancel.addEventListener('click', onCancel);
+            container.querySelector('.loading').appendChild(cancel);
+        }
+    }
+
+    updateLoading(message, percent) {
+        const text = document.querySelector('.loading .loading-text');
+        const progress = document.querySelector('.loading .loading-progress');
+        if (text) text.textContent = message;
+        if (progress) progress.value = Math.round(percent);
+    }
+
+    hideLoading() {
+        const loading = document.querySelector('.loading');
+        if (loading) {
+            loading.remove();
+        }
+    }
+}
+
+// Crossword Constructor
+/**
+ * Hand construction view: the user toggles blocks (mirrored for symmetry if wanted),
+ * types letters, attaches a clue to each slot and fills open slots from suggestions
+ * ranked by how much room they leave the crossing slots. The grid uses the usual model:
+ * '#' for blocks, '' for open squares and lowercase letters.
+ */
+class CrosswordConstructor {
+    constructor(size = 15) {
+        this.symmetry = true;
+        this.symmetryType = 'rotational'; // 'rotational', 'mirror' or 'diagonal'
+        this.words = null;
+        this.filler = null; // CrosswordFiller indexing the word list for suggestions
+        this.wordClues = {};
+        this.clues = {}; // slot key ("row,col,across") -> clue text
+        this.activeCell = { row: 0, col: 0 };
+        this.direction = 'across';
+        this.gridElement = null;
+        this.reset(size);
+    }
+
+    static get CELL_SIZE() {
+        return 32;
+    }
+
+    /**
+     * Starts over with an empty grid.
+     * @param {number} size - Grid size
+     */
+    reset(size) {
+        this.size = Math.max(3, Math.min(25, parseInt(size) || 15));
+        this.grid = Array(this.size).fill().map(() => Array(this.size).fill(''));
+        this.clues = {};
+        this.activeCell = { row: 0, col: 0 };
+        this.direction = 'across';
+        // The word index only holds words that fit the grid, so a bigger grid needs a new one
+        if (this.words && (!this.filler || this.filler.size !== this.size)) {
+            this.setWordList(this.words, this.wordClues);
+        }
+    }
+
+    /**
+     * Starts from an existing puzzle, keeping its blocks, answers and clues.
+     * @param {Object} crosswordData - Puzzle data ({ grid, words, size })
+     * @param {Object} [clueMap] - word -> clue for words without their own clue
+     */
+    loadPuzzle(crosswordData, clueMap = {}) {
+        this.reset(crosswordData.size);
+        this.grid = crosswordData.grid.map(row => row.map(cell => cell === '#' ? '#' : (cell || '').toLowerCase()));
+        
+        // Squares outside every word are blocks in a solvable grid
+        for (let row = 0; row < this.size; row++) {
+            for (let col = 0; col < this.size; col++) {
+                if (!GridAnalyzer.isLetter(this.grid[row][col])) this.grid[row][col] = '#';
+            }
+        }
+        for (const word of crosswordData.words) {
+            const clue = word.clue || clueMap[word.word];
+            if (clue) this.clues[this.getSlotKey(word)] = clue;
+        }
+    }
+
+    /**
+     * Indexes the word list the suggestions come from.
+     * @param {Array} words - Candidate answers
+     * @param {Object} [clues] - word -> clue, offered when a suggestion fills a slot without one
+     */
+    setWordList(words, clues = {}) {
+        this.words = words;
+        this.wordClues = clues;
+        this.filler = new CrosswordFiller(words, { size: this.size, minLength: 2 });
+    }
+
+    getSlotKey(slot) {
+        return `${slot.row},${slot.col},${slot.horizontal ? 'across' : 'down'}`;
+    }
+
+    /**
+     * Lists every run of two or more open or lettered squares, numbered the standard way.
+     * @returns {Array} - Slots { key, row, col, horizontal, number, length, pattern, cells }
+     *     where pattern has a letter, or '' for an open square, per cell
+     */
+    getSlots() {
+        // Stand-in letters let GridAnalyzer find and number the runs of open squares too
+        const probe = this.grid.map(row => row.map(cell => cell === '' ? '?' : cell));
+        return GridAnalyzer.findEntries(probe).map(entry => {
+            const cells = Array.from({ length: entry.length }, (_, i) =>
+                entry.horizontal ? [entry.row, entry.col + i] : [entry.row + i, entry.col]);
+            return {
+                key: this.getSlotKey(entry),
+                row: entry.row,
+                col: entry.col,
+                horizontal: entry.horizontal,
+                number: entry.number,
+                length: entry.length,
+                pattern: cells.map(([r, c]) => this.grid[r][c]),
+                cells
+            };
+        });
+    }
+
+    getSlotAt(row, col, direction, slots = this.getSlots()) {
+        const horizontal = direction === 'across';
+        return slots.find(slot => slot.horizontal === horizontal &&
+            slot.cells.some(([r, c]) => r === row && c === col)) || null;
+    }
+
+    getActiveSlot(slots = this.getSlots()) {
+        const { row, col } = this.activeCell;
+        return this.getSlotAt(row, col, this.direction, slots);
+    }
+
+    /**
+     * Turns a square into a block or back into an open square, along with its symmetric
+     * partners under the configured symmetry type when symmetry is on.
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     */
+    toggleBlock(row, col) {
+        const value = this.grid[row][col] === '#' ? '' : '#';
+        const partners = this.symmetry ? GridAnalyzer.getSymmetricPartners(row, col, this.size, this.symmetryType) : [];
+        for (const [r, c] of [[row, col], ...partners]) {
+            this.grid[r][c] = value;
+        }
+    }
+
+    /**
+     * Writes a letter into a square. Typing over a block opens it the way toggleBlock
+     * does, along with its symmetric partners, so the pattern stays symmetric.
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     * @param {string} letter - Letter, or '' to erase
+     */
+    setLetter(row, col, letter) {
+        if (this.grid[row][col] === '#' && letter) this.toggleBlock(row, col);
+        this.grid[row][col] = letter.toLowerCase();
+    }
+
+    /**
+     * Writes a word into a slot, taking the word list's clue if the slot has none yet.
+     * @param {Object} slot - Slot from getSlots
+     * @param {string} word - Word of the slot's length
+     */
+    fillSlot(slot, word) {
+        slot.cells.forEach(([r, c], index) => { this.grid[r][c] = word[index]; });
+        if (!this.clues[slot.key] && this.wordClues[word]) {
+            this.clues[slot.key] = this.wordClues[word];
+        }
+    }
+
+    /**
+     * Ranks the word list's words that fit a slot. Each candidate is scored by the
+     * fewest words left for any crossing slot it changes; candidates that leave a
+     * crossing slot with none are dropped.
+     * @param {Object} slot - Slot from getSlots
+     * @param {number} [limit] - Most suggestions to return
+     * @returns {Array} - [{ word, crossings }] best first, where crossings is that fewest count
+     */
+    getSuggestions(slot, limit = 15) {
+        if (!this.filler || !slot.pattern.includes('')) return [];
+        
+        const slots = this.getSlots();
+        const inGrid = new Set(slots.filter(other => !other.pattern.includes('')).map(other => other.pattern.join('')));
+        const crossings = slot.cells.map(([r, c], index) => {
+            if (slot.pattern[index]) return null;
+            const crossing = this.getSlotAt(r, c, slot.horizontal ? 'down' : 'across', slots);
+            if (!crossing) return null;
+            return { slot: crossing, position: crossing.cells.findIndex(([cr, cc]) => cr === r && cc === c) };
+        });
+        
+        const ranked = [];
+        // Scoring every match of a barely filled long slot would stall typing on big word lists
+        for (const word of this.filler.getMatches(slot.pattern).slice(0, 2000)) {
+            if (inGrid.has(word)) continue;
+            let fewest = Infinity;
+            crossings.forEach((crossing, index) => {
+                if (!crossing) return;
+                const pattern = [...crossing.slot.pattern];
+                pattern[crossing.position] = word[index];
+                fewest = Math.min(fewest, this.filler.countMatches(this.filler.matchPattern(pattern)));
+            });
+            if (fewest > 0) ranked.push({ word, crossings: fewest });
+        }
+        
+        return ranked
+            .sort((a, b) => (b.crossings - a.crossings) || a.word.localeCompare(b.word))
+            .slice(0, limit);
+    }
+
+    /**
+     * Turns the finished grid into puzzle data the app can play and export.
+     * @param {string} [title] - Puzzle title
+     * @returns {Object} - { grid, words, size, title }
+     * @throws {Error} - When squares are still open, a square belongs to no slot or a slot has no clue
+     */
+    toPuzzle(title) {
+        const slots = this.getSlots();
+        if (slots.length === 0) {
+            throw new Error('Add some slots first: the grid has no runs of two or more squares.');
+        }
+        
+        const open = [];
+        const unchecked = [];
+        const covered = new Set(slots.flatMap(slot => slot.cells.map(([r, c]) => `${r},${c}`)));
+        for (let row = 0; row < this.size; row++) {
+            for (let col = 0; col < this.size; col++) {
+                if (this.grid[row][col] === '#') continue;
+                if (!this.grid[row][col]) open.push(`row ${row + 1}, col ${col + 1}`);
+                else if (!covered.has(`${row},${col}`)) unchecked.push(`row ${row + 1}, col ${col + 1}`);
+            }
+        }
+        if (open.length > 0) {
+            throw new Error(`Fill every square first (${open.length} still open, e.g. ${open[0]}).`);
+        }
+        if (unchecked.length > 0) {
+            throw new Error(`The square at ${unchecked[0]} isn't part of any word; make it a block.`);
+        }
+        
+        const missing = slots.filter(slot => !this.getClue(slot));
+        if (missing.length > 0) {
+            const names = missing.slice(0, 5).map(slot => `${slot.number} ${slot.horizontal ? 'Across' : 'Down'}`);
+            throw new Error(`Add a clue for ${names.join(', ')}${missing.length > 5 ? ` and ${missing.length - 5} more` : ''}.`);
+        }
+        
+        return {
+            grid: this.grid.map(row => [...row]),
+            words: slots.map(slot => ({
+                word: slot.pattern.join(''),
+                row: slot.row,
+                col: slot.col,
+                horizontal: slot.horizontal,
+                number: slot.number,
+                clue: this.getClue(slot)
+            })),
+            size: this.size,
+            title: title || 'Custom puzzle'
+        };
+    }
+
+    /**
+     * The clue typed for a slot, or the word list's clue for its answer.
+     */
+    getClue(slot) {
+        const clue = this.clues[slot.key];
+        if (clue && clue.trim()) return clue.trim();
+        return slot.pattern.includes('') ? null : (this.wordClues[slot.pattern.join('')] || null);
+    }
+
+    /**
+     * Draws the grid, the slot list with its clue fields and the suggestions.
+     */
+    render() {
+        this.renderGrid();
+        this.renderSlots();
+        this.renderSuggestions();
+    }
+
+    renderGrid() {
+        const container = document.getElementById('constructor-grid');
+        if (!container) return;
+        
+        const hadFocus = this.gridElement && document.activeElement === this.gridElement;
+        const numbers = GridAnalyzer.getCellNumbers(this.grid.map(row => row.map(cell => cell === '' ? '?' : cell)));
+        const activeSlot = this.getActiveSlot();
+        const activeCells = new Set(activeSlot ? activeSlot.cells.map(([r, c]) => `${r},${c}`) : []);
+        
+        const gridElement = document.createElement('div');
+        gridElement.className = 'crossword constructor-grid';
+        gridElement.tabIndex = 0;
+        gridElement.style.gridTemplateColumns = `repeat(${this.size}, ${CrosswordConstructor.CELL_SIZE}px)`;
+        gridElement.style.gridTemplateRows = `repeat(${this.size}, ${CrosswordConstructor.CELL_SIZE}px)`;
+        
+        for (let row = 0; row < this.size; row++) {
+            for (let col = 0; col < this.size; col++) {
+                const cell = document.createElement('div');
+                cell.className = 'cell';
+                cell.dataset.row = row;
+                cell.dataset.col = col;
+                const key = `${row},${col}`;
+                
+                if (this.grid[row][col] === '#') {
+                    cell.classList.add('black');
+                } else {
+                    cell.classList.add('letter');
+                    if (numbers[key]) {
+                        const number = document.createElement('div');
+                        number.className = 'number';
+                        number.textContent = numbers[key];
+                        cell.appendChild(number);
+                    }
+                    const letter = document.createElement('span');
+                    letter.className = 'cell-letter';
+                    letter.textContent = this.grid[row][col].toUpperCase();
+                    cell.appendChild(letter);
+                    if (activeCells.has(key)) cell.classList.add('active-word');
+                }
+                if (row === this.activeCell.row && col === this.activeCell.col) {
+                    cell.classList.add('active');
+                }
+                gridElement.appendChild(cell);
+            }
+        }
+        
+        gridElement.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        gridElement.addEventListener('mousedown', (event) => {
+            const cell = event.target.closest('.cell');
+            if (!cell) return;
+            event.preventDefault();
+            gridElement.focus();
+            this.handleCellClick(parseInt(cell.dataset.row), parseInt(cell.dataset.col));
+        });
+        gridElement.addEventListener('dblclick', (event) => {
+            const cell = event.target.closest('.cell');
+            if (!cell) return;
+            this.toggleBlock(parseInt(cell.dataset.row), parseInt(cell.dataset.col));
+            this.render();
+        });
+        
+        container.innerHTML = '';
+        container.appendChild(gridElement);
+        this.gridElement = gridElement;
+        if (hadFocus) gridElement.focus();
+    }
+
+    renderSlots() {
+        const container = document.getElementById('constructor-slots');
+        if (!container) return;
+        container.innerHTML = '';
+        
+        const slots = this.getSlots();
+        const active = this.getActiveSlot(slots);
+        for (const horizontal of [true, false]) {
+            const section = document.createElement('div');
+            section.className = 'clue-section';
+            const heading = document.createElement('h3');
+            heading.textContent = horizontal ? 'Across' : 'Down';
+            section.appendChild(heading);
+            
+            for (const slot of slots.filter(slot => slot.horizontal === horizontal)) {
+                const row = document.createElement('label');
+                row.className = 'constructor-slot';
+                row.dataset.key = slot.key;
+                if (active && active.key === slot.key) row.classList.add('active');
+                
+                const number = document.createElement('span');
+                number.className = 'clue-number';
+                number.textContent = slot.number + '.';
+                
+                const pattern = document.createElement('span');
+                pattern.className = 'slot-pattern';
+                pattern.textContent = slot.pattern.map(letter => letter ? letter.toUpperCase() : '_').join('');
+                pattern.title = `${slot.length} letters`;
+                
+                const clue = document.createElement('input');
+                clue.type = 'text';
+                clue.className = 'slot-clue';
+                clue.placeholder = this.getClue(slot) || 'Clue';
+                clue.value = this.clues[slot.key] || '';
+                clue.addEventListener('input', () => { this.clues[slot.key] = clue.value; });
+                clue.addEventListener('focus', () => this.selectSlot(slot));
+                
+                row.appendChild(number);
+                row.appendChild(pattern);
+                row.appendChild(clue);
+                section.appendChild(row);
+            }
+            container.appendChild(section);
+        }
+    }
+
+    renderSuggestions() {
+        const container = document.getElementById('constructor-suggestions');
+        if (!container) return;
+        container.innerHTML = '';
+        
+        const slot = this.getActiveSlot();
+        const heading = document.createElement('h4');
+        container.appendChild(heading);
+        if (!slot) {
+            heading.textContent = 'Suggestions';
+            return;
+        }
+        heading.textContent = `Suggestions for ${slot.number} ${slot.horizontal ? 'Across' : 'Down'} (${slot.length})`;
+        
+        const suggestions = this.getSuggestions(slot);
+        if (suggestions.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'panel-hint';
+            empty.textContent = !slot.pattern.includes('')
+                ? 'This slot is filled.'
+                : (this.filler ? 'No words in the list fit this slot.' : 'Loading the word list...');
+            container.appendChild(empty);
+            return;
+        }
+        
+        const list = document.createElement('ul');
+        list.className = 'suggestion-list';
+        for (const suggestion of suggestions) {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'toolbar-btn';
+            button.textContent = suggestion.word.toUpperCase();
+            button.title = Number.isFinite(suggestion.crossings)
+                ? `Leaves at least ${suggestion.crossings} word(s) for each crossing slot`
+                : 'Crosses no open slots';
+            button.addEventListener('click', () => {
+                this.fillSlot(slot, suggestion.word);
+                this.render();
+            });
+            item.appendChild(button);
+            list.appendChild(item);
+        }
+        container.appendChild(list);
+    }
+
+    selectCell(row, col, direction = this.direction) {
+        this.activeCell = { row, col };
+        this.direction = direction;
+        this.refreshSelection();
+    }
+
+    selectSlot(slot) {
+        this.selectCell(slot.row, slot.col, slot.horizontal ? 'across' : 'down');
+    }
+
+    /**
+     * Redraws what depends on the cursor: the grid highlight, the active slot and the suggestions.
+     */
+    refreshSelection() {
+        this.renderGrid();
+        const active = this.getActiveSlot();
+        document.querySelectorAll('#constructor-slots .constructor-slot').forEach(row => {
+            row.classList.toggle('active', Boolean(active) && row.dataset.key === active.key);
+        });
+        this.renderSuggestions();
+    }
+
+    handleCellClick(row, col) {
+        if (this.activeCell.row === row && this.activeCell.col === col) {
+            this.selectCell(row, col, this.direction === 'across' ? 'down' : 'across');
+        } else {
+            this.selectCell(row, col);
+        }
+    }
+
+    /**
+     * Letters fill squares, '.' toggles a block, Space turns the cursor, arrows move and
+     * Backspace erases, stepping back when the square is already empty.
+     */
+    handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const { row, col } = this.activeCell;
+        const key = event.key;
+        const [dRow, dCol] = this.direction === 'across' ? [0, 1] : [1, 0];
+        
+        if (/^[a-zA-Z]$/.test(key)) {
+            event.preventDefault();
+            this.setLetter(row, col, key);
+            this.moveBy(dRow, dCol);
+            this.render();
+        } else if (key === '.') {
+            event.preventDefault();
+            this.toggleBlock(row, col);
+            this.moveBy(dRow, dCol);
+            this.render();
+        } else if (key === 'Backspace' || key === 'Delete') {
+            event.preventDefault();
+            if (key === 'Backspace' && !GridAnalyzer.isLetter(this.grid[row][col])) {
+                this.moveBy(-dRow, -dCol);
+            }
+            const cell = this.activeCell;
+            if (this.grid[cell.row][cell.col] !== '#') this.grid[cell.row][cell.col] = '';
+            this.render();
+        } else if (key === ' ') {
+            event.preventDefault();
+            this.selectCell(row, col, this.direction === 'across' ? 'down' : 'across');
+        } else if (key.startsWith('Arrow')) {
+            event.preventDefault();
+            const deltas = { ArrowLeft: [0, -1], ArrowRight: [0, 1], ArrowUp: [-1, 0], ArrowDown: [1, 0] };
+            this.direction = key === 'ArrowLeft' || key === 'ArrowRight' ? 'across' : 'down';
+            this.moveBy(...deltas[key]);
+            this.refreshSelection();
+        }
+    }
+
+    /**
+     * Moves the cursor by one square, staying put at the edge of the grid.
+     */
+    moveBy(dRow, dCol) {
+        const row = this.activeCell.row + dRow;
+        const col = this.activeCell.col + dCol;
+        if (row >= 0 && col >= 0 && row < this.size && col < this.size) {
+            this.activeCell = { row, col };
+        }
+    }
+
+    showStatus(message, isError = false) {
+        const status = document.getElementById('constructor-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('constructor-error', isError);
+    }
+}
+
+// Main Application
+/**
+ * .puz (Across Lite) Format
+ * Reads and writes the binary .puz format: a 52-byte header with checksums, the
+ * solution and player grids ('.' = block, '-' = empty square), then NUL-terminated
+ * ISO-8859-1 strings for title, author, copyright, the clues in numbering order
+ * (across before down on a shared number) and notes.
+ */
+class PuzFormat {
+    static get MAGIC() {
+        return 'ACROSS&DOWN\0';
+    }
+
+    static get HEADER_SIZE() {
+        return 0x34;
+    }
+
+    /**
+     * The .puz running checksum: rotate right one bit, then add each byte.
+     * @param {Uint8Array|Array} bytes - Bytes to add
+     * @param {number} [checksum] - Checksum to continue from
+     * @returns {number} - 16-bit checksum
+     */
+    static checksum(bytes, checksum = 0) {
+        for (const byte of bytes) {
+            checksum = (checksum & 1) ? (checksum >> 1) + 0x8000 : checksum >> 1;
+            checksum = (checksum + byte) & 0xFFFF;
+        }
+        return checksum;
+    }
+
+    /**
+     * Encodes text as ISO-8859-1, swapping typographic punctuation for plain ASCII and
+     * anything else outside the character set for '?'.
+     * @param {string} text - Text to encode
+     * @returns {Array} - Bytes
+     */
+    static encodeText(text) {
+        const replacements = {
+            '\u2018': "'", '\u2019': "'", '\u201c': '"', '\u201d': '"',
+            '\u2013': '-', '\u2014': '--', '\u2026': '...'
+        };
+        const bytes = [];
+        for (const char of String(text || '')) {
+            const plain = replacements[char] || char;
+            for (const part of plain) {
+                const code = part.charCodeAt(0);
+                bytes.push(code < 256 ? code : 63);
+            }
+        }
+        return bytes;
+    }
+
+    static decodeText(bytes) {
+        return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    }
+
+    /**
+     * Lists the grid's entries with the clue each one gets. Entries that don't match a
+     * placed word (e.g. runs formed by neighbouring words) get a placeholder clue.
+     * @param {Object} crosswordData - Puzzle data ({ grid, words })
+     * @param {Object} [clueMap] - Word to clue fallback, e.g. CrosswordGenerator.clues
+     * @returns {Array} - Entries from GridAnalyzer.findEntries with a clue property
+     */
+    static getClues(crosswordData, clueMap = {}) {
+        const placed = {};
+        for (const word of crosswordData.words) {
+            placed[`${word.row},${word.col},${word.horizontal}`] = word;
+        }
+        
+        return GridAnalyzer.findEntries(crosswordData.grid, crosswordData.words).map(entry => {
+            const word = placed[`${entry.row},${entry.col},${entry.horizontal}`];
+            const clue = word && word.word === entry.answer
+                ? (word.clue || clueMap[word.word])
+                : null;
+            return { ...entry, clue: clue || `(unclued ${entry.length}-letter entry)` };
+        });
+    }
+
+    /**
+     * Serializes a puzzle to .puz bytes.
+     * @param {Object} crosswordData - Puzzle data ({ grid, words, size })
+     * @param {Object} [options] - Header fields and extras
+     * @param {string} [options.title] - Title
+     * @param {string} [options.author] - Author
+     * @param {string} [options.copyright] - Copyright
+     * @param {string} [options.notes] - Notes
+     * @param {Object} [options.clues] - Word to clue fallback
+     * @param {Array} [options.entries] - Solver's letters to store as the player grid
+     * @returns {Uint8Array} - File contents
+     */
+    static build(crosswordData, options = {}) {
+        const { grid, size } = crosswordData;
+        const clues = PuzFormat.getClues(crosswordData, options.clues);
+        
+        const solution = [];
+        const state = [];
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const cell = grid[row][col];
+                if (!GridAnalyzer.isLetter(cell)) {
+                    solution.push(46); // '.'
+                    state.push(46);
+                    continue;
+                }
+                solution.push(cell.toUpperCase().charCodeAt(0));
+                const entry = options.entries && options.entries[row] && options.entries[row][col];
+                state.push(entry ? entry.toUpperCase().charCodeAt(0) : 45); // '-'
+            }
+        }
+        
+        const title = PuzFormat.encodeText(options.title);
+        const author = PuzFormat.encodeText(options.author);
+        const copyright = PuzFormat.encodeText(options.copyright);
+        const notes = PuzFormat.encodeText(options.notes);
+        const clueBytes = clues.map(entry => PuzFormat.encodeText(entry.clue));
+        
+        const strings = [
+            ...title, 0, ...author, 0, ...copyright, 0,
+            ...clueBytes.flatMap(bytes => [...bytes, 0]),
+            ...notes, 0
+        ];
+        
+        const header = new Uint8Array(PuzFormat.HEADER_SIZE);
+        const view = new DataView(header.buffer);
+        header.set(PuzFormat.encodeText(PuzFormat.MAGIC), 0x02);
+        header.set(PuzFormat.encodeText('1.3\0'), 0x18);
+        header[0x2C] = size;
+        header[0x2D] = size;
+        view.setUint16(0x2E, clues.length, true);
+        view.setUint16(0x30, 0x0001, true);
+        view.setUint16(0x32, 0x0000, true);
+        
+        const cib = PuzFormat.checksum(header.subarray(0x2C, 0x34));
+        const textChecksum = (checksum) => {
+            if (title.length > 0) checksum = PuzFormat.checksum([...title, 0], checksum);
+            if (author.length > 0) checksum = PuzFormat.checksum([...author, 0], checksum);
+            if (copyright.length > 0) checksum = PuzFormat.checksum([...copyright, 0], checksum);
+            for (const bytes of clueBytes) checksum = PuzFormat.checksum(bytes, checksum);
+            if (notes.length > 0) checksum = PuzFormat.checksum([...notes, 0], checksum);
+            return checksum;
+        };
+        
+        let overall = PuzFormat.checksum(solution, cib);
+        overall = PuzFormat.checksum(state, overall);
+        overall = textChecksum(overall);
+        
+        const parts = [cib, PuzFormat.checksum(solution), PuzFormat.checksum(state), textChecksum(0)];
+        const mask = 'ICHEATED';
+        parts.forEach((part, i) => {
+            header[0x10 + i] = mask.charCodeAt(i) ^ (part & 0xFF);
+            header[0x14 + i] = mask.charCodeAt(i + 4) ^ (part >> 8);
+        });
+        
+        view.setUint16(0x00, overall, true);
+        view.setUint16(0x0E, cib, true);
+        
+        const file = new Uint8Array(header.length + solution.length + state.length + strings.length);
+        file.set(header, 0);
+        file.set(solution, header.length);
+        file.set(state, header.length + solution.length);
+        file.set(strings, header.length + solution.length + state.length);
+        return file;
+    }
+
+    /**
+     * Reads a .puz file. Rectangular grids are padded with blocks to a square, since
+     * the renderer draws square grids.
+     * @param {ArrayBuffer|Uint8Array} buffer - File contents
+     * @returns {Object} - { grid, words, size, title, author, copyright, notes, entries }
+     */
+    static parse(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const magic = PuzFormat.encodeText(PuzFormat.MAGIC);
+        
+        // Some files carry junk before the header; the magic string sits two bytes in
+        let base = -1;
+        for (let i = 2; i + magic.length <= bytes.length && base === -1; i++) {
+            if (magic.every((byte, j) => bytes[i + j] === byte)) base = i - 2;
+        }
+        if (base === -1 || bytes.length < base + PuzFormat.HEADER_SIZE) {
+            throw new Error('Not a .puz file (missing ACROSS&DOWN header)');
+        }
+        
+        const view = new DataView(bytes.buffer, bytes.byteOffset + base, PuzFormat.HEADER_SIZE);
+        const width = view.getUint8(0x2C);
+        const height = view.getUint8(0x2D);
+        const clueCount = view.getUint16(0x2E, true);
+        if (view.getUint16(0x32, true) !== 0) {
+            throw new Error('Scrambled .puz files are not supported - unlock the puzzle in the app that made it first');
+        }
+        
+        const cib = PuzFormat.checksum(bytes.subarray(base + 0x2C, base + 0x34));
+        if (cib !== view.getUint16(0x0E, true)) {
+            console.warn('.puz header checksum does not match; the file may be damaged');
+        }
+        
+        const cells = width * height;
+        const gridStart = base + PuzFormat.HEADER_SIZE;
+        if (bytes.length < gridStart + cells * 2) {
+            throw new Error('.puz file is truncated');
+        }
+        const solution = PuzFormat.decodeText(bytes.subarray(gridStart, gridStart + cells));
+        const state = PuzFormat.decodeText(bytes.subarray(gridStart + cells, gridStart + cells * 2));
+        
+        let offset = gridStart + cells * 2;
+        const readString = () => {
+            let end = offset;
+            while (end < bytes.length && bytes[end] !== 0) end++;
+            const text = PuzFormat.decodeText(bytes.subarray(offset, end));
+            offset = end + 1;
+            return text;
+        };
+        const title = readString();
+        const author = readString();
+        const copyright = readString();
+        const clues = [];
+        for (let i = 0; i < clueCount; i++) clues.push(readString());
+        const notes = offset < bytes.length ? readString() : '';
+        
+        const size = Math.max(width, height);
+        const grid = [];
+        const entries = [];
+        for (let row = 0; row < size; row++) {
+            grid.push([]);
+            entries.push([]);
+            for (let col = 0; col < size; col++) {
+                const inside = row < height && col < width;
+                const letter = inside ? solution[row * width + col] : '.';
+                const played = inside ? state[row * width + col] : '.';
+                grid[row].push(letter === '.' ? '#' : letter.toLowerCase());
+                entries[row].push(played === '.' || played === '-' ? '' : played.toUpperCase());
+            }
+        }
+        
+        const gridEntries = GridAnalyzer.findEntries(grid);
+        if (gridEntries.length !== clueCount) {
+            throw new Error(`.puz grid has ${gridEntries.length} entries but ${clueCount} clues`);
+        }
+        
+        const words = gridEntries.map((entry, i) => ({
+            word: entry.answer,
+            row: entry.row,
+            col: entry.col,
+            horizontal: entry.horizontal,
+            number: entry.number,
+            clue: clues[i]
+        }));
+        
+        return { grid, words, size, title, author, copyright, notes, entries };
+    }
+}
+
+/**
+ * ipuz Format
+ * Reads and writes ipuz v2 crosswords (http://ipuz.org), the open JSON puzzle format.
+ */
+class IpuzFormat {
+    static get VERSION() {
+        return 'http://ipuz.org/v2';
+    }
+
+    static get KIND() {
+        return 'http://ipuz.org/crossword#1';
+    }
+
+    /**
+     * Maps a puzzle to an ipuz document.
+     * @param {Object} crosswordData - Puzzle data ({ grid, words, size })
+     * @param {Object} [options] - { title, author, copyright, notes, clues, entries } as for PuzFormat.build
+     * @returns {Object} - ipuz document, ready for JSON.stringify
+     */
+    static build(crosswordData, options = {}) {
+        const { grid, size } = crosswordData;
+        const entries = PuzFormat.getClues(crosswordData, options.clues);
+        const numbers = GridAnalyzer.getCellNumbers(grid, crosswordData.words);
+        
+        const puzzle = [];
+        const solution = [];
+        const saved = [];
+        for (let row = 0; row < size; row++) {
+            puzzle.push([]);
+            solution.push([]);
+            saved.push([]);
+            for (let col = 0; col < size; col++) {
+                if (!GridAnalyzer.isLetter(grid[row][col])) {
+                    puzzle[row].push('#');
+                    solution[row].push('#');
+                    saved[row].push('#');
+                    continue;
+                }
+                puzzle[row].push(numbers[`${row},${col}`] || 0);
+                solution[row].push(grid[row][col].toUpperCase());
+                const entry = options.entries && options.entries[row] && options.entries[row][col];
+                saved[row].push(entry ? entry.toUpperCase() : '');
+            }
+        }
+        
+        const ipuz = {
+            version: IpuzFormat.VERSION,
+            kind: [IpuzFormat.KIND],
+            title: options.title || '',
+            author: options.author || '',
+            copyright: options.copyright || '',
+            dimensions: { width: size, height: size },
+            block: '#',
+            empty: 0,
+            puzzle,
+            solution,
+            clues: {
+                Across: entries.filter(entry => entry.horizontal).map(entry => [entry.number, entry.clue]),
+                Down: entries.filter(entry => !entry.horizontal).map(entry => [entry.number, entry.clue])
+            }
+        };
+        if (options.notes) ipuz.notes = options.notes;
+        if (options.entries) ipuz.saved = saved;
+        return ipuz;
+    }
+
+    /**
+     * Reads an ipuz crossword, padding rectangular grids with blocks to a square.
+     * Clues are matched to entries through the numbers in the puzzle grid.
+     * @param {string|Object} input - File text (JSON, optionally wrapped as ipuz(...)) or a parsed document
+     * @returns {Object} - { grid, words, size, title, author, copyright, notes, entries }
+     */
+    static parse(input) {
+        let data = input;
+        if (typeof input === 'string') {
+            const text = input.trim().replace(/^ipuz\(([\s\S]*)\)\s*;?$/, '$1');
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Not a valid ipuz file: ${error.message}`);
+            }
+        }
+        
+        const kinds = [].concat(data && data.kind || []);
+        if (!kinds.some(kind => String(kind).startsWith('http://ipuz.org/crossword'))) {
+            throw new Error('Not an ipuz crossword (kind must be http://ipuz.org/crossword)');
+        }
+        if (!Array.isArray(data.solution)) {
+            throw new Error('This ipuz file has no solution, so it cannot be checked or solved here');
+        }
+        
+        const width = data.dimensions && data.dimensions.width || Math.max(...data.solution.map(row => row.length));
+        const height = data.dimensions && data.dimensions.height || data.solution.length;
+        const block = data.block || '#';
+        const size = Math.max(width, height);
+        
+        const valueOf = (cell) => cell && typeof cell === 'object' ? cell.value ?? cell.cell : cell;
+        
+        const grid = [];
+        const entries = [];
+        const cellNumbers = {};
+        for (let row = 0; row < size; row++) {
+            grid.push([]);
+            entries.push([]);
+            for (let col = 0; col < size; col++) {
+                const inside = row < height && col < width;
+                const answer = inside ? valueOf(data.solution[row] && data.solution[row][col]) : null;
+                const shape = inside ? valueOf(data.puzzle && data.puzzle[row] && data.puzzle[row][col]) : null;
+                const isBlock = answer === null || answer === undefined || answer === block || shape === block || shape === null;
+                
+                if (isBlock) {
+                    grid[row].push('#');
+                    entries[row].push('');
+                    continue;
+                }
+                
+                const letter = String(answer);
+                if (letter.length !== 1) {
+                    throw new Error(`Square ${row + 1},${col + 1} holds "${letter}"; rebus squares are not supported`);
+                }
+                grid[row].push(letter.toLowerCase());
+                
+                const savedValue = valueOf(data.saved && data.saved[row] && data.saved[row][col]);
+                entries[row].push(typeof savedValue === 'string' && savedValue.length === 1 && savedValue !== block
+                    ? savedValue.toUpperCase() : '');
+                
+                if (shape !== 0 && shape !== '0' && shape !== '' && shape !== undefined && !isNaN(Number(shape))) {
+                    cellNumbers[Number(shape)] = `${row},${col}`;
+                }
+            }
+        }
+        
+        // Clues come as [number, text], { number, clue } or "text" (listed in numbering order)
+        const clues = { across: {}, down: {} };
+        for (const [key, list] of Object.entries(data.clues || {})) {
+            const direction = key.split(':')[0].trim().toLowerCase();
+            if (!clues[direction] || !Array.isArray(list)) continue;
+            list.forEach((item, index) => {
+                let number = index + 1;
+                let text = item;
+                if (Array.isArray(item)) {
+                    [number, text] = item;
+                } else if (item && typeof item === 'object') {
+                    number = item.number;
+                    text = item.clue;
+                }
+                clues[direction][String(number)] = String(text ?? '');
+            });
+        }
+        
+        const words = GridAnalyzer.findEntries(grid).map(entry => {
+            const fileNumber = Object.keys(cellNumbers).find(number => cellNumbers[number] === `${entry.row},${entry.col}`);
+            const number = fileNumber !== undefined ? Number(fileNumber) : entry.number;
+            const clue = clues[entry.horizontal ? 'across' : 'down'][String(number)];
+            return {
+                word: entry.answer,
+                row: entry.row,
+                col: entry.col,
+                horizontal: entry.horizontal,
+                number,
+                clue: clue || `(unclued ${entry.length}-letter entry)`
+            };
+        });
+        
+        const plain = (value) => typeof value === 'string' ? value.replace(/<[^>]+>/g, '') : '';
+        return {
+            grid,
+            words,
+            size,
+            title: plain(data.title),
+            author: plain(data.author),
+            copyright: plain(data.copyright),
+            notes: plain(data.notes),
+            entries
+        };
+    }
+}
+
+/**
+ * Print Layout
+ * Builds paper handouts in #print-area: each puzzle page has a header, the empty
+ * numbered grid and two-column clues; answer keys follow on their own pages.
+ */
+class PrintLayout {
+    /**
+     * Replaces the print area's contents with pages for the given puzzles.
+     * @param {HTMLElement} container - The #print-area element
+     * @param {Array} items - [{ puzzle, clues, title, subtitle }] where clues is a word to clue fallback
+     * @param {Object} [options] - { answerKey: include answer pages (default true) }
+     */
+    static render(container, items, options = {}) {
+        container.innerHTML = '';
+        for (const item of items) {
+            container.appendChild(PrintLayout.createPuzzlePage(item));
+        }
+        if (options.answerKey !== false) {
+            for (const item of items) {
+                container.appendChild(PrintLayout.createAnswerPage(item));
+            }
+        }
+    }
+
+    static createPuzzlePage(item) {
+        const page = PrintLayout.createPage(item.title, item.subtitle);
+        page.appendChild(PrintLayout.createGrid(item.puzzle, false));
+        
+        const entries = PuzFormat.getClues(item.puzzle, item.clues);
+        const clues = document.createElement('div');
+        clues.className = 'print-clues';
+        clues.appendChild(PrintLayout.createClueList('Across', entries.filter(entry => entry.horizontal)));
+        clues.appendChild(PrintLayout.createClueList('Down', entries.filter(entry => !entry.horizontal)));
+        page.appendChild(clues);
+        return page;
+    }
+
+    static createAnswerPage(item) {
+        const page = PrintLayout.createPage(`Answer Key \u2014 ${item.title}`, item.subtitle);
+        page.classList.add('print-answer-key');
+        page.appendChild(PrintLayout.createGrid(item.puzzle, true));
+        return page;
+    }
+
+    static createPage(title, subtitle) {
+        const page = document.createElement('section');
+        page.className = 'print-page';
+        
+        const header = document.createElement('header');
+        header.className = 'print-header';
+        const heading = document.createElement('h1');
+        heading.textContent = title;
+        const details = document.createElement('p');
+        details.textContent = subtitle;
+        header.appendChild(heading);
+        header.appendChild(details);
+        page.appendChild(header);
+        return page;
+    }
+
+    /**
+     * Draws the grid. Puzzle pages show numbers and any given letters; the answer key
+     * shows every letter.
+     * @param {Object} puzzle - Puzzle data ({ grid, size, givens })
+     * @param {boolean} showAnswers - True for the answer key
+     * @returns {HTMLElement} - Grid element
+     */
+    static createGrid(puzzle, showAnswers) {
+        const { grid, size } = puzzle;
+        const numbers = GridAnalyzer.getCellNumbers(grid, puzzle.words);
+        const givens = new Set((puzzle.givens || []).map(([row, col]) => `${row},${col}`));
+        
+        // Fit the grid to roughly 6.5in of printable width
+        const cellSize = Math.min(36, Math.floor(620 / size));
+        const element = document.createElement('div');
+        element.className = 'print-grid';
+        element.style.gridTemplateColumns = `repeat(${size}, ${cellSize}px)`;
+        element.style.gridTemplateRows = `repeat(${size}, ${cellSize}px)`;
+        element.style.fontSize = `${Math.round(cellSize * 0.55)}px`;
+        
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const cell = document.createElement('div');
+                const key = `${row},${col}`;
+                if (!GridAnalyzer.isLetter(grid[row][col])) {
+                    cell.className = 'print-cell block';
+                } else {
+                    cell.className = 'print-cell';
+                    if (numbers[key]) {
+                        const number = document.createElement('span');
+                        number.className = 'print-number';
+                        number.textContent = numbers[key];
+                        cell.appendChild(number);
+                    }
+                    if (showAnswers || givens.has(key)) {
+                        const letter = document.createElement('span');
+                        letter.className = showAnswers ? 'print-letter' : 'print-letter given';
+                        letter.textContent = grid[row][col].toUpperCase();
+                        cell.appendChild(letter);
+                    }
+                }
+                element.appendChild(cell);
+            }
+        }
+        return element;
+    }
+
+    static createClueList(title, entries) {
+        const section = document.createElement('div');
+        section.className = 'print-clue-list';
+        const heading = document.createElement('h2');
+        heading.textContent = title;
+        section.appendChild(heading);
+        
+        for (const entry of entries) {
+            const clue = document.createElement('p');
+            const number = document.createElement('strong');
+            number.textContent = `${entry.number} `;
+            clue.appendChild(number);
+            clue.appendChild(document.createTextNode(entry.clue));
+            section.appendChild(clue);
+        }
+        return section;
+    }
+}
+
+/**
+ * PDF Document
+ * A small PDF 1.4 writer for vector handouts: Letter-size pages of rectangles and
+ * text in the built-in Helvetica fonts (WinAnsi encoding), so nothing needs to be
+ * embedded. Coordinates are in points from the top-left corner of the page.
+ */
+class PdfDocument {
+    constructor(width = 612, height = 792) {
+        this.width = width;
+        this.height = height;
+        this.pages = [];
+        this.content = null;
+    }
+
+    /**
+     * Helvetica glyph widths (1/1000 em) for character codes 32-126, from the
+     * standard font metrics. Other characters are measured as 556.
+     */
+    static get HELVETICA_WIDTHS() {
+        return [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ];
+    }
+
+    /**
+     * Measures text set in Helvetica.
+     * @param {string} text - Text to measure
+     * @param {number} size - Font size in points
+     * @returns {number} - Width in points
+     */
+    static textWidth(text, size) {
+        const widths = PdfDocument.HELVETICA_WIDTHS;
+        let total = 0;
+        for (const code of PuzFormat.encodeText(text)) {
+            total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return total * size / 1000;
+    }
+
+    /**
+     * Breaks text into lines that fit a width, splitting on spaces (and inside words
+     * only when a single word is too long for the line).
+     * @param {string} text - Text to wrap
+     * @param {number} size - Font size in points
+     * @param {number} maxWidth - Line width in points
+     * @returns {Array} - Lines
+     */
+    static wrapText(text, size, maxWidth) {
+        const lines = [];
+        let line = '';
+        for (let word of String(text).split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (PdfDocument.textWidth(candidate, size) <= maxWidth) {
+                line = candidate;
+                continue;
+            }
+            if (line) lines.push(line);
+            while (PdfDocument.textWidth(word, size) > maxWidth && word.length > 1) {
+                let cut = word.length - 1;
+                while (cut > 1 && PdfDocument.textWidth(word.slice(0, cut), size) > maxWidth) cut--;
+                lines.push(word.slice(0, cut));
+                word = word.slice(cut);
+            }
+            line = word;
+        }
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    static escapeText(text) {
+        return PuzFormat.encodeText(text).map(code => {
+            if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+            return String.fromCharCode(code);
+        }).join('');
+    }
+
+    static formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    addPage() {
+        this.content = [];
+        this.pages.push(this.content);
+    }
+
+    /**
+     * Draws a rectangle.
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {Object} [options] - { fill: gray level 0-1, stroke: gray level 0-1, lineWidth }
+     */
+    rect(x, y, width, height, options = {}) {
+        const n = PdfDocument.formatNumber;
+        const path = `${n(x)} ${n(this.height - y - height)} ${n(width)} ${n(height)} re`;
+        if (options.fill !== undefined) {
+            this.content.push(`${n(options.fill)} g ${path} f`);
+        }
+        if (options.stroke !== undefined) {
+            this.content.push(`${n(options.lineWidth || 1)} w ${n(options.stroke)} G ${path} S`);
+        }
+    }
+
+    /**
+     * Draws a line of text.
+     * @param {number} x - Left edge (or centre/right edge, see options.align)
+     * @param {number} y - Baseline
+     * @param {string} text - Text
+     * @param {Object} [options] - { size, bold, gray: 0-1, align: 'left'|'center'|'right' }
+     */
+    text(x, y, text, options = {}) {
+        const n = PdfDocument.formatNumber;
+        const size = options.size || 10;
+        const width = PdfDocument.textWidth(text, size);
+        if (options.align === 'center') x -= width / 2;
+        if (options.align === 'right') x -= width;
+        const font = options.bold ? 'F2' : 'F1';
+        this.content.push(`BT /${font} ${n(size)} Tf ${n(options.gray || 0)} g ${n(x)} ${n(this.height - y)} Td (${PdfDocument.escapeText(text)}) Tj ET`);
+    }
+
+    /**
+     * Serializes the document.
+     * @returns {Uint8Array} - PDF file contents
+     */
+    build() {
+        // Objects 1-4 are the catalog, page tree and fonts; each page adds a page and a content stream
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${this.pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${this.pages.length} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+        ];
+        this.pages.forEach((content, i) => {
+            const stream = content.join('\n');
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`);
+            objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        });
+
+        // Every character is a single byte, so string offsets are byte offsets
+        let output = '%PDF-1.4\n%\u00e2\u00e3\u00cf\u00d3\n';
+        const offsets = [];
+        objects.forEach((object, i) => {
+            offsets.push(output.length);
+            output += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        });
+        const xref = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Uint8Array.from(output, char => char.charCodeAt(0));
+    }
+}
+
+/**
+ * PDF Format
+ * Lays out a puzzle as a PDF handout: a header, the numbered grid and the clues in
+ * two columns that continue onto further pages, plus an optional answer key page.
+ */
+class PdfFormat {
+    static get MARGIN() {
+        return 54;
+    }
+
+    /**
+     * Builds the PDF for a puzzle.
+     * @param {Object} crosswordData - Puzzle data ({ grid, words, size, givens })
+     * @param {Object} [options] - Content
+     * @param {string} [options.title] - Title
+     * @param {string} [options.subtitle] - Line under the title, e.g. the date and seed
+     * @param {Object} [options.clues] - Word to clue fallback
+     * @param {boolean} [options.showSolution] - Add an answer key page
+     * @returns {Uint8Array} - File contents
+     */
+    static build(crosswordData, options = {}) {
+        const pdf = new PdfDocument();
+        const margin = PdfFormat.MARGIN;
+        const title = options.title || 'Crossword';
+        const subtitle = options.subtitle || '';
+
+        pdf.addPage();
+        let y = PdfFormat.drawHeader(pdf, title, subtitle);
+        const cellSize = Math.min(24, Math.floor(400 / crosswordData.size));
+        y = PdfFormat.drawGrid(pdf, crosswordData, y + 12, cellSize, false);
+
+        const entries = PuzFormat.getClues(crosswordData, options.clues);
+        PdfFormat.drawClues(pdf, entries, y + 24);
+
+        if (options.showSolution) {
+            pdf.addPage();
+            const top = PdfFormat.drawHeader(pdf, `Answer Key - ${title}`, subtitle);
+            PdfFormat.drawGrid(pdf, crosswordData, top + 12, Math.min(30, Math.floor((pdf.width - margin * 2) / crosswordData.size)), true);
+        }
+
+        return pdf.build();
+    }
+
+    static drawHeader(pdf, title, subtitle) {
+        const margin = PdfFormat.MARGIN;
+        pdf.text(margin, margin + 16, title, { size: 18, bold: true });
+        pdf.text(margin, margin + 32, subtitle, { size: 10, gray: 0.3 });
+        pdf.rect(margin, margin + 40, pdf.width - margin * 2, 1, { fill: 0 });
+        return margin + 41;
+    }
+
+    /**
+     * Draws the grid centred on the page.
+     * @returns {number} - Bottom edge of the grid
+     */
+    static drawGrid(pdf, crosswordData, top, cellSize, showSolution) {
+        const { grid, size } = crosswordData;
+        const left = (pdf.width - size * cellSize) / 2;
+        const numbers = GridAnalyzer.getCellNumbers(grid, crosswordData.words);
+        const givens = new Set((crosswordData.givens || []).map(([row, col]) => `${row},${col}`));
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const x = left + col * cellSize;
+                const y = top + row * cellSize;
+                const key = `${row},${col}`;
+                if (!GridAnalyzer.isLetter(grid[row][col])) {
+                    pdf.rect(x, y, cellSize, cellSize, { fill: 0 });
+                    continue;
+                }
+                pdf.rect(x, y, cellSize, cellSize, { stroke: 0, lineWidth: 0.5 });
+                if (numbers[key]) {
+                    pdf.text(x + 1.5, y + cellSize * 0.3, String(numbers[key]), { size: cellSize * 0.28 });
+                }
+                if (showSolution || givens.has(key)) {
+                    pdf.text(x + cellSize / 2, y + cellSize * 0.82, grid[row][col].toUpperCase(), {
+                        size: cellSize * 0.6,
+                        gray: showSolution ? 0 : 0.4,
+                        align: 'center'
+                    });
+                }
+            }
+        }
+        pdf.rect(left, top, size * cellSize, size * cellSize, { stroke: 0, lineWidth: 1.5 });
+        return top + size * cellSize;
+    }
+
+    /**
+     * Flows the Across and Down lists through two columns, starting under the grid
+     * and adding pages as needed.
+     */
+    static drawClues(pdf, entries, top) {
+        const margin = PdfFormat.MARGIN;
+        const gap = 24;
+        const columnWidth = (pdf.width - margin * 2 - gap) / 2;
+        const bottom = pdf.height - margin;
+        const size = 9;
+        const lineHeight = 11;
+        const numberWidth = 18;
+        const cursor = { column: 0, top, y: top };
+
+        const ensureSpace = (height) => {
+            if (cursor.y + height <= bottom) return;
+            if (cursor.column === 0) {
+                cursor.column = 1;
+            } else {
+                pdf.addPage();
+                cursor.column = 0;
+                cursor.top = margin;
+            }
+            cursor.y = cursor.top;
+        };
+
+        for (const [heading, horizontal] of [['ACROSS', true], ['DOWN', false]]) {
+            const list = entries.filter(entry => entry.horizontal === horizontal).map(entry => ({
+                number: String(entry.number),
+                lines: PdfDocument.wrapText(entry.clue, size, columnWidth - numberWidth)
+            }));
+            if (list.length === 0) continue;
+
+            // Keep the heading with its first clue
+            ensureSpace(lineHeight + 8 + list[0].lines.length * lineHeight);
+            if (cursor.y > cursor.top) cursor.y += 8;
+            cursor.y += lineHeight + 2;
+            const x = margin + cursor.column * (columnWidth + gap);
+            pdf.text(x, cursor.y, heading, { size: 11, bold: true });
+            cursor.y += 4;
+
+            for (const clue of list) {
+                ensureSpace(clue.lines.length * lineHeight);
+                const left = margin + cursor.column * (columnWidth + gap);
+                clue.lines.forEach((line, i) => {
+                    cursor.y += lineHeight;
+                    if (i === 0) pdf.text(left + numberWidth - 4, cursor.y, clue.number, { size, bold: true, align: 'right' });
+                    pdf.text(left + numberWidth, cursor.y, line, { size });
+                });
+            }
+        }
+    }
+}
+
+/**
+ * Puzzle Store
+ * Keeps puzzles and their solving progress in localStorage so a reload or a new puzzle
+ * doesn't lose work. Records are { id, seed, dailyDate, difficulty, configKey, puzzle,
+ * clues, state, solved, createdAt, updatedAt }, newest first.
+ */
+class PuzzleStore {
+    /**
+     * @param {Storage|null} [storage] - Defaults to window.localStorage when available
+     * @param {number} [limit] - Most puzzles to keep
+     */
+    constructor(storage = PuzzleStore.getDefaultStorage(), limit = 20) {
+        this.storage = storage;
+        this.limit = limit;
+    }
+
+    static get PUZZLES_KEY() {
+        return 'crossword.puzzles';
+    }
+
+    static get CURRENT_KEY() {
+        return 'crossword.currentPuzzle';
+    }
+
+    static getDefaultStorage() {
+        // Accessing localStorage throws when storage is blocked (e.g. some private modes)
+        try {
+            return window.localStorage || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    list() {
+        if (!this.storage) return [];
+        try {
+            const records = JSON.parse(this.storage.getItem(PuzzleStore.PUZZLES_KEY) || '[]');
+            return Array.isArray(records) ? records : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable saved puzzles:', error);
+            return [];
+        }
+    }
+
+    get(id) {
+        return this.list().find(record => record.id === id) || null;
+    }
+
+    /**
+     * Finds the most recent saved puzzle with a seed, daily date and configuration.
+     * @param {number} seed - Normalized seed
+     * @param {string|null} dailyDate - Date key for daily puzzles
+     * @param {string} configKey - CrosswordGenerator.getPuzzleKey() at the time
+     * @returns {Object|null} - Matching record
+     */
+    find(seed, dailyDate, configKey) {
+        return this.list().find(record =>
+            record.seed === seed &&
+            (record.dailyDate || null) === (dailyDate || null) &&
+            record.configKey === configKey
+        ) || null;
+    }
+
+    /**
+     * Inserts or updates a record and moves it to the front of the history.
+     * @param {Object} record - Record to save; an id is assigned if missing
+     * @returns {Object} - The saved record
+     */
+    save(record) {
+        const now = new Date().toISOString();
+        const saved = {
+            ...record,
+            id: record.id || `${Date.now().toString(36)}-${record.seed}`,
+            createdAt: record.createdAt || now,
+            updatedAt: now
+        };
+        const records = [saved, ...this.list().filter(item => item.id !== saved.id)].slice(0, this.limit);
+        this.write(records);
+        return saved;
+    }
+
+    remove(id) {
+        this.write(this.list().filter(record => record.id !== id));
+        if (this.getCurrentId() === id && this.storage) {
+            this.storage.removeItem(PuzzleStore.CURRENT_KEY);
+        }
+    }
+
+    getCurrentId() {
+        return this.storage ? this.storage.getItem(PuzzleStore.CURRENT_KEY) : null;
+    }
+
+    setCurrentId(id) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(PuzzleStore.CURRENT_KEY, id);
+        } catch (error) {
+            console.warn('Could not save current puzzle:', error);
+        }
+    }
+
+    write(records) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(PuzzleStore.PUZZLES_KEY, JSON.stringify(records));
+        } catch (error) {
+            // Quota exceeded: drop the oldest half and try once more
+            console.warn('Saved puzzles are too large, dropping older ones:', error);
+            try {
+                this.storage.setItem(PuzzleStore.PUZZLES_KEY, JSON.stringify(records.slice(0, Math.ceil(records.length / 2))));
+            } catch (retryError) {
+                console.error('Could not save puzzle progress:', retryError);
+            }
+        }
+    }
+}
+
+/**
+ * Solve Timer
+ * Counts solving time across pauses. Display updates go through onTick once a second.
+ */
+class SolveTimer {
+    /**
+     * @param {Function} [onTick] - Called with the elapsed milliseconds whenever the display should update
+     */
+    constructor(onTick = null) {
+        this.onTick = onTick;
+        this.elapsed = 0;
+        this.startedAt = null;
+        this.interval = null;
+        this.stopped = false;
+    }
+
+    get isRunning() {
+        return this.startedAt !== null;
+    }
+
+    start() {
+        if (this.isRunning || this.stopped) return;
+        this.startedAt = Date.now();
+        this.interval = setInterval(() => this.tick(), 1000);
+        this.tick();
+    }
+
+    pause() {
+        if (!this.isRunning) return;
+        this.elapsed += Date.now() - this.startedAt;
+        this.startedAt = null;
+        clearInterval(this.interval);
+        this.interval = null;
+        this.tick();
+    }
+
+    /**
+     * Stops for good; start() does nothing until the next reset().
+     */
+    stop() {
+        this.pause();
+        this.stopped = true;
+    }
+
+    /**
+     * Stops the clock and sets it to a saved time, e.g. when switching puzzles.
+     * @param {number} [elapsed] - Milliseconds already spent
+     * @param {boolean} [stopped] - True for a finished puzzle
+     */
+    reset(elapsed = 0, stopped = false) {
+        this.pause();
+        this.elapsed = elapsed;
+        this.stopped = stopped;
+        this.tick();
+    }
+
+    getElapsed() {
+        return this.elapsed + (this.isRunning ? Date.now() - this.startedAt : 0);
+    }
+
+    tick() {
+        if (typeof this.onTick === 'function') {
+            this.onTick(this.getElapsed());
+        }
+    }
+
+    /**
+     * Formats milliseconds as m:ss, or h:mm:ss past an hour.
+     * @param {number} ms - Duration
+     * @returns {string} - Formatted time
+     */
+    static format(ms) {
+        const totalSeconds = Math.floor(Math.max(0, ms) / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor(totalSeconds / 60) % 60;
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+}
+
+/**
+ * Stats Store
+ * Completion records kept in localStorage, one per finished puzzle:
+ * { id, seed, dailyDate, time, checks, reveals, difficulty, size, completedAt }.
+ */
+class StatsStore {
+    /**
+     * @param {Storage|null} [storage] - Defaults to window.localStorage when available
+     */
+    constructor(storage = PuzzleStore.getDefaultStorage()) {
+        this.storage = storage;
+    }
+
+    static get STATS_KEY() {
+        return 'crossword.stats';
+    }
+
+    list() {
+        if (!this.storage) return [];
+        try {
+            const records = JSON.parse(this.storage.getItem(StatsStore.STATS_KEY) || '[]');
+            return Array.isArray(records) ? records : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable stats:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Records a completion. A puzzle only counts the first time it is finished.
+     * @param {Object} record - Completion record
+     * @returns {boolean} - True if the record was added
+     */
+    add(record) {
+        const records = this.list();
+        if (records.some(item => item.id === record.id)) return false;
+        records.push({ ...record, completedAt: record.completedAt || new Date().toISOString() });
+        if (!this.storage) return true;
+        try {
+            this.storage.setItem(StatsStore.STATS_KEY, JSON.stringify(records));
+        } catch (error) {
+            console.error('Could not save stats:', error);
+        }
+        return true;
+    }
+
+    /**
+     * Counts consecutive solved daily puzzles. The current streak may end yesterday,
+     * since today's puzzle can still be solved.
+     * @param {string} [today] - Date key to count back from
+     * @returns {Object} - { current, longest }
+     */
+    getDailyStreaks(today = DailyPuzzle.todayKey()) {
+        // A stored date that doesn't parse can't be part of a streak
+        const days = [...new Set(this.list().map(record => record.dailyDate).filter(day => DailyPuzzle.fromKey(day)))].sort();
+        const solved = new Set(days);
+        
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        for (const day of days) {
+            run = previous && DailyPuzzle.shiftKey(previous, 1) === day ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = day;
+        }
+        
+        let current = 0;
+        let day = solved.has(today) ? today : DailyPuzzle.shiftKey(today, -1);
+        while (solved.has(day)) {
+            current++;
+            day = DailyPuzzle.shiftKey(day, -1);
+        }
+        
+        return { current, longest };
+    }
+
+    /**
+     * Summarizes completions per grid size. Personal bests only count puzzles
+     * finished without reveals.
+     * @returns {Array} - [{ size, solved, averageTime, bestTime, checks, reveals }] by size
+     */
+    getSizeSummaries() {
+        const bySize = {};
+        for (const record of this.list()) {
+            if (!bySize[record.size]) bySize[record.size] = [];
+            bySize[record.size].push(record);
+        }
+        
+        return Object.keys(bySize).map(Number).sort((a, b) => a - b).map(size => {
+            const records = bySize[size];
+            const clean = records.filter(record => record.reveals === 0);
+            return {
+                size,
+                solved: records.length,
+                averageTime: records.reduce((sum, record) => sum + record.time, 0) / records.length,
+                bestTime: clean.length > 0 ? Math.min(...clean.map(record => record.time)) : null,
+                checks: records.reduce((sum, record) => sum + record.checks, 0),
+                reveals: records.reduce((sum, record) => sum + record.reveals, 0)
+            };
+        });
+    }
+}
+
+/**
+ * Clue Store
+ * Rewritten clues the organizer chose to keep for future puzzles, saved in localStorage
+ * as { word: [clue text] } and added to the word lists as extra clue variants.
+ */
+class ClueStore {
+    /**
+     * @param {Storage|null} [storage] - Defaults to window.localStorage when available
+     */
+    constructor(storage = PuzzleStore.getDefaultStorage()) {
+        this.storage = storage;
+    }
+
+    static get CLUES_KEY() {
+        return 'crossword.clueVariants';
+    }
+
+    getAll() {
+        if (!this.storage) return {};
+        try {
+            const variants = JSON.parse(this.storage.getItem(ClueStore.CLUES_KEY) || '{}');
+            return variants && typeof variants === 'object' && !Array.isArray(variants) ? variants : {};
+        } catch (error) {
+            console.warn('Ignoring unreadable clue variants:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Keeps a clue for a word unless it is already kept.
+     * @param {string} word - Answer the clue is for
+     * @param {string} text - Clue text
+     * @returns {Object} - All kept variants
+     */
+    add(word, text) {
+        const variants = this.getAll();
+        const texts = variants[word] || [];
+        if (!texts.includes(text)) {
+            variants[word] = [...texts, text];
+        }
+        if (!this.storage) return variants;
+        try {
+            this.storage.setItem(ClueStore.CLUES_KEY, JSON.stringify(variants));
+        } catch (error) {
+            console.error('Could not save clue variant:', error);
+        }
+        return variants;
+    }
+}
+
+class CrosswordApp {
+    constructor() {
+        this.config = null;
+        this.generator = null;
+        this.renderer = null;
+        this.store = new PuzzleStore();
+        this.stats = new StatsStore();
+        this.clueStore = new ClueStore();
+        this.timer = new SolveTimer((elapsed) => this.updateTimerDisplay(elapsed));
+        this.pausedWhileHidden = false;
+        this.currentPuzzle = null;
+        this.currentPuzzleId = null;
+        this.worker = null;
+        this.workerUnavailable = false;
+        this.workerRequests = new Map(); // requestId -> { seed, resolve, reject, onProgress }
+        this.nextRequestId = 0;
+        this.generationId = 0;
+        this.constructorView = null;
+        this.isInitialized = false;
+    }
+
+    static get WORKER_PATH() {
+        return 'scripts/crossword-worker.js';
+    }
+
+    /**
+     * Rejection value for generation requests stopped with Cancel.
+     */
+    static get CANCELLED() {
+        return 'generation-cancelled';
+    }
+
+    async initialize() {
+        try {
+           console.log('Starting crossword app initialization...');
+            
+            this.config = new CrosswordConfig();
+            console.log('Configuration manager created');
+            
+            await this.config.loadConfig();
+            console.log('Configuration loaded');
+            
+            this.generator = new CrosswordGenerator(this.config);
+            this.generator.savedClueVariants = this.clueStore.getAll();
+            await this.generator.loadCatalog();
+            this.renderWordListPanel();
+            console.log('Crossword generator created');
+            
+            this.renderer = new CrosswordRenderer(this.config);
+            this.renderer.onChange = () => this.handlePuzzleChange();
+            this.renderer.onSolved = () => this.handleSolved();
+            this.renderer.onClueEdit = (word, options) => this.handleClueEdit(word, options);
+            document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+            window.addEventListener('pagehide', () => this.saveProgress());
+            window.addEventListener('beforeprint', () => this.handleBeforePrint());
+            window.addEventListener('afterprint', () => this.handleAfterPrint());
+            this.renderStats();
+            console.log('Crossword renderer created');
+            
+            this.isInitialized = true;
+            console.log('Crossword app initialized successfully');
+            
+            // A shared link (?seed=48213 or ?date=2026-10-19) reproduces that exact puzzle,
+            // resuming any progress saved for it. Otherwise daily mode always opens today's
+            // shared puzzle (with any saved progress), and random mode picks up the last puzzle
+            const params = new URLSearchParams(window.location.search);
+            const seed = this.getSeedFromUrl();
+            const current = this.store.get(this.store.getCurrentId());
+            const today = DailyPuzzle.todayKey();
+            if (DailyPuzzle.fromKey(params.get('date'))) {
+                await this.loadDailyPuzzle(params.get('date'));
+            } else if (seed) {
+                await this.openPuzzle({ seed });
+            } else if (this.config.get('grid.type') === 'daily') {
+                if (current && current.dailyDate === today) {
+                    this.resumePuzzle(current);
+                } else {
+                    await this.loadDailyPuzzle(today);
+                }
+            } else if (current) {
+                this.resumePuzzle(current);
+            } else {
+                await this.generateCrossword();
+            }
+            
+        } catch (error) {
+            console.error('Failed to initialize crossword app:', error);
+            console.error('Error stack:', error.stack);
+            this.showError(`Failed to initialize application: ${error.message}`);
+        }
+    }
+
+    /**
+     * Generates and renders a puzzle.
+     * @param {Object} [options] - Generation options
+     * @param {number|string} [options.seed] - Seed to reproduce; omitted uses the configured seed or keeps the best of several candidates
+     * @param {string} [options.dailyDate] - Date key when this is a daily puzzle
+     */
+    async generateCrossword(options = {}) {
+        if (!this.isInitialized) {
+            console.error('App not initialized');
+            return;
+        }
+
+        // Only the latest request's puzzle is shown; earlier ones that finish later are dropped
+        const generationId = ++this.generationId;
+        
+        try {
+            console.log('Starting crossword generation...');
+            this.saveProgress();
+            this.renderer.showLoading(() => this.cancelGeneration());
+            
+            const result = await this.requestPuzzle(options.seed, progress => {
+                if (generationId === this.generationId) this.showGenerationProgress(progress);
+            });
+            if (generationId !== this.generationId) {
+                console.log(`Ignoring stale puzzle #${result.puzzle.seed} from an earlier request`);
+                return;
+            }
+            const crosswordData = result.puzzle;
+            console.log('Crossword generated:', crosswordData);
+            
+            this.renderer.setClues(result.clues);
+            this.renderer.renderCrossword(crosswordData);
+            console.log('Crossword rendered');
+            this.showWordListReports(result.wordListReports);
+            
+            this.currentPuzzle = crosswordData;
+            this.currentSeed = crosswordData.seed;
+            this.dailyDate = options.dailyDate || null;
+            this.updateSeedInUrl(crosswordData.seed);
+            this.updatePuzzleInfo(crosswordData);
+            
+            const record = this.store.save({
+                seed: crosswordData.seed,
+                dailyDate: this.dailyDate,
+                difficulty: crosswordData.difficulty,
+                configKey: result.puzzleKey,
+                puzzle: crosswordData,
+                clues: result.clues,
+                state: this.renderer.getSolveState(),
+                solved: false
+            });
+            this.currentPuzzleId = record.id;
+            this.store.setCurrentId(record.id);
+            this.timer.reset();
+            this.renderHistory();
+            
+            this.renderer.hideLoading();
+            
+        } catch (error) {
+            if (error === CrosswordApp.CANCELLED || generationId !== this.generationId) {
+                console.log('Crossword generation cancelled or superseded');
+                return;
+            }
+            console.error('Failed to generate crossword:', error);
+            console.error('Error stack:', error.stack);
+            this.renderer.hideLoading();
+            this.showError(`Failed to generate crossword: ${error.message}`);
+        }
+    }
+
+    /**
+     * Generates a puzzle in the Web Worker (see WORKER_PATH) so the page stays responsive,
+     * or on the main thread where workers aren't available (e.g. pages opened from file://).
+     * @param {number|string} [seed] - Seed; omitted uses the configured seed or keeps the best of several candidates
+     * @param {Function} [onProgress] - Called with progress events from CrosswordGenerator.reportProgress
+     * @returns {Promise<Object>} - { puzzle, clues, wordListReports, puzzleKey }; rejects with
+     *     CrosswordApp.CANCELLED when cancelled
+     */
+    requestPuzzle(seed, onProgress = null) {
+        const worker = this.getWorker();
+        if (!worker) {
+            return this.generateOnMainThread(seed, onProgress);
+        }
+        
+        const requestId = ++this.nextRequestId;
+        return new Promise((resolve, reject) => {
+            this.workerRequests.set(requestId, { seed, resolve, reject, onProgress });
+            worker.postMessage({
+                type: 'generate',
+                requestId,
+                seed,
+                config: this.config.config,
+                catalog: this.generator.catalog,
+                customWordList: this.generator.customWordList,
+                clueVariants: this.generator.savedClueVariants,
+                baseUrl: document.baseURI
+            });
+        });
+    }
+
+    async generateOnMainThread(seed, onProgress) {
+        this.generator.onProgress = onProgress;
+        try {
+            const puzzle = await this.generator.generateCrossword({ seed });
+            return this.generator.getGenerationResult(puzzle);
+        } finally {
+            this.generator.onProgress = null;
+        }
+    }
+
+    getWorker() {
+        if (this.worker || this.workerUnavailable) return this.worker;
+        
+        try {
+            this.worker = new Worker(CrosswordApp.WORKER_PATH);
+        } catch (error) {
+            console.warn('Generation worker unavailable, generating on the main thread:', error);
+            this.workerUnavailable = true;
+            return null;
+        }
+        this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+        this.worker.onerror = (event) => this.handleWorkerFailure(event);
+        return this.worker;
+    }
+
+    handleWorkerMessage(message) {
+        const request = this.workerRequests.get(message.requestId);
+        // Requests that were cancelled have no entry any more
+        if (!request) return;
+        
+        if (message.type === 'progress') {
+            if (request.onProgress) request.onProgress(message);
+        } else if (message.type === 'result') {
+            this.workerRequests.delete(message.requestId);
+            request.resolve(message);
+        } else if (message.type === 'error') {
+            this.workerRequests.delete(message.requestId);
+            request.reject(new Error(message.message));
+        }
+    }
+
+    /**
+     * The worker script failed to load or crashed: stop using it and finish any waiting
+     * requests on the main thread.
+     * @param {ErrorEvent} event - Worker error event
+     */
+    handleWorkerFailure(event) {
+        console.warn('Generation worker failed, generating on the main thread:', event.message || event);
+        if (event.preventDefault) event.preventDefault();
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.workerUnavailable = true;
+        
+        const requests = [...this.workerRequests.values()];
+        this.workerRequests.clear();
+        for (const request of requests) {
+            this.generateOnMainThread(request.seed, request.onProgress).then(request.resolve, request.reject);
+        }
+    }
+
+    /**
+     * Stops the running generation and puts the previous puzzle back. A main-thread
+     * generation can't be interrupted, so its result is just ignored when it arrives.
+     */
+    cancelGeneration() {
+        this.generationId++;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        const requests = [...this.workerRequests.values()];
+        this.workerRequests.clear();
+        for (const request of requests) {
+            request.reject(CrosswordApp.CANCELLED);
+        }
+        
+        const record = this.store.get(this.currentPuzzleId);
+        if (record) {
+            this.resumePuzzle(record);
+        } else {
+            this.renderer.hideLoading();
+        }
+    }
+
+    /**
+     * Shows a progress event in the loading panel.
+     * @param {Object} progress - { phase, placed, total, attempt, attempts }
+     */
+    showGenerationProgress(progress) {
+        let message = 'Finishing grid...';
+        let percent = 95;
+        if (progress.phase === 'loading') {
+            message = 'Loading word lists...';
+            percent = 5;
+        } else if (progress.phase === 'selecting') {
+            message = 'Choosing words...';
+            percent = 15;
+        } else if (progress.phase === 'placing') {
+            message = `Placing words: ${progress.placed} of ${progress.total}`;
+            percent = 20 + 70 * progress.placed / Math.max(1, progress.total);
+        } else if (progress.phase === 'filling') {
+            message = `Filling grid: block pattern ${progress.attempt} of ${progress.attempts}`;
+            percent = 20 + 70 * (progress.attempt - 1) / Math.max(1, progress.attempts);
+        }
+        
+        // While comparing candidates, the bar covers all of them
+        if (progress.candidates > 1 && progress.phase !== 'loading') {
+            message += ` (candidate ${progress.candidate} of ${progress.candidates})`;
+            percent = 15 + (progress.candidate - 1 + (percent - 15) / 85) * 85 / progress.candidates;
+        }
+        this.renderer.updateLoading(message, percent);
+    }
+
+    /**
+     * Opens a puzzle by seed, resuming saved progress when the same puzzle was played before.
+     * @param {Object} options - { seed, dailyDate }
+     */
+    async openPuzzle(options) {
+        const seed = SeededRandom.normalizeSeed(options.seed);
+        const saved = this.store.find(seed, options.dailyDate, this.generator.getPuzzleKey());
+        if (saved) {
+            this.resumePuzzle(saved);
+        } else {
+            await this.generateCrossword(options);
+        }
+    }
+
+    /**
+     * Shows a saved puzzle with its entries as they were left.
+     * @param {Object} record - Record from PuzzleStore
+     */
+    resumePuzzle(record) {
+        console.log(`Resuming saved puzzle ${record.id}`);
+        this.renderer.setClues(record.clues || {});
+        this.renderer.renderCrossword(record.puzzle);
+        this.renderer.restoreSolveState(record.state);
+        this.showWordListReports([]);
+        
+        this.currentPuzzle = record.puzzle;
+        this.currentSeed = record.seed;
+        this.dailyDate = record.dailyDate || null;
+        this.currentPuzzleId = record.id;
+        this.store.setCurrentId(record.id);
+        this.timer.reset((record.state && record.state.elapsed) || 0, Boolean(record.solved));
+        this.updateSeedInUrl(record.seed);
+        this.updatePuzzleInfo(record.puzzle);
+        this.renderHistory();
     }
 
     /**
-     * Adds professional black square patterns to the grid.
+     * Plays a puzzle that didn't come from the generator, e.g. an imported file.
+     * It is saved to the history like any other puzzle.
+     * @param {Object} puzzle - { grid, words, size } with a clue on every word
+     * @param {Object} [options] - { title, author, entries } where entries is the solver's saved letters
      */
-    addProfessionalBlackSquares() {
-        // Add black squares around word boundaries
-        for (const placedWord of this.placedWords) {
-            this.addBoundaryBlackSquares(placedWord);
+    loadPuzzle(puzzle, options = {}) {
+        const crosswordData = {
+            grid: puzzle.grid,
+            words: puzzle.words,
+            size: puzzle.size,
+            seed: null,
+            symmetry: GridAnalyzer.validateSymmetry(puzzle.grid, 'rotational'),
+            difficulty: null,
+            givens: [],
+            title: options.title || 'Imported puzzle',
+            author: options.author || ''
+        };
+        
+        this.renderer.setClues({});
+        this.renderer.renderCrossword(crosswordData);
+        if (options.entries) {
+            this.renderer.restoreSolveState({ entries: options.entries });
         }
+        this.showWordListReports([]);
+        
+        const record = this.store.save({
+            seed: null,
+            dailyDate: null,
+            difficulty: null,
+            configKey: 'imported',
+            title: crosswordData.title,
+            puzzle: crosswordData,
+            clues: {},
+            state: this.renderer.getSolveState(),
+            solved: this.renderer.isSolved
+        });
         
-        // Fill remaining spaces strategically
-        this.fillStrategicBlackSquares();
+        this.currentPuzzle = crosswordData;
+        this.currentSeed = null;
+        this.dailyDate = null;
+        this.currentPuzzleId = record.id;
+        this.store.setCurrentId(record.id);
+        this.timer.reset(0, this.renderer.isSolved);
+        this.updateSeedInUrl(null);
+        this.updatePuzzleInfo(crosswordData);
+        this.renderHistory();
     }
 
     /**
-     * Adds black squares around word boundaries for proper separation.
-     * @param {Object} placedWord - Word to add boundaries around
+     * Title used in exported files.
+     * @returns {string} - e.g. "Office Crossword #48213" or "Office Crossword - Monday, October 19, 2026"
      */
-    addBoundaryBlackSquares(placedWord) {
-        const { word, row, col, horizontal } = placedWord;
-        
-        if (horizontal) {
-            // Add black squares at start and end
-            if (col > 0) this.addBlackSquare(row, col - 1);
-            if (col + word.length < this.gridSize) this.addBlackSquare(row, col + word.length);
-            
-            // Occasionally add black squares above/below (20% chance)
-            if (Math.random() < 0.2) {
-                const randomCol = col + Math.floor(Math.random() * word.length);
-                if (row > 0) this.addBlackSquare(row - 1, randomCol);
-                if (row < this.gridSize - 1) this.addBlackSquare(row + 1, randomCol);
-            }
-        } else {
-            // Add black squares at start and end
-            if (row > 0) this.addBlackSquare(row - 1, col);
-            if (row + word.length < this.gridSize) this.addBlackSquare(row + word.length, col);
-            
-            // Occasionally add black squares to left/right (20% chance)
-            if (Math.random() < 0.2) {
-                const randomRow = row + Math.floor(Math.random() * word.length);
-                if (col > 0) this.addBlackSquare(randomRow, col - 1);
-                if (col < this.gridSize - 1) this.addBlackSquare(randomRow, col + 1);
-            }
-        }
+    getExportTitle() {
+        if (this.currentPuzzle && this.currentPuzzle.title) return this.currentPuzzle.title;
+        const base = this.config.get('export.title') || 'Office Crossword';
+        return this.dailyDate
+            ? `${base} - ${DailyPuzzle.formatLabel(this.dailyDate) || this.dailyDate}`
+            : `${base} #${this.currentSeed}`;
+    }
+
+    getExportFilename(extension) {
+        const name = this.currentSeed !== null
+            ? (this.dailyDate ? `crossword-${this.dailyDate}` : `crossword-${this.currentSeed}`)
+            : this.getExportTitle().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'crossword';
+        return `${name}.${extension}`;
     }
 
     /**
-     * Adds a black square at the specified position if valid.
-     * @param {number} row - Row position
-     * @param {number} col - Column position
+     * Header fields and content shared by the file exports.
+     * @returns {Object} - Options for PuzFormat.build / IpuzFormat.build
      */
-    addBlackSquare(row, col) {
-        if (row >= 0 && row < this.gridSize && col >= 0 && col < this.gridSize) {
-            if (this.crossword[row][col] === '' && this.canPlaceBlackSquare(row, col)) {
-                this.crossword[row][col] = '#';
-            }
-        }
+    getExportOptions() {
+        return {
+            title: this.getExportTitle(),
+            author: this.currentPuzzle.author || this.config.get('export.author'),
+            copyright: this.config.get('export.copyright') || `\u00a9 ${new Date().getFullYear()}`,
+            clues: this.renderer.clues,
+            entries: this.renderer.entries
+        };
     }
 
     /**
-     * Fills remaining spaces with strategic black squares.
+     * Downloads the current puzzle, with the solver's progress, as an Across Lite .puz file.
      */
-    fillStrategicBlackSquares() {
-        const targetPercentage = this.config.get('blackSquares.percentage');
-        const targetCount = Math.floor(this.gridSize * this.gridSize * targetPercentage);
-        let currentCount = 0;
-        
-        // Count existing black squares
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                if (this.crossword[row][col] === '#') currentCount++;
-            }
+    exportPuz() {
+        if (!this.currentPuzzle) return;
+        const bytes = PuzFormat.build(this.currentPuzzle, this.getExportOptions());
+        this.downloadFile(new Blob([bytes], { type: 'application/x-crossword' }), this.getExportFilename('puz'));
+    }
+
+    /**
+     * Downloads the current puzzle, with the solver's progress, as an ipuz (JSON) file.
+     */
+    exportIpuz() {
+        if (!this.currentPuzzle) return;
+        const ipuz = IpuzFormat.build(this.currentPuzzle, this.getExportOptions());
+        const json = JSON.stringify(ipuz, null, 2);
+        this.downloadFile(new Blob([json], { type: 'application/json' }), this.getExportFilename('ipuz'));
+    }
+
+    /**
+     * Downloads the grid as an SVG image, blank or with the solution filled in.
+     * @param {boolean} [showSolution] - Include the answers
+     */
+    exportSvg(showSolution = false) {
+        if (!this.currentPuzzle) return;
+        const svg = this.renderer.createCrosswordSvg(this.currentPuzzle, { showSolution });
+        const filename = this.getExportFilename('svg').replace(/\.svg$/, showSolution ? '-solution.svg' : '.svg');
+        this.downloadFile(new Blob([svg], { type: 'image/svg+xml' }), filename);
+    }
+
+    /**
+     * Downloads the puzzle as a PDF with the grid and clues, generated in the browser.
+     * @param {boolean} [showSolution] - Add an answer key page
+     */
+    exportPdf(showSolution = false) {
+        if (!this.currentPuzzle) return;
+        const bytes = PdfFormat.build(this.currentPuzzle, {
+            title: this.getExportTitle(),
+            subtitle: this.getPrintSubtitle(this.currentPuzzle, this.dailyDate),
+            clues: this.renderer.clues,
+            showSolution
+        });
+        this.downloadFile(new Blob([bytes], { type: 'application/pdf' }), this.getExportFilename('pdf'));
+    }
+
+    /**
+     * Shows the generator's quality score (GridAnalyzer.scoreGrid) with its breakdown.
+     * Imported puzzles and ones saved before scoring have none, and the panel is hidden.
+     * @param {Object} crosswordData - Puzzle data
+     */
+    updateQualityScore(crosswordData) {
+        const panel = document.getElementById('quality-score');
+        if (!panel) return;
+        
+        const score = crosswordData.score;
+        panel.hidden = !score;
+        if (!score) return;
+        
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        panel.querySelector('summary').textContent = `Quality ${score.total}/100`;
+        const rows = [
+            ['Filled squares', percent(score.fillRatio)],
+            ['Crossings per word', score.intersectionsPerWord.toFixed(1)],
+            ['Checked letters', percent(score.checkedRatio)],
+            ['Across / down', `${score.across} / ${score.down}`],
+            ['Unused area', percent(score.emptyArea)]
+        ];
+        if (crosswordData.candidates > 1) {
+            rows.push(['Kept from', `${crosswordData.candidates} candidates`]);
         }
         
-        // Add strategic black squares to reach target
-        let attempts = 0;
-        while (currentCount < targetCount && attempts < 200) {
-            const row = Math.floor(Math.random() * this.gridSize);
-            const col = Math.floor(Math.random() * this.gridSize);
-            
-            if (this.crossword[row][col] === '' && this.canPlaceBlackSquare(row, col)) {
-                this.crossword[row][col] = '#';
-                currentCount++;
-            }
-            
-            attempts++;
+        const list = panel.querySelector('.quality-breakdown');
+        list.innerHTML = '';
+        for (const [label, value] of rows) {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = label;
+            const amount = document.createElement('strong');
+            amount.textContent = value;
+            item.appendChild(name);
+            item.appendChild(amount);
+            list.appendChild(item);
         }
-        
-        console.log(`Black squares: ${currentCount}/${targetCount} (${Math.round(currentCount / (this.gridSize * this.gridSize) * 100)}%)`);
     }
-}
 
-// Crossword Renderer
-class CrosswordRenderer {
-    constructor(config) {
-        this.config = config;
-        this.gridSize = config.get('grid.size') || 15;
-        this.cellSize = config.get('rendering.cellSize') || 45;
-        this.clues = {}; // Store clues from CSV
+    /**
+     * Header line for printed pages: date, puzzle number and difficulty.
+     * @param {Object} puzzle - Puzzle data
+     * @param {string|null} dailyDate - Date key for daily puzzles
+     * @returns {string} - e.g. "Monday, October 19, 2026 · Puzzle #48213 · Medium"
+     */
+    getPrintSubtitle(puzzle, dailyDate) {
+        const key = dailyDate || DailyPuzzle.todayKey();
+        const date = DailyPuzzle.formatLabel(key) || key;
+        const profile = CrosswordConfig.DIFFICULTY_PROFILES[puzzle.difficulty];
+        return [
+            date,
+            puzzle.seed !== null && puzzle.seed !== undefined ? `Puzzle #${puzzle.seed}` : null,
+            profile ? profile.label : null
+        ].filter(Boolean).join(' \u00b7 ');
     }
 
-    setClues(clues) {
-        this.clues = clues || {};
+    /**
+     * Prints the puzzle on screen, blank, with its answer key.
+     * @param {boolean} [answerKey] - Include the answer key page
+     */
+    printCurrentPuzzle(answerKey = true) {
+        if (!this.currentPuzzle) return;
+        this.printPuzzles([this.getCurrentPrintItem()], answerKey);
     }
 
-    renderCrossword(crosswordData) {
-        const { grid, words, size } = crosswordData;
-        
-        // Store the grid data in the renderer instance for use by other methods
-        this.crossword = grid;
-        this.gridSize = size;
-        this.placedWords = words; // Store the placed words for proper numbering
-        
-        const container = document.getElementById('crossword-container');
-        const cluesContainer = document.getElementById('clues-container');
+    /**
+     * @returns {Object} - The puzzle on screen as an item for PrintLayout.render
+     */
+    getCurrentPrintItem() {
+        return {
+            puzzle: this.currentPuzzle,
+            clues: this.renderer.clues,
+            title: this.getExportTitle(),
+            subtitle: this.getPrintSubtitle(this.currentPuzzle, this.dailyDate)
+        };
+    }
+
+    /**
+     * Generates and prints several different puzzles at once, e.g. for a meeting handout.
+     * The puzzle on screen is left as it is.
+     * @param {number} count - Number of puzzles
+     * @param {boolean} [answerKey] - Include the answer key pages
+     */
+    async printBatch(count, answerKey = true) {
+        const total = Math.min(20, Math.max(1, parseInt(count) || 1));
+        const items = [];
+        const base = this.config.get('export.title') || 'Office Crossword';
+        const status = document.getElementById('print-status');
         
-        if (!container || !cluesContainer) {
-            console.error('Required containers not found');
+        try {
+            for (let i = 0; i < total; i++) {
+                if (status) status.textContent = `Generating puzzle ${i + 1} of ${total}...`;
+                const result = await this.requestPuzzle();
+                // On the main thread the generator reuses its state, so keep a copy of each puzzle
+                const puzzle = JSON.parse(JSON.stringify(result.puzzle));
+                items.push({
+                    puzzle,
+                    clues: result.clues,
+                    title: `${base} #${puzzle.seed}`,
+                    subtitle: this.getPrintSubtitle(puzzle, null)
+                });
+            }
+        } catch (error) {
+            if (error === CrosswordApp.CANCELLED) {
+                if (status) status.textContent = 'Printing cancelled.';
+                return;
+            }
+            console.error('Failed to generate puzzles for printing:', error);
+            if (status) status.textContent = `Failed to generate puzzles for printing: ${error.message}`;
             return;
         }
+        
+        if (status) status.textContent = '';
+        this.printPuzzles(items, answerKey);
+    }
 
-        container.innerHTML = '';
-        cluesContainer.innerHTML = '';
-
-        const wrapper = document.createElement('div');
-        wrapper.className = 'crossword-wrapper';
+    printPuzzles(items, answerKey) {
+        const container = document.getElementById('print-area');
+        if (!container) return;
+        PrintLayout.render(container, items, { answerKey });
+        document.body.classList.add('printing-puzzles');
+        window.print();
+    }
 
-        // No more axis labels - clean, traditional crossword style
-        // if (this.config.get('rendering.showGridLabels')) {
-        //     this.createGridLabels(wrapper, size);
-        // }
+    /**
+     * Printing from the browser (Ctrl+P) skips printPuzzles, so the puzzle on screen is
+     * laid out here instead, as the Print button would. Without a puzzle the page
+     * prints as it is.
+     */
+    handleBeforePrint() {
+        if (document.body.classList.contains('printing-puzzles') || !this.currentPuzzle) return;
+        const container = document.getElementById('print-area');
+        if (!container) return;
+        const answers = document.getElementById('print-answers');
+        PrintLayout.render(container, [this.getCurrentPrintItem()], { answerKey: !answers || answers.checked });
+        document.body.classList.add('printing-puzzles');
+    }
 
-        const crosswordElement = this.createCrosswordGrid(grid, size);
-        wrapper.appendChild(crosswordElement);
+    /**
+     * Clears the print layout once printing is done, so the next print starts afresh.
+     */
+    handleAfterPrint() {
+        document.body.classList.remove('printing-puzzles');
+        const container = document.getElementById('print-area');
+        if (container) container.innerHTML = '';
+    }
 
-        if (this.config.get('rendering.showClues')) {
-            this.createClues(cluesContainer, words);
+    /**
+     * Opens a puzzle file picked or dropped by the user: ipuz (by extension or
+     * JSON content) or .puz.
+     * @param {File} file - Puzzle file
+     */
+    async importPuzzleFile(file) {
+        try {
+            const buffer = await file.arrayBuffer();
+            const text = new TextDecoder().decode(buffer);
+            const isIpuz = /\.(ipuz|json)$/i.test(file.name) || /^\s*(ipuz\()?\s*\{/.test(text);
+            const puzzle = isIpuz ? IpuzFormat.parse(text) : PuzFormat.parse(buffer);
+            this.loadPuzzle(puzzle, {
+                title: puzzle.title || file.name.replace(/\.[^.]+$/, ''),
+                author: puzzle.author,
+                entries: puzzle.entries
+            });
+        } catch (error) {
+            console.error('Failed to import puzzle:', error);
+            alert(`Could not open ${file.name}: ${error.message}`);
         }
+    }
 
-        container.appendChild(wrapper);
+    downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
-    createGridLabels(wrapper, size) {
-        const labelsContainer = document.createElement('div');
-        labelsContainer.className = 'grid-labels';
+    /**
+     * Saves the solver's entries for the current puzzle. Called on every change.
+     */
+    saveProgress() {
+        const record = this.store.get(this.currentPuzzleId);
+        if (!record) return;
+        const state = { ...this.renderer.getSolveState(), elapsed: this.timer.getElapsed() };
+        this.store.save({ ...record, state, solved: state.solved });
+        this.renderHistory();
+    }
 
-        const rowLabels = document.createElement('div');
-        rowLabels.className = 'row-labels';
-        for (let i = 0; i < size; i++) {
-            const label = document.createElement('div');
-            label.className = 'grid-label';
-            label.textContent = String.fromCharCode(65 + i);
-            rowLabels.appendChild(label);
+    /**
+     * The clock starts with the first letter typed (or the first check/reveal).
+     */
+    handlePuzzleChange() {
+        if (!this.renderer.isSolved) {
+            this.timer.start();
         }
+        this.saveProgress();
+    }
 
-        const colLabels = document.createElement('div');
-        colLabels.className = 'column-labels';
-        for (let i = 0; i < size; i++) {
-            const label = document.createElement('div');
-            label.className = 'grid-label';
-            label.textContent = (i + 1).toString();
-            colLabels.appendChild(label);
+    /**
+     * Saves a rewritten clue with the current puzzle, so it survives reloads and goes
+     * into exports, and optionally keeps it as a clue variant for future puzzles.
+     * @param {Object} word - Placed word whose clue changed
+     * @param {Object} [options] - { keep } to add the clue to the word list data
+     */
+    handleClueEdit(word, options = {}) {
+        const record = this.store.get(this.currentPuzzleId);
+        if (record) {
+            this.store.save({ ...record, puzzle: this.currentPuzzle });
+        }
+        
+        if (options.keep && word.clue) {
+            this.generator.savedClueVariants = this.clueStore.add(word.word, word.clue);
+            this.generator.applySavedClueVariants();
         }
-
-        labelsContainer.appendChild(rowLabels);
-        labelsContainer.appendChild(colLabels);
-        wrapper.appendChild(labelsContainer);
     }
 
-    createCrosswordGrid(grid, size) {
-        const crosswordElement = document.createElement('div');
-        crosswordElement.className = 'crossword';
-        // No more +1 since we removed axis labels
-        crosswordElement.style.gridTemplateColumns = `repeat(${size}, ${this.cellSize}px)`;
-        crosswordElement.style.gridTemplateRows = `repeat(${size}, ${this.cellSize}px)`;
-
-        // Create grid content directly without axis labels
-        for (let row = 0; row < size; row++) {
-            for (let col = 0; col < size; col++) {
-                const cell = this.createCell(grid[row][col], row, col);
-                crosswordElement.appendChild(cell);
-            }
+    /**
+     * Stops the clock and records the completion in the stats.
+     */
+    handleSolved() {
+        this.timer.stop();
+        const record = this.store.get(this.currentPuzzleId);
+        if (!record) return;
+        
+        const time = this.timer.getElapsed();
+        this.stats.add({
+            id: record.id,
+            seed: record.seed,
+            dailyDate: record.dailyDate || null,
+            time,
+            checks: this.renderer.helpUsed.checks,
+            reveals: this.renderer.helpUsed.reveals,
+            difficulty: record.difficulty,
+            size: record.puzzle.size
+        });
+        
+        const banner = document.querySelector('.solved-banner');
+        if (banner) {
+            banner.textContent = `Solved in ${SolveTimer.format(time)}! Nice work.`;
         }
-
-        return crosswordElement;
+        this.renderStats();
     }
 
-    createCell(content, row, col) {
-        const cell = document.createElement('div');
-        cell.className = 'cell';
-        cell.dataset.row = row;
-        cell.dataset.col = col;
+    /**
+     * Pauses the clock while the tab is hidden and picks it up again on return.
+     */
+    handleVisibilityChange() {
+        if (document.hidden && this.timer.isRunning) {
+            this.timer.pause();
+            this.pausedWhileHidden = true;
+            this.saveProgress();
+        } else if (!document.hidden && this.pausedWhileHidden) {
+            this.pausedWhileHidden = false;
+            this.timer.start();
+        }
+    }
 
-        if (content === '#') {
-            cell.classList.add('black');
-        } else if (content !== '') {
-            cell.textContent = content.toUpperCase();
-            
-            // Add cell number if this is the start of a word
-            if (this.shouldShowNumber(row, col)) {
-                const number = document.createElement('div');
-                number.className = 'number';
-                number.textContent = this.getCellNumber(row, col);
-                cell.appendChild(number);
-            }
+    updateTimerDisplay(elapsed) {
+        const element = document.getElementById('solve-timer');
+        if (element) {
+            element.textContent = SolveTimer.format(elapsed);
         }
+    }
 
-        return cell;
+    /**
+     * Shows daily streaks and per-size averages and personal bests.
+     */
+    renderStats() {
+        const container = document.getElementById('stats-content');
+        if (!container) return;
+        container.innerHTML = '';
+        
+        const records = this.stats.list();
+        if (records.length === 0) {
+            container.innerHTML = '<p class="panel-hint">Finish a puzzle to start tracking your stats.</p>';
+            return;
+        }
+        
+        const streaks = this.stats.getDailyStreaks();
+        const summary = document.createElement('div');
+        summary.className = 'stats-summary';
+        for (const [label, value] of [
+            ['Solved', records.length],
+            ['Daily streak', streaks.current],
+            ['Longest streak', streaks.longest]
+        ]) {
+            const stat = document.createElement('div');
+            stat.className = 'stat';
+            stat.innerHTML = `<span class="stat-value">${value}</span><span class="stat-label">${label}</span>`;
+            summary.appendChild(stat);
+        }
+        container.appendChild(summary);
+        
+        const table = document.createElement('table');
+        table.className = 'stats-table';
+        table.innerHTML = '<thead><tr><th>Grid</th><th>Solved</th><th>Average</th><th>Best</th><th>Checks</th><th>Reveals</th></tr></thead>';
+        const body = document.createElement('tbody');
+        for (const row of this.stats.getSizeSummaries()) {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `<td>${row.size}\u00d7${row.size}</td><td>${row.solved}</td>` +
+                `<td>${SolveTimer.format(row.averageTime)}</td>` +
+                `<td>${row.bestTime === null ? '\u2014' : SolveTimer.format(row.bestTime)}</td>` +
+                `<td>${row.checks}</td><td>${row.reveals}</td>`;
+            body.appendChild(tr);
+        }
+        table.appendChild(body);
+        container.appendChild(table);
     }
 
-    shouldShowNumber(row, col) {
-        // Check if this cell should show a number (start of across or down word)
-        const isAcrossStart = this.isWordStart(row, col, 'across');
-        const isDownStart = this.isWordStart(row, col, 'down');
+    /**
+     * Lists saved puzzles, newest first, so an unfinished one can be picked up again.
+     */
+    renderHistory() {
+        const list = document.getElementById('puzzle-history');
+        if (!list) return;
+        list.innerHTML = '';
+        
+        const records = this.store.list();
+        if (records.length === 0) {
+            list.innerHTML = '<li class="panel-hint">No saved puzzles yet.</li>';
+            return;
+        }
         
-        // Only show number if this is actually the start of a placed word
-        if (isAcrossStart || isDownStart) {
-            // Check if this position matches a placed word start
-            if (this.placedWords) {
-                for (const word of this.placedWords) {
-                    if (word.row === row && word.col === col) {
-                        return true;
-                    }
-                }
-            }
+        for (const record of records) {
+            list.appendChild(this.createHistoryItem(record));
         }
+    }
+
+    createHistoryItem(record) {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        item.classList.toggle('current', record.id === this.currentPuzzleId);
+        
+        const label = document.createElement('button');
+        label.type = 'button';
+        label.className = 'history-open';
+        const title = record.title || (record.dailyDate
+            ? `Daily \u00b7 ${DailyPuzzle.formatLabel(record.dailyDate) || record.dailyDate}`
+            : `Puzzle #${record.seed}`);
+        const difficulty = CrosswordConfig.DIFFICULTY_PROFILES[record.difficulty];
+        label.textContent = difficulty ? `${title} \u00b7 ${difficulty.label}` : title;
+        label.addEventListener('click', () => this.resumePuzzle(this.store.get(record.id) || record));
+        
+        const progress = document.createElement('span');
+        progress.className = 'history-progress';
+        progress.textContent = record.solved ? 'Solved' : `${this.getProgressPercent(record)}% filled`;
+        
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'history-remove';
+        remove.title = 'Remove from history';
+        remove.textContent = '\u00d7';
+        remove.addEventListener('click', () => {
+            this.store.remove(record.id);
+            this.renderHistory();
+        });
         
-        return false;
+        item.appendChild(label);
+        item.appendChild(progress);
+        item.appendChild(remove);
+        return item;
     }
 
-    isWordStart(row, col, direction) {
-        if (direction === 'across') {
-            // Check if this is the start of a horizontal word
-            // Must have at least 2 letters to be a valid word
-            if (col === 0 || this.crossword[row][col - 1] === '#') {
-                // Count how many letters follow this cell horizontally
-                let letterCount = 0;
-                for (let c = col; c < this.gridSize && this.crossword[row][c] !== '#' && this.crossword[row][c] !== ''; c++) {
-                    letterCount++;
-                }
-                return letterCount >= 2; // Only count as word start if at least 2 letters
-            }
-            return false;
-        } else {
-            // Check if this is the start of a vertical word
-            // Must have at least 2 letters to be a valid word
-            if (row === 0 || this.crossword[row - 1][col] === '#') {
-                // Count how many letters follow this cell vertically
-                let letterCount = 0;
-                for (let r = row; r < this.gridSize && this.crossword[r][col] !== '#' && this.crossword[r][col] !== ''; r++) {
-                    letterCount++;
-                }
-                return letterCount >= 2; // Only count as word start if at least 2 letters
+    getProgressPercent(record) {
+        const grid = record.puzzle.grid;
+        const entries = (record.state && record.state.entries) || [];
+        const status = (record.state && record.state.cellStatus) || [];
+        let total = 0;
+        let filled = 0;
+        grid.forEach((row, r) => row.forEach((cell, c) => {
+            // Given letters were never the solver's work
+            if (!GridAnalyzer.isLetter(cell) || (status[r] && status[r][c] === 'given')) return;
+            total++;
+            if (entries[r] && entries[r][c]) filled++;
+        }));
+        return total === 0 ? 0 : Math.round(filled / total * 100);
+    }
+
+    showError(message) {
+        const container = document.getElementById('crossword-container');
+        if (container) {
+            container.innerHTML = `<div class="error">${message}</div>`;
+        }
+    }
+
+    /**
+     * Lists word list rows that were skipped, by line number, so the lists can be fixed.
+     * @param {Array} reports - Reports from CrosswordGenerator.loadWordsFromCSV
+     */
+    showWordListReports(reports) {
+        const container = document.getElementById('wordlist-report');
+        if (!container) return;
+        container.innerHTML = '';
+        
+        for (const report of reports || []) {
+            if (report.rejected.length > 0) {
+                container.appendChild(this.createWordListReport(report));
             }
-            return false;
         }
     }
 
-    getCellNumber(row, col) {
-        // Try to find a placed word that starts at this position
-        if (this.placedWords) {
-            for (const word of this.placedWords) {
-                if (word.row === row && word.col === col) {
-                    return word.number || 1;
-                }
-            }
+    createWordListReport(report) {
+        const details = document.createElement('details');
+        details.className = 'warning';
+        
+        const summary = document.createElement('summary');
+        summary.textContent = `${report.rejected.length} row(s) in ${report.source} were skipped`;
+        details.appendChild(summary);
+        
+        const list = document.createElement('ul');
+        for (const row of report.rejected) {
+            const item = document.createElement('li');
+            item.textContent = `Line ${row.line}: ${row.reason}`;
+            list.appendChild(item);
+        }
+        details.appendChild(list);
+        return details;
+    }
+
+    /**
+     * Validates pasted or dropped word list text and shows which rows would be used.
+     * @param {string} text - Word list contents (CSV or TSV)
+     * @param {string} [name] - File name, if the text came from a file
+     */
+    previewImport(text, name) {
+        const preview = document.getElementById('import-preview');
+        const useButton = document.getElementById('import-use');
+        if (!preview) return;
+        preview.innerHTML = '';
+        this.pendingImport = null;
+        if (useButton) useButton.disabled = true;
+        
+        let result;
+        try {
+            const delimiter = name && /\.tsv$/i.test(name) ? '\t' : undefined;
+            result = WordListParser.parseWordList(text, {
+                minLength: this.config.get('words.minLength'),
+                maxLength: this.config.get('words.maxLength'),
+                delimiter
+            });
+        } catch (error) {
+            preview.innerHTML = `<div class="error">${error.message}</div>`;
+            return;
         }
         
-        // Fallback: calculate sequential number
-        let number = 1;
-        for (let r = 0; r <= row; r++) {
-            for (let c = 0; c <= col; c++) {
-                if (r === row && c === col) {
-                    return number;
-                }
-                if (this.isWordStart(r, c, 'across') || this.isWordStart(r, c, 'down')) {
-                    number++;
-                }
-            }
+        const accepted = document.createElement('div');
+        accepted.className = 'import-accepted';
+        accepted.innerHTML = `<h4>Accepted (${result.entries.length})</h4>`;
+        const acceptedList = document.createElement('ul');
+        for (const entry of result.entries) {
+            const item = document.createElement('li');
+            const variants = entry.clues.length > 1 ? ` (+${entry.clues.length - 1} more clue${entry.clues.length > 2 ? 's' : ''})` : '';
+            item.textContent = `${entry.word.toUpperCase()} \u2014 ${entry.clue}${variants}`;
+            acceptedList.appendChild(item);
+        }
+        accepted.appendChild(acceptedList);
+        
+        const rejected = document.createElement('div');
+        rejected.className = 'import-rejected';
+        rejected.innerHTML = `<h4>Rejected (${result.rejected.length})</h4>`;
+        const rejectedList = document.createElement('ul');
+        for (const row of result.rejected) {
+            const item = document.createElement('li');
+            item.textContent = `Line ${row.line}: ${row.reason}`;
+            rejectedList.appendChild(item);
         }
+        rejected.appendChild(rejectedList);
         
-        return number;
+        preview.appendChild(accepted);
+        preview.appendChild(rejected);
+        
+        if (result.entries.length > 0) {
+            this.pendingImport = { entries: result.entries, name: name || 'Pasted word list' };
+            if (useButton) useButton.disabled = false;
+        }
     }
 
-    createClues(container, words) {
-        if (!words || words.length === 0) return;
-
-        const acrossWords = words.filter(w => w.horizontal);
-        const downWords = words.filter(w => !w.horizontal);
-
-        if (acrossWords.length > 0) {
-            const acrossSection = document.createElement('div');
-            acrossSection.className = 'clue-section';
-            
-            const acrossTitle = document.createElement('h3');
-            acrossTitle.textContent = 'Across';
-            acrossSection.appendChild(acrossTitle);
+    /**
+     * Generates a puzzle straight from the previewed import.
+     */
+    async useImportedWordList() {
+        if (!this.pendingImport) return;
+        this.generator.setCustomWordList(this.pendingImport.entries, this.pendingImport.name);
+        this.updateImportStatus();
+        await this.generateCrossword();
+    }
 
-            acrossWords.forEach(word => {
-                const clue = this.createClue(word);
-                acrossSection.appendChild(clue);
-            });
+    async stopUsingImportedWordList() {
+        this.generator.clearCustomWordList();
+        this.updateImportStatus();
+        await this.generateCrossword();
+    }
 
-            container.appendChild(acrossSection);
+    updateImportStatus() {
+        const status = document.getElementById('import-status');
+        if (!status) return;
+        
+        const custom = this.generator.customWordList;
+        status.hidden = !custom;
+        const label = status.querySelector('span');
+        if (custom && label) {
+            label.textContent = `Using "${custom.name}" (${custom.entries.length} words).`;
         }
+    }
 
-        if (downWords.length > 0) {
-            const downSection = document.createElement('div');
-            downSection.className = 'clue-section';
+    /**
+     * Builds the word list picker from the catalog: a checkbox and weight per list.
+     */
+    renderWordListPanel() {
+        const panel = document.getElementById('wordlist-panel');
+        const container = document.getElementById('wordlist-options');
+        if (!panel || !container) return;
+        
+        const catalog = this.generator.catalog;
+        panel.hidden = !catalog;
+        if (!catalog) return;
+        
+        const selectedIds = this.generator.getSelectedLists().map(list => list.id);
+        container.innerHTML = '';
+        
+        for (const list of catalog.lists) {
+            const row = document.createElement('label');
+            row.className = 'wordlist-option';
             
-            const downTitle = document.createElement('h3');
-            downTitle.textContent = 'Down';
-            downSection.appendChild(downTitle);
-
-            downWords.forEach(word => {
-                const clue = this.createClue(word);
-                downSection.appendChild(clue);
-            });
-
-            container.appendChild(downSection);
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = list.id;
+            checkbox.checked = selectedIds.includes(list.id);
+            checkbox.className = 'wordlist-checkbox';
+            
+            const info = document.createElement('span');
+            info.className = 'wordlist-info';
+            const name = document.createElement('strong');
+            name.textContent = list.name;
+            const description = document.createElement('small');
+            description.textContent = list.description || '';
+            info.appendChild(name);
+            info.appendChild(description);
+            
+            const weight = document.createElement('input');
+            weight.type = 'number';
+            weight.min = '0';
+            weight.max = '100';
+            weight.value = this.generator.getListWeight(list);
+            weight.className = 'wordlist-weight';
+            weight.dataset.listId = list.id;
+            weight.title = 'Relative weight when combining lists';
+            
+            row.appendChild(checkbox);
+            row.appendChild(info);
+            row.appendChild(weight);
+            container.appendChild(row);
         }
     }
 
-    createClue(word) {
-        const clueElement = document.createElement('div');
-        clueElement.className = 'clue';
-        
-        const number = document.createElement('span');
-        number.className = 'clue-number';
-        number.textContent = word.number + '.';
+    /**
+     * Saves the word list selection and weights, then builds a new puzzle from them.
+     */
+    async applyWordListSelection() {
+        const selectedLists = [...document.querySelectorAll('.wordlist-checkbox')]
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value);
         
-        const text = document.createElement('span');
-        text.className = 'clue-text';
+        if (selectedLists.length === 0) {
+            alert('Please choose at least one word list.');
+            return;
+        }
         
-        // Use actual clue from CSV if available, otherwise generate a fallback
-        const actualClue = this.clues[word.word];
-        text.textContent = actualClue || this.generateFallbackClue(word.word);
+        const listWeights = {};
+        document.querySelectorAll('.wordlist-weight[data-list-id]').forEach(input => {
+            listWeights[input.dataset.listId] = Math.max(0, parseInt(input.value) || 0);
+        });
         
-        clueElement.appendChild(number);
-        clueElement.appendChild(text);
+        this.config.updateConfig({
+            'files.selectedLists': selectedLists,
+            'files.listWeights': listWeights
+        });
+        this.generator.clearCustomWordList();
+        this.updateImportStatus();
         
-        return clueElement;
+        if (this.dailyDate) {
+            await this.loadDailyPuzzle(this.dailyDate);
+        } else {
+            await this.generateCrossword();
+        }
     }
 
-    generateFallbackClue(word) {
-        // Fallback clue generation if no actual clue is available
-        const clues = [
-            `A ${word.length}-letter word`,
-            `Word meaning "${word}"`,
-            `Synonym for "${word}"`,
-            `Opposite of "${word}"`,
-            `Word that rhymes with "${word}"`
-        ];
+    /**
+     * Shows the hand construction view, loading the word list for its suggestions the
+     * first time it opens.
+     */
+    async openConstructor() {
+        if (!this.constructorView) {
+            this.constructorView = new CrosswordConstructor(this.config.get('grid.size') || 15);
+            const sizeInput = document.getElementById('constructor-size');
+            const symmetryInput = document.getElementById('constructor-symmetry');
+            if (sizeInput) sizeInput.value = this.constructorView.size;
+            if (symmetryInput) this.constructorView.symmetry = symmetryInput.checked;
+            const symmetryType = this.config.get('symmetry.type');
+            if (GridAnalyzer.SYMMETRY_TYPES.includes(symmetryType)) {
+                this.constructorView.symmetryType = symmetryType;
+            }
+            this.constructorView.render();
+        }
+        if (this.constructorView.filler) return;
         
-        return clues[Math.floor(Math.random() * clues.length)];
-    }
-
-    showLoading() {
-        const container = document.getElementById('crossword-container');
-        if (container) {
-            container.innerHTML = '<div class="loading">Generating crossword...</div>';
+        try {
+            await this.generator.loadWordsFromCSV();
+            this.constructorView.setWordList(this.generator.words, this.generator.clues);
+            this.constructorView.renderSuggestions();
+        } catch (error) {
+            console.error('Failed to load words for the constructor:', error);
+            this.constructorView.showStatus(`Suggestions are unavailable: ${error.message}`, true);
         }
     }
 
-    hideLoading() {
-        const loading = document.querySelector('.loading');
-        if (loading) {
-            loading.remove();
-        }
+    /**
+     * Clears the constructor to an empty grid.
+     * @param {number} size - Grid size
+     */
+    newConstructorGrid(size) {
+        if (!this.constructorView) return;
+        this.constructorView.reset(size);
+        this.constructorView.render();
+        this.constructorView.showStatus('');
     }
-}
 
-// Main Application
-class CrosswordApp {
-    constructor() {
-        this.config = null;
-        this.generator = null;
-        this.renderer = null;
-        this.isInitialized = false;
+    /**
+     * Copies the puzzle being played into the constructor, clues included, to rework it.
+     */
+    editPuzzleInConstructor() {
+        if (!this.constructorView || !this.currentPuzzle) return;
+        this.constructorView.loadPuzzle(this.currentPuzzle, this.renderer.clues);
+        this.constructorView.render();
+        this.constructorView.showStatus('');
     }
 
-    async initialize() {
+    /**
+     * Plays the constructed grid. Like an imported puzzle it is saved to the history and
+     * can be printed and exported from the toolbar.
+     * @param {string} [title] - Puzzle title
+     */
+    playConstructedPuzzle(title) {
+        if (!this.constructorView) return;
         try {
-           console.log('Starting crossword app initialization...');
-            
-            this.config = new CrosswordConfig();
-            console.log('Configuration manager created');
-            
-            await this.config.loadConfig();
-            console.log('Configuration loaded');
-            
-            this.generator = new CrosswordGenerator(this.config);
-            console.log('Crossword generator created');
-            
-            this.renderer = new CrosswordRenderer(this.config);
-            console.log('Crossword renderer created');
-            
-            this.isInitialized = true;
-            console.log('Crossword app initialized successfully');
-            
-            await this.generateCrossword();
-            
+            const puzzle = this.constructorView.toPuzzle(title);
+            this.loadPuzzle(puzzle, { title: puzzle.title });
+            this.constructorView.showStatus(`Now playing "${puzzle.title}".`);
         } catch (error) {
-            console.error('Failed to initialize crossword app:', error);
-            console.error('Error stack:', error.stack);
-            this.showError(`Failed to initialize application: ${error.message}`);
+            this.constructorView.showStatus(error.message, true);
         }
     }
 
-    async generateCrossword() {
-        if (!this.isInitialized) {
-            console.error('App not initialized');
-            return;
-        }
+    /**
+     * Reads the ?seed= URL parameter.
+     * @returns {string|null} - Seed from the URL, or null if absent
+     */
+    getSeedFromUrl() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed && seed.trim() ? seed.trim() : null;
+    }
 
-        try {
-            console.log('Starting crossword generation...');
-            this.renderer.showLoading();
-            
-            const crosswordData = await this.generator.generateCrossword();
-            console.log('Crossword generated:', crosswordData);
-            
-            this.renderer.renderCrossword(crosswordData);
-            console.log('Crossword rendered');
-            
-            this.renderer.hideLoading();
-            
-        } catch (error) {
-            console.error('Failed to generate crossword:', error);
-            console.error('Error stack:', error.stack);
-            this.renderer.hideLoading();
-            this.showError(`Failed to generate crossword: ${error.message}`);
+    /**
+     * Keeps the address bar pointing at the current puzzle so it can be shared.
+     * Daily puzzles are linked by date, everything else by seed.
+     * @param {number|null} seed - Current puzzle seed, null for imported puzzles
+     */
+    updateSeedInUrl(seed) {
+        if (!window.history || !window.history.replaceState) return;
+        const url = new URL(window.location.href);
+        if (seed === null) {
+            // Imported puzzles can't be reproduced from a link
+            url.searchParams.delete('seed');
+            url.searchParams.delete('date');
+        } else if (this.dailyDate) {
+            url.searchParams.set('date', this.dailyDate);
+            url.searchParams.delete('seed');
+        } else {
+            url.searchParams.set('seed', seed);
+            url.searchParams.delete('date');
         }
+        window.history.replaceState(null, '', url.toString());
     }
 
-    showError(message) {
-        const container = document.getElementById('crossword-container');
-        if (container) {
-            container.innerHTML = `<div class="error">${message}</div>`;
+    updatePuzzleInfo(crosswordData) {
+        const seedElement = document.getElementById('puzzle-seed');
+        if (seedElement) {
+            seedElement.textContent = crosswordData.title || `Puzzle #${crosswordData.seed}`;
+        }
+        
+        const badge = document.getElementById('difficulty-badge');
+        if (badge) {
+            const profile = CrosswordConfig.DIFFICULTY_PROFILES[crosswordData.difficulty];
+            badge.textContent = profile ? profile.label : '';
+            badge.className = `difficulty-badge difficulty-${crosswordData.difficulty}`;
+        }
+        
+        this.updateQualityScore(crosswordData);
+        
+        const dailyLabel = document.getElementById('daily-label');
+        if (dailyLabel) {
+            dailyLabel.textContent = this.dailyDate
+                ? `Daily Puzzle \u00b7 ${DailyPuzzle.formatLabel(this.dailyDate) || this.dailyDate}`
+                : '';
         }
+        
+        const nextButton = document.getElementById('daily-next');
+        if (nextButton) {
+            nextButton.disabled = !this.dailyDate || this.dailyDate >= DailyPuzzle.todayKey();
+        }
+    }
+
+    /**
+     * Loads the shared puzzle of the day for a date. Future dates are clamped to today.
+     * @param {string} dateKey - YYYY-MM-DD date key
+     */
+    async loadDailyPuzzle(dateKey) {
+        const today = DailyPuzzle.todayKey();
+        const key = dateKey > today ? today : dateKey;
+        const seed = DailyPuzzle.seedFor(key, this.generator.getWordListKey());
+        await this.openPuzzle({ seed, dailyDate: key });
+    }
+
+    /**
+     * Moves between daily puzzles.
+     * @param {number} offset - Days to move (-1 previous, 1 next); 0 jumps to today
+     */
+    async changeDailyPuzzle(offset) {
+        const base = this.dailyDate || DailyPuzzle.todayKey();
+        // A date that doesn't parse has no neighbours, so go back to today
+        const key = (offset !== 0 && DailyPuzzle.shiftKey(base, offset)) || DailyPuzzle.todayKey();
+        await this.loadDailyPuzzle(key);
     }
 
     async handleGenerateClick() {
+        if (this.renderer.hasUnfinishedProgress() &&
+            !window.confirm('Start a new puzzle? Your progress on this one is kept in Puzzle History.')) {
+            return;
+        }
         await this.generateCrossword();
     }
+
+    /**
+     * Loads a specific puzzle by seed, e.g. one a colleague shared.
+     * @param {string} seed - Seed typed by the user
+     */
+    async playSeed(seed) {
+        if (!seed || !String(seed).trim()) return;
+        await this.openPuzzle({ seed: String(seed).trim() });
+    }
 }
 
 // Global app instance
 let crosswordApp;
 
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', async () => {
+// Initialize when DOM is loaded (skipped when the classes are loaded outside a browser, e.g. in tests)
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', async () => {
+    // Pages like the config editor load this script only for CrosswordConfig
+    if (!document.getElementById('crossword-container')) return;
+    
     console.log('DOM loaded, initializing crossword app...');
     try {
         // Test basic functionality
@@ -2112,3 +8197,187 @@ async function generateCrossword() {
         }
     }
 }
+
+// Global function for the show/hide solution button
+function toggleSolution() {
+    if (crosswordApp && crosswordApp.renderer) {
+        crosswordApp.renderer.toggleSolution();
+    }
+}
+
+// Global function for the check / reveal / clear buttons
+function puzzleAction(action, scope) {
+    if (!crosswordApp || !crosswordApp.renderer || crosswordApp.renderer.showSolution) return;
+    
+    const renderer = crosswordApp.renderer;
+    if (action === 'check') {
+        renderer.check(scope);
+    } else if (action === 'reveal') {
+        renderer.reveal(scope);
+    } else if (action === 'clear') {
+        renderer.clear(scope);
+    }
+    
+    if (renderer.gridElement) renderer.gridElement.focus();
+}
+
+// Global functions for exporting and opening puzzle files
+function exportPuzzle(format) {
+    if (!crosswordApp || !crosswordApp.isInitialized) return;
+    if (format === 'puz') {
+        crosswordApp.exportPuz();
+    } else if (format === 'ipuz') {
+        crosswordApp.exportIpuz();
+    } else if (format === 'svg' || format === 'pdf') {
+        const solutionToggle = document.getElementById('export-solution');
+        const showSolution = solutionToggle ? solutionToggle.checked : false;
+        if (format === 'svg') {
+            crosswordApp.exportSvg(showSolution);
+        } else {
+            crosswordApp.exportPdf(showSolution);
+        }
+    }
+}
+
+async function openPuzzleFile(input) {
+    const file = input.files && input.files[0];
+    if (file && crosswordApp && crosswordApp.isInitialized) {
+        await crosswordApp.importPuzzleFile(file);
+    }
+    input.value = '';
+}
+
+// Global functions for the print panel
+function printPuzzle() {
+    if (!crosswordApp || !crosswordApp.isInitialized) return;
+    const answers = document.getElementById('print-answers');
+    crosswordApp.printCurrentPuzzle(!answers || answers.checked);
+}
+
+async function printBatch() {
+    if (!crosswordApp || !crosswordApp.isInitialized) return;
+    const count = document.getElementById('print-count');
+    const answers = document.getElementById('print-answers');
+    await crosswordApp.printBatch(count ? count.value : 1, !answers || answers.checked);
+}
+
+// Global functions for the hand construction panel
+async function openConstructor(panel) {
+    if (panel.open && crosswordApp && crosswordApp.isInitialized) {
+        await crosswordApp.openConstructor();
+    }
+}
+
+function setConstructorSymmetry(enabled) {
+    if (crosswordApp && crosswordApp.constructorView) {
+        crosswordApp.constructorView.symmetry = enabled;
+    }
+}
+
+function newConstructorGrid() {
+    if (!crosswordApp || !crosswordApp.isInitialized) return;
+    const size = document.getElementById('constructor-size');
+    crosswordApp.newConstructorGrid(size ? size.value : 15);
+}
+
+function editPuzzleInConstructor() {
+    if (crosswordApp && crosswordApp.isInitialized) {
+        crosswordApp.editPuzzleInConstructor();
+        const size = document.getElementById('constructor-size');
+        if (size && crosswordApp.constructorView) size.value = crosswordApp.constructorView.size;
+    }
+}
+
+function playConstructedPuzzle() {
+    if (!crosswordApp || !crosswordApp.isInitialized) return;
+    const title = document.getElementById('constructor-title');
+    crosswordApp.playConstructedPuzzle(title ? title.value.trim() : '');
+}
+
+// Global function for the "play puzzle #" form
+async function playSeed(event) {
+    event.preventDefault();
+    const input = document.getElementById('seed-input');
+    if (crosswordApp && input) {
+        await crosswordApp.playSeed(input.value);
+        input.value = '';
+    }
+}
+
+// Global function for the daily puzzle navigation buttons
+async function changeDailyPuzzle(offset) {
+    if (crosswordApp && crosswordApp.isInitialized) {
+        await crosswordApp.changeDailyPuzzle(offset);
+    }
+}
+
+// Global function for the word list picker
+async function applyWordLists() {
+    if (crosswordApp && crosswordApp.isInitialized) {
+        await crosswordApp.applyWordListSelection();
+    }
+}
+
+// Global functions for the custom word list import panel
+function previewImportText() {
+    const textarea = document.getElementById('import-text');
+    if (crosswordApp && crosswordApp.isInitialized && textarea) {
+        crosswordApp.previewImport(textarea.value);
+    }
+}
+
+async function importWordListFile(file) {
+    if (!file || !crosswordApp || !crosswordApp.isInitialized) return;
+    const text = await file.text();
+    const textarea = document.getElementById('import-text');
+    if (textarea) textarea.value = text;
+    crosswordApp.previewImport(text, file.name);
+}
+
+function handleImportDrop(event) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('dragover');
+    importWordListFile(event.dataTransfer.files[0]);
+}
+
+function handleImportDragOver(event) {
+    event.preventDefault();
+    event.currentTarget.classList.add('dragover');
+}
+
+async function useImportedWordList() {
+    if (crosswordApp && crosswordApp.isInitialized) {
+        await crosswordApp.useImportedWordList();
+    }
+}
+
+async function stopUsingImportedWordList() {
+    if (crosswordApp && crosswordApp.isInitialized) {
+        await crosswordApp.stopUsingImportedWordList();
+    }
+}
+
+// Expose the classes when loaded as a CommonJS module; in the browser this is a plain script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CrosswordConfig,
+        SeededRandom,
+        DailyPuzzle,
+        WordListParser,
+        GridAnalyzer,
+        CrosswordFiller,
+        CrosswordGenerator,
+        CrosswordRenderer,
+        CrosswordConstructor,
+        PuzFormat,
+        IpuzFormat,
+        PrintLayout,
+        PdfDocument,
+        PdfFormat,
+        PuzzleStore,
+        SolveTimer,
+        StatsStore,
+        ClueStore,
+        CrosswordApp
+    };
+}